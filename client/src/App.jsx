@@ -7,6 +7,11 @@ import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import EditorPage from './pages/EditorPage';
 import TemplateGallery from './pages/TemplateGallery';
+import ApiKeysPage from './pages/ApiKeysPage';
+import ContactsPage from './pages/ContactsPage';
+import CampaignsPage from './pages/CampaignsPage';
+import CampaignDetailPage from './pages/CampaignDetailPage';
+import SuppressionsPage from './pages/SuppressionsPage';
 
 function App() {
   return (
@@ -33,6 +38,46 @@ function App() {
             </PrivateRoute>
           }
         />
+        <Route
+          path="/contacts"
+          element={
+            <PrivateRoute>
+              <ContactsPage />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/campaigns"
+          element={
+            <PrivateRoute>
+              <CampaignsPage />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/campaigns/:id"
+          element={
+            <PrivateRoute>
+              <CampaignDetailPage />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/suppressions"
+          element={
+            <PrivateRoute>
+              <SuppressionsPage />
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/settings/api-keys"
+          element={
+            <PrivateRoute>
+              <ApiKeysPage />
+            </PrivateRoute>
+          }
+        />
         <Route
           path="/editor/:id?"
           element={
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Alert,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import StatTile from './StatTile';
+import ClickHeatmap from './ClickHeatmap';
+import { getCampaignReport } from '../services/campaignService';
+import { getTemplateVersion } from '../services/templateService';
+import { renderTemplateHTML } from '@shared/emailGenerator';
+import { buildSampleData } from '@shared/mergeTags';
+
+const formatRate = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+/**
+ * Opens and clicks of a sent campaign, with a click heat-map over the template version it sent
+ * Reloads whenever the number of sent emails changes.
+ */
+const CampaignReport = ({ campaign }) => {
+  const [report, setReport] = useState(null);
+  const [version, setVersion] = useState(null);
+  const [versionError, setVersionError] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadReport();
+  }, [campaign.id, campaign.stats.sent]);
+
+  useEffect(() => {
+    if (campaign.templateId && campaign.templateVersionId) {
+      loadVersion();
+    } else {
+      setVersionError('The template was deleted, so there is no preview to show clicks on.');
+    }
+  }, [campaign.templateId, campaign.templateVersionId]);
+
+  const loadReport = async () => {
+    try {
+      const response = await getCampaignReport(campaign.id);
+      setReport(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load the report');
+    }
+  };
+
+  const loadVersion = async () => {
+    try {
+      const response = await getTemplateVersion(campaign.templateId, campaign.templateVersionId);
+      setVersion(response.data);
+      setVersionError('');
+    } catch (err) {
+      setVersionError('The template version this campaign sent could not be loaded.');
+    }
+  };
+
+  // Conditions are ignored so components hidden for the sample data still show their clicks
+  const heatmapHtml = useMemo(() => {
+    if (!version || version.mode === 'html') return '';
+
+    return renderTemplateHTML(
+      { componentTree: version.componentTree, variables: version.variables, envelope: version.envelope },
+      { annotate: true, mergeTagSyntax: 'render', data: buildSampleData(version.variables), ignoreConditions: true }
+    );
+  }, [version]);
+
+  if (error) {
+    return (
+      <Alert severity="error" sx={{ mb: 3 }}>
+        {error}
+      </Alert>
+    );
+  }
+
+  if (!report) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ p: 3, borderRadius: 3, mb: 3 }}>
+      <Typography variant="subtitle2" sx={{ mb: 2 }}>
+        Engagement
+      </Typography>
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={6} md={3}>
+          <StatTile
+            label="Opened"
+            value={report.opens.unique}
+            caption={formatRate(report.opens.rate)}
+            color="primary.main"
+          />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <StatTile
+            label="Clicked"
+            value={report.clicks.unique}
+            caption={formatRate(report.clicks.rate)}
+            color="success.main"
+          />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <StatTile label="Total opens" value={report.opens.total} />
+        </Grid>
+        <Grid item xs={6} md={3}>
+          <StatTile label="Total clicks" value={report.clicks.total} />
+        </Grid>
+      </Grid>
+
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        Links
+      </Typography>
+      {report.links.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          No links have been clicked yet.
+        </Typography>
+      ) : (
+        <Table size="small" sx={{ mb: 3 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>URL</TableCell>
+              <TableCell align="right">Clicks</TableCell>
+              <TableCell align="right">Unique clicks</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.links.map((link) => (
+              <TableRow key={`${link.componentId}|${link.url}`}>
+                <TableCell sx={{ maxWidth: 480, overflowWrap: 'anywhere' }}>{link.url}</TableCell>
+                <TableCell align="right">{link.clicks}</TableCell>
+                <TableCell align="right">{link.uniqueClicks}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        Click heat-map
+      </Typography>
+      {versionError ? (
+        <Typography variant="body2" color="text.secondary">
+          {versionError}
+        </Typography>
+      ) : !version ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress size={24} />
+        </Box>
+      ) : version.mode === 'html' ? (
+        <Typography variant="body2" color="text.secondary">
+          This campaign sent an ejected HTML template, which has no components to map clicks to. See the links
+          above instead.
+        </Typography>
+      ) : (
+        <Box sx={{ maxWidth: 720, mx: 'auto' }}>
+          <ClickHeatmap html={heatmapHtml} components={report.components} />
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default CampaignReport;
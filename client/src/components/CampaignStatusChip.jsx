@@ -0,0 +1,18 @@
+import React from 'react';
+import { Chip } from '@mui/material';
+
+const STATUS_COLORS = {
+  draft: 'default',
+  scheduled: 'info',
+  sending: 'warning',
+  sent: 'success',
+};
+
+/**
+ * Status of a campaign: draft, scheduled, sending or sent
+ */
+const CampaignStatusChip = ({ status, size = 'small' }) => (
+  <Chip size={size} variant="outlined" color={STATUS_COLORS[status] || 'default'} label={status} />
+);
+
+export default CampaignStatusChip;
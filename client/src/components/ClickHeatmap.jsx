@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Box, Tooltip } from '@mui/material';
+
+/**
+ * Overlay color for a share of the most clicked component, from yellow (few) to red (most)
+ */
+const heatColor = (share, alpha) => `hsla(${Math.round((1 - share) * 50)}, 95%, 50%, ${alpha})`;
+
+/**
+ * Email preview with click counts drawn over the components that were clicked
+ * Expects HTML generated with the `annotate` option. The frame grows to the height of the
+ * email so overlay positions never go stale through scrolling.
+ * @param {String} html - Annotated email HTML
+ * @param {Array} components - Click counts: [{ componentId, clicks, uniqueClicks }]
+ */
+const ClickHeatmap = ({ html, components, title = 'Click heat-map' }) => {
+  const frameRef = useRef(null);
+  const [frameHeight, setFrameHeight] = useState(600);
+  const [regions, setRegions] = useState([]);
+
+  const measure = () => {
+    const doc = frameRef.current?.contentDocument;
+    if (!doc?.body) return;
+
+    const maxClicks = Math.max(1, ...components.map((component) => component.clicks));
+    setFrameHeight(doc.documentElement.scrollHeight);
+    setRegions(
+      components.flatMap((component) => {
+        // Repeated components (inside repeaters) are marked on their first copy
+        const element = doc.querySelector(`[data-component-id="${CSS.escape(component.componentId)}"]`);
+        if (!element) return [];
+
+        const rect = element.getBoundingClientRect();
+        return [
+          {
+            ...component,
+            share: component.clicks / maxClicks,
+            top: rect.top,
+            left: rect.left,
+            width: rect.width,
+            height: rect.height,
+          },
+        ];
+      })
+    );
+  };
+
+  useEffect(() => {
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, [components]);
+
+  return (
+    <Box
+      sx={{ position: 'relative', border: 1, borderColor: 'divider', borderRadius: 1, overflow: 'hidden', bgcolor: 'white' }}
+    >
+      <Box
+        component="iframe"
+        ref={frameRef}
+        title={title}
+        sandbox="allow-same-origin"
+        srcDoc={html}
+        onLoad={measure}
+        scrolling="no"
+        sx={{
+          display: 'block',
+          width: '100%',
+          height: frameHeight,
+          border: 0,
+        }}
+      />
+      {regions.map((region) => (
+        <Tooltip
+          key={region.componentId}
+          title={`${region.clicks} clicks by ${region.uniqueClicks} recipients`}
+          placement="left"
+        >
+          <Box
+            sx={{
+              position: 'absolute',
+              top: region.top,
+              left: region.left,
+              width: region.width,
+              height: region.height,
+              bgcolor: heatColor(region.share, 0.25),
+              outline: `2px solid ${heatColor(region.share, 0.9)}`,
+              outlineOffset: -2,
+            }}
+          >
+            <Box
+              sx={{
+                position: 'absolute',
+                top: 4,
+                right: 4,
+                px: 1,
+                borderRadius: 1,
+                bgcolor: heatColor(region.share, 0.95),
+                color: 'common.white',
+                fontSize: 12,
+                fontWeight: 700,
+                lineHeight: '20px',
+              }}
+            >
+              {region.clicks}
+            </Box>
+          </Box>
+        </Tooltip>
+      ))}
+    </Box>
+  );
+};
+
+export default ClickHeatmap;
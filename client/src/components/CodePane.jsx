@@ -0,0 +1,130 @@
+import React, { Suspense, lazy, useMemo, useRef } from 'react';
+import { Box, Button, CircularProgress, Stack, Typography } from '@mui/material';
+import { CenterFocusStrong, Code, Undo } from '@mui/icons-material';
+import { useEditor } from '../contexts/EditorContext';
+import { generateEmailHTML } from '@shared/emailGenerator';
+
+// Monaco is large, only load it when the code tab is opened
+const MonacoEditor = lazy(() => import('@monaco-editor/react'));
+
+/**
+ * Find the 1-based line where a component's markup starts
+ * Annotation only adds an attribute inside an existing line, so line numbers
+ * match the plain export output.
+ */
+const findComponentLine = (annotatedHTML, componentId) => {
+  const index = annotatedHTML.indexOf(`data-component-id="${componentId}"`);
+  if (index === -1) return null;
+  return annotatedHTML.slice(0, index).split('\n').length;
+};
+
+/**
+ * HTML code view of the template
+ * Read-only for visual templates; editable once the template is ejected to HTML
+ */
+const CodePane = () => {
+  const { componentTree, selectedComponentId, htmlDocument, isEjected, setHtmlDocument } = useEditor();
+  const editorRef = useRef(null);
+
+  const generatedHTML = useMemo(() => generateEmailHTML(componentTree), [componentTree]);
+  const selectedLine = useMemo(() => {
+    if (!selectedComponentId || isEjected) return null;
+    return findComponentLine(generateEmailHTML(componentTree, { annotate: true }), selectedComponentId);
+  }, [componentTree, selectedComponentId, isEjected]);
+
+  const handleJumpToSelected = () => {
+    const editor = editorRef.current;
+    if (!editor || !selectedLine) return;
+
+    editor.revealLineInCenter(selectedLine);
+    editor.setSelection({
+      startLineNumber: selectedLine,
+      startColumn: 1,
+      endLineNumber: selectedLine,
+      endColumn: editor.getModel().getLineMaxColumn(selectedLine),
+    });
+    editor.focus();
+  };
+
+  const handleEject = () => {
+    const confirmed = window.confirm(
+      'Ejecting turns this template into a hand-edited HTML document. The visual editor will no longer apply to it. Continue?'
+    );
+    if (confirmed) {
+      setHtmlDocument(generatedHTML);
+    }
+  };
+
+  const handleRevert = () => {
+    const confirmed = window.confirm(
+      'Returning to the visual editor discards all hand-made HTML changes. Continue?'
+    );
+    if (confirmed) {
+      setHtmlDocument(null);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1.5 }}>
+        {isEjected ? (
+          <>
+            <Typography variant="caption" color="warning.main" sx={{ flexGrow: 1 }}>
+              Ejected template: edit the HTML directly. Preview and export use this document.
+            </Typography>
+            <Button size="small" startIcon={<Undo />} onClick={handleRevert} sx={{ fontWeight: 600 }}>
+              Back to visual editor
+            </Button>
+          </>
+        ) : (
+          <>
+            <Typography variant="caption" color="text.secondary" sx={{ flexGrow: 1 }}>
+              Generated HTML (read-only)
+            </Typography>
+            <Button
+              size="small"
+              startIcon={<CenterFocusStrong />}
+              onClick={handleJumpToSelected}
+              disabled={!selectedLine}
+              sx={{ fontWeight: 600 }}
+            >
+              Jump to selected
+            </Button>
+            <Button size="small" variant="outlined" startIcon={<Code />} onClick={handleEject} sx={{ fontWeight: 600 }}>
+              Eject to HTML
+            </Button>
+          </>
+        )}
+      </Stack>
+      <Box sx={{ flex: 1, minHeight: 0, border: 1, borderColor: 'divider', borderRadius: 1, overflow: 'hidden' }}>
+        <Suspense
+          fallback={
+            <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+              <CircularProgress />
+            </Box>
+          }
+        >
+          <MonacoEditor
+            height="100%"
+            language="html"
+            theme="vs-dark"
+            value={isEjected ? htmlDocument : generatedHTML}
+            onChange={(value) => isEjected && setHtmlDocument(value ?? '')}
+            onMount={(editor) => {
+              editorRef.current = editor;
+            }}
+            options={{
+              readOnly: !isEjected,
+              minimap: { enabled: false },
+              wordWrap: 'on',
+              fontSize: 13,
+              scrollBeyondLastLine: false,
+            }}
+          />
+        </Suspense>
+      </Box>
+    </Box>
+  );
+};
+
+export default CodePane;
@@ -9,7 +9,9 @@ import {
   HorizontalRule,
   SpaceBar,
   ViewColumn,
+  Repeat,
   Extension,
+  Unsubscribe,
 } from '@mui/icons-material';
 
 const componentTypes = [
@@ -20,6 +22,8 @@ const componentTypes = [
   { type: 'divider', label: 'Divider', icon: <HorizontalRule /> },
   { type: 'spacer', label: 'Spacer', icon: <SpaceBar /> },
   { type: 'columns', label: 'Columns', icon: <ViewColumn /> },
+  { type: 'repeater', label: 'Repeater', icon: <Repeat /> },
+  { type: 'unsubscribe', label: 'Unsubscribe', icon: <Unsubscribe /> },
 ];
 
 const PaletteItem = ({ type, label, icon }) => {
@@ -65,7 +69,7 @@ const ComponentPalette = () => {
         Drag Components
       </Typography>
       <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-        Drop on canvas or inside columns
+        Drop on canvas, inside columns or repeaters
       </Typography>
       {componentTypes.map((item) => (
         <PaletteItem key={item.type} {...item} />
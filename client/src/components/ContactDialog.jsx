@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  OutlinedInput,
+  Chip,
+  IconButton,
+  Typography,
+  Stack,
+  Alert,
+} from '@mui/material';
+import { Add, Delete } from '@mui/icons-material';
+import { createContact, updateContact } from '../services/contactService';
+import { ITEM_NAME_PATTERN } from '@shared/mergeTags';
+
+const RESERVED_FIELDS = ['email', 'name', 'unsubscribe_url'];
+
+const emptyContact = { email: '', name: '', status: 'subscribed', lists: [], fields: [] };
+
+const validateFields = (fields) => {
+  const names = new Set();
+
+  for (const field of fields) {
+    if (!ITEM_NAME_PATTERN.test(field.name) || RESERVED_FIELDS.includes(field.name)) {
+      return `"${field.name || '(empty)'}" is not a valid field name. Use letters, digits and underscores, e.g. company`;
+    }
+    if (names.has(field.name)) {
+      return `Field "${field.name}" is defined twice`;
+    }
+    names.add(field.name);
+  }
+
+  return '';
+};
+
+/**
+ * Create or edit a contact, including its custom fields and list memberships
+ */
+const ContactDialog = ({ open, onClose, contact, lists, onSaved }) => {
+  const [draft, setDraft] = useState(emptyContact);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setDraft(
+        contact
+          ? {
+              email: contact.email,
+              name: contact.name,
+              status: contact.status,
+              lists: contact.lists,
+              fields: Object.entries(contact.fields).map(([name, value]) => ({ name, value })),
+            }
+          : emptyContact
+      );
+      setError('');
+    }
+  }, [open, contact]);
+
+  const handleChange = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleFieldChange = (index, key, value) => {
+    handleChange(
+      'fields',
+      draft.fields.map((field, i) => (i === index ? { ...field, [key]: value } : field))
+    );
+  };
+
+  const handleSave = async () => {
+    const fields = draft.fields.map((field) => ({ ...field, name: field.name.trim() }));
+    const validationError = validateFields(fields);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const contactData = {
+      email: draft.email.trim(),
+      name: draft.name.trim(),
+      status: draft.status,
+      lists: draft.lists,
+      fields: Object.fromEntries(fields.map((field) => [field.name, field.value])),
+    };
+
+    try {
+      setSaving(true);
+      const response = contact ? await updateContact(contact.id, contactData) : await createContact(contactData);
+      onSaved(response.data);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save contact');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{contact ? 'Edit Contact' : 'Add Contact'}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Stack spacing={2} sx={{ pt: 1 }}>
+          <TextField
+            autoFocus
+            fullWidth
+            type="email"
+            label="Email"
+            value={draft.email}
+            onChange={(e) => handleChange('email', e.target.value)}
+          />
+          <TextField fullWidth label="Name" value={draft.name} onChange={(e) => handleChange('name', e.target.value)} />
+          <Stack direction="row" spacing={2}>
+            <FormControl sx={{ flex: 1 }}>
+              <InputLabel>Status</InputLabel>
+              <Select label="Status" value={draft.status} onChange={(e) => handleChange('status', e.target.value)}>
+                <MenuItem value="subscribed">Subscribed</MenuItem>
+                <MenuItem value="unsubscribed">Unsubscribed</MenuItem>
+                <MenuItem value="bounced">Bounced</MenuItem>
+                <MenuItem value="complained">Complained</MenuItem>
+              </Select>
+            </FormControl>
+            <FormControl sx={{ flex: 2 }}>
+              <InputLabel>Lists</InputLabel>
+              <Select
+                multiple
+                value={draft.lists}
+                onChange={(e) => handleChange('lists', e.target.value)}
+                input={<OutlinedInput label="Lists" />}
+                renderValue={(selected) => (
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                    {selected.map((id) => (
+                      <Chip key={id} size="small" label={lists.find((list) => list.id === id)?.name || id} />
+                    ))}
+                  </Box>
+                )}
+              >
+                {lists.map((list) => (
+                  <MenuItem key={list.id} value={list.id}>
+                    {list.name}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Stack>
+        </Stack>
+        <Typography variant="subtitle2" sx={{ mt: 3, mb: 0.5 }}>
+          Custom Fields
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1.5 }}>
+          Each field becomes a merge tag in your templates, e.g. {'{{company}}'}.
+        </Typography>
+        <Stack spacing={1.5}>
+          {draft.fields.map((field, index) => (
+            <Stack key={index} direction="row" spacing={1} alignItems="center">
+              <TextField
+                size="small"
+                label="Field"
+                value={field.name}
+                onChange={(e) => handleFieldChange(index, 'name', e.target.value)}
+                sx={{ flex: 1 }}
+              />
+              <TextField
+                size="small"
+                label="Value"
+                value={field.value}
+                onChange={(e) => handleFieldChange(index, 'value', e.target.value)}
+                sx={{ flex: 2 }}
+              />
+              <IconButton onClick={() => handleChange('fields', draft.fields.filter((_, i) => i !== index))}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Stack>
+          ))}
+        </Stack>
+        <Box sx={{ mt: 1.5 }}>
+          <Button
+            startIcon={<Add />}
+            onClick={() => handleChange('fields', [...draft.fields, { name: '', value: '' }])}
+            sx={{ fontWeight: 600 }}
+          >
+            Add Field
+          </Button>
+        </Box>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose} size="medium" sx={{ fontWeight: 600 }}>
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          size="medium"
+          sx={{ fontWeight: 600 }}
+          disabled={saving || !draft.email.trim()}
+        >
+          {contact ? 'Save' : 'Add Contact'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ContactDialog;
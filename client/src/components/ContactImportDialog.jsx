@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Select,
+  MenuItem,
+  FormControl,
+  InputLabel,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Alert,
+} from '@mui/material';
+import { UploadFile } from '@mui/icons-material';
+import { importContacts } from '../services/contactService';
+import { parseCSV } from '@shared/csv';
+
+const SKIP = '';
+const CUSTOM_FIELD = 'field';
+
+/**
+ * Turn a column header into a field name usable as a merge tag, e.g. "Company Name" -> company_name
+ */
+const toFieldName = (header) => {
+  const name = header
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+};
+
+/**
+ * Guess what each column holds from its header
+ */
+const guessMapping = (header) => {
+  let hasEmail = false;
+  let hasName = false;
+
+  return header.map((column) => {
+    const fieldName = toFieldName(column);
+    if (!hasEmail && /^(e_?mail|email_address)$/.test(fieldName)) {
+      hasEmail = true;
+      return { target: 'email', field: '' };
+    }
+    if (!hasName && /^(name|full_name)$/.test(fieldName)) {
+      hasName = true;
+      return { target: 'name', field: '' };
+    }
+    return { target: fieldName ? CUSTOM_FIELD : SKIP, field: fieldName };
+  });
+};
+
+/**
+ * Import contacts from a CSV file, mapping each column to email, name or a custom field
+ */
+const ContactImportDialog = ({ open, onClose, lists, defaultListId, onImported }) => {
+  const fileInputRef = useRef(null);
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState('');
+  const [header, setHeader] = useState([]);
+  const [sampleRow, setSampleRow] = useState([]);
+  const [rowCount, setRowCount] = useState(0);
+  const [mapping, setMapping] = useState([]);
+  const [listId, setListId] = useState('');
+  const [error, setError] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setFileName('');
+      setCsv('');
+      setHeader([]);
+      setMapping([]);
+      setListId(defaultListId || '');
+      setError('');
+      setResult(null);
+    }
+  }, [open, defaultListId]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const text = await file.text();
+    const [firstRow = [], secondRow = [], ...rest] = parseCSV(text);
+    if (firstRow.length === 0) {
+      setError('The file is empty');
+      return;
+    }
+
+    setFileName(file.name);
+    setCsv(text);
+    setHeader(firstRow);
+    setSampleRow(secondRow);
+    setRowCount(secondRow.length > 0 ? rest.length + 1 : 0);
+    setMapping(guessMapping(firstRow));
+    setError('');
+    setResult(null);
+  };
+
+  const handleMappingChange = (index, changes) => {
+    setMapping((prev) => prev.map((column, i) => (i === index ? { ...column, ...changes } : column)));
+  };
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      setError('');
+      const response = await importContacts({
+        csv,
+        listId: listId || undefined,
+        mapping: mapping.map(({ target, field }) =>
+          target === CUSTOM_FIELD ? `fields.${field.trim()}` : target || null
+        ),
+      });
+      setResult(response.data);
+      onImported();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to import contacts');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import Contacts</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {result ? (
+          <Box>
+            <Alert severity={result.invalid > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+              {result.created} added, {result.updated} updated
+              {result.duplicates > 0 && `, ${result.duplicates} duplicate rows merged`}
+              {result.invalid > 0 && `, ${result.invalid} rows skipped`}
+            </Alert>
+            {result.errors.map((rowError) => (
+              <Typography key={rowError.line} variant="body2" color="text.secondary">
+                Line {rowError.line}: {rowError.error}
+                {rowError.email && ` (${rowError.email})`}
+              </Typography>
+            ))}
+          </Box>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              The first row must name the columns. Addresses that already exist are updated rather than duplicated,
+              and keep their subscription status.
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+              <Button variant="outlined" startIcon={<UploadFile />} onClick={() => fileInputRef.current?.click()}>
+                Choose CSV File
+              </Button>
+              <Typography variant="body2" color="text.secondary">
+                {fileName ? `${fileName} · ${rowCount} rows` : 'No file selected'}
+              </Typography>
+              <input ref={fileInputRef} type="file" accept=".csv,text/csv" hidden onChange={handleFile} />
+            </Box>
+            {header.length > 0 && (
+              <>
+                <Table size="small" sx={{ mb: 2 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Column</TableCell>
+                      <TableCell>Example</TableCell>
+                      <TableCell>Import as</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {header.map((column, index) => (
+                      <TableRow key={index}>
+                        <TableCell>{column || `Column ${index + 1}`}</TableCell>
+                        <TableCell sx={{ color: 'text.secondary', maxWidth: 200, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                          {sampleRow[index]}
+                        </TableCell>
+                        <TableCell>
+                          <Box sx={{ display: 'flex', gap: 1 }}>
+                            <Select
+                              size="small"
+                              value={mapping[index].target}
+                              onChange={(e) => handleMappingChange(index, { target: e.target.value })}
+                              displayEmpty
+                              sx={{ minWidth: 140 }}
+                            >
+                              <MenuItem value="email">Email</MenuItem>
+                              <MenuItem value="name">Name</MenuItem>
+                              <MenuItem value={CUSTOM_FIELD}>Custom field</MenuItem>
+                              <MenuItem value={SKIP}>Skip</MenuItem>
+                            </Select>
+                            {mapping[index].target === CUSTOM_FIELD && (
+                              <TextField
+                                size="small"
+                                placeholder="field_name"
+                                value={mapping[index].field}
+                                onChange={(e) => handleMappingChange(index, { field: e.target.value })}
+                              />
+                            )}
+                          </Box>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                <FormControl fullWidth size="small">
+                  <InputLabel shrink>Add to list</InputLabel>
+                  <Select
+                    label="Add to list"
+                    value={listId}
+                    onChange={(e) => setListId(e.target.value)}
+                    displayEmpty
+                    notched
+                  >
+                    <MenuItem value="">No list</MenuItem>
+                    {lists.map((list) => (
+                      <MenuItem key={list.id} value={list.id}>
+                        {list.name}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose} size="medium" sx={{ fontWeight: 600 }}>
+          {result ? 'Done' : 'Cancel'}
+        </Button>
+        {!result && (
+          <Button
+            onClick={handleImport}
+            variant="contained"
+            size="medium"
+            sx={{ fontWeight: 600 }}
+            disabled={importing || !csv || !mapping.some((column) => column.target === 'email')}
+          >
+            {importing ? 'Importing...' : 'Import'}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ContactImportDialog;
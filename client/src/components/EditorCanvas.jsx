@@ -1,10 +1,22 @@
-import React from 'react';
+import React, { createContext, useContext, useRef } from 'react';
 import { useDroppable } from '@dnd-kit/core';
 import { SortableContext, verticalListSortingStrategy, useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { Box, Paper, Typography, IconButton } from '@mui/material';
-import { Delete, DragIndicator } from '@mui/icons-material';
+import { Box, Paper, Typography, IconButton, Chip, Tooltip } from '@mui/material';
+import { Delete, DragIndicator, FilterAlt, Repeat } from '@mui/icons-material';
 import { useEditor } from '../contexts/EditorContext';
+import { applyMergeTags, buildSampleData, getListItems } from '@shared/mergeTags';
+import { hasCondition, evaluateCondition, formatCondition } from '@shared/conditions';
+import { escapeHTML, getTextContent, richTextToHTML } from '@shared/richText';
+
+// Current element of each enclosing repeater, keyed by item name
+const ItemScopeContext = createContext({});
+
+// Background images whose URL is a merge tag only resolve in the preview
+const backgroundImageSx = (url) =>
+  url && !url.includes('{{')
+    ? { backgroundImage: `url("${encodeURI(url)}")`, backgroundSize: 'cover', backgroundPosition: 'center' }
+    : {};
 
 const ComponentList = ({ parentId, emptyLabel }) => {
   const { getChildren } = useEditor();
@@ -41,7 +53,69 @@ const ComponentList = ({ parentId, emptyLabel }) => {
   );
 };
 
-const ColumnDropZone = ({ column, columnsGap }) => {
+// Smallest share of the row a column can be dragged down to
+const MIN_COLUMN_SHARE = 0.1;
+
+const getColumnRatio = (column) => {
+  const ratio = Number(column?.properties?.ratio);
+  return ratio > 0 ? ratio : 1;
+};
+
+const ColumnResizeHandle = ({ containerRef, ratios, index, width, onResize }) => {
+  const handlePointerDown = (event) => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const startX = event.clientX;
+    const ratioTotal = ratios.reduce((total, ratio) => total + ratio, 0);
+    const pxPerRatio = container.getBoundingClientRect().width / ratioTotal;
+    const pairTotal = ratios[index] + ratios[index + 1];
+    const minRatio = Math.min(ratioTotal * MIN_COLUMN_SHARE, pairTotal / 2);
+
+    const handlePointerMove = (moveEvent) => {
+      const delta = (moveEvent.clientX - startX) / pxPerRatio;
+      const left = Math.min(pairTotal - minRatio, Math.max(minRatio, ratios[index] + delta));
+      const nextRatios = [...ratios];
+      nextRatios[index] = Math.round(left * 100) / 100;
+      nextRatios[index + 1] = Math.round((pairTotal - nextRatios[index]) * 100) / 100;
+      onResize(nextRatios);
+    };
+
+    const handlePointerUp = () => {
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+  };
+
+  return (
+    <Box
+      onPointerDown={handlePointerDown}
+      onClick={(event) => event.stopPropagation()}
+      title="Drag to resize columns"
+      sx={{
+        width: `${Math.max(width, 8)}px`,
+        flexShrink: 0,
+        display: 'flex',
+        justifyContent: 'center',
+        cursor: 'col-resize',
+        touchAction: 'none',
+        '&:hover .resize-bar': {
+          bgcolor: 'primary.main',
+        },
+      }}
+    >
+      <Box className="resize-bar" sx={{ width: 2, borderRadius: 1, bgcolor: 'divider', transition: 'background-color 0.2s' }} />
+    </Box>
+  );
+};
+
+const ColumnDropZone = ({ column, share }) => {
   const { setNodeRef, isOver } = useDroppable({
     id: `drop-${column.id}`,
     data: {
@@ -61,7 +135,7 @@ const ColumnDropZone = ({ column, columnsGap }) => {
         selectComponent(column.id);
       }}
       sx={{
-        flex: 1,
+        flex: `${getColumnRatio(column)} 1 0`,
         minWidth: 0,
         p: `${columnProps.padding?.top ?? 10}px ${columnProps.padding?.right ?? 10}px ${columnProps.padding?.bottom ?? 10}px ${columnProps.padding?.left ?? 10}px`,
         backgroundColor: columnProps.backgroundColor || '#ffffff',
@@ -73,36 +147,105 @@ const ColumnDropZone = ({ column, columnsGap }) => {
     >
       <ComponentList parentId={column.id} emptyLabel="Drop components in this column" />
       <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1, textAlign: 'right' }}>
-        column
+        column · {share}%
       </Typography>
     </Box>
   );
 };
 
 const ColumnsPreview = ({ component }) => {
-  const { getChildren } = useEditor();
+  const { getChildren, setColumnRatios } = useEditor();
+  const containerRef = useRef(null);
   const columns = getChildren(component.id);
   const props = component.properties || {};
+  const ratios = columns.map(getColumnRatio);
+  const ratioTotal = ratios.reduce((total, ratio) => total + ratio, 0);
+
+  const handleResize = (nextRatios) => {
+    setColumnRatios(component.id, nextRatios, { coalesceKey: `${component.id}:ratios` });
+  };
 
   return (
     <Box
       sx={{
         p: `${props.padding?.top ?? 10}px ${props.padding?.right ?? 10}px ${props.padding?.bottom ?? 10}px ${props.padding?.left ?? 10}px`,
         backgroundColor: props.backgroundColor || '#ffffff',
+        ...backgroundImageSx(props.backgroundImage),
         borderRadius: `${props.borderRadius ?? 0}px`,
       }}
     >
-      <Box sx={{ display: 'flex', gap: `${props.gap ?? 16}px` }}>
-        {columns.map((column) => (
-          <ColumnDropZone key={column.id} column={column} columnsGap={props.gap ?? 16} />
+      <Box ref={containerRef} sx={{ display: 'flex' }}>
+        {columns.map((column, index) => (
+          <React.Fragment key={column.id}>
+            {index > 0 && (
+              <ColumnResizeHandle
+                containerRef={containerRef}
+                ratios={ratios}
+                index={index - 1}
+                width={props.gap ?? 16}
+                onResize={handleResize}
+              />
+            )}
+            <ColumnDropZone column={column} share={Math.round((ratios[index] / ratioTotal) * 100)} />
+          </React.Fragment>
         ))}
       </Box>
     </Box>
   );
 };
 
+/**
+ * Repeaters are edited against the first element of their list; the preview shows every element
+ */
+const RepeaterPreview = ({ component }) => {
+  const { variables, previewData } = useEditor();
+  const parentScope = useContext(ItemScopeContext);
+  const { setNodeRef, isOver } = useDroppable({
+    id: `drop-${component.id}`,
+    data: {
+      parentId: component.id,
+    },
+  });
+
+  const props = component.properties || {};
+  const itemName = props.itemName || 'item';
+  const items = getListItems({ ...(previewData || buildSampleData(variables)), ...parentScope }, props.source);
+  const scope = items.length > 0 ? { ...parentScope, [itemName]: items[0] } : parentScope;
+
+  return (
+    <Box
+      ref={setNodeRef}
+      sx={{
+        p: `${props.padding?.top ?? 0}px ${props.padding?.right ?? 0}px ${props.padding?.bottom ?? 0}px ${props.padding?.left ?? 0}px`,
+        backgroundColor: props.backgroundColor || '#ffffff',
+        border: 1,
+        borderStyle: 'dashed',
+        borderColor: isOver ? 'primary.main' : 'divider',
+        borderRadius: 1,
+        transition: 'border-color 0.2s ease',
+      }}
+    >
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'flex', alignItems: 'center', gap: 0.5, p: 1 }}>
+        <Repeat fontSize="inherit" />
+        {props.source
+          ? `For each ${itemName} in ${props.source} · ${items.length} ${items.length === 1 ? 'item' : 'items'}`
+          : 'Choose a list variable to repeat over'}
+      </Typography>
+      <ItemScopeContext.Provider value={scope}>
+        <ComponentList parentId={component.id} emptyLabel="Drop components to repeat for each item" />
+      </ItemScopeContext.Provider>
+      {items.length > 1 && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', p: 1, textAlign: 'right' }}>
+          Showing item 1 of {items.length} · the preview renders every item
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
 const CanvasItem = ({ component, parentId }) => {
-  const { removeComponent, selectComponent, selectedComponentId } = useEditor();
+  const { removeComponent, selectComponent, selectedComponentId, variables, previewData } = useEditor();
+  const itemScope = useContext(ItemScopeContext);
   const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({
     id: component.id,
     data: {
@@ -110,14 +253,26 @@ const CanvasItem = ({ component, parentId }) => {
     },
   });
 
+  const isSelected = selectedComponentId === component.id;
+
+  // Show merge tags with the preview data, or sample values when previewing all blocks
+  const mergeData = { ...(previewData || buildSampleData(variables)), ...itemScope };
+  const withSamples = (value) =>
+    applyMergeTags(value, { syntax: 'render', variables, data: mergeData, keepUnresolved: true });
+  const withSampleMarkup = (html) =>
+    applyMergeTags(html, { syntax: 'render', variables, data: mergeData, keepUnresolved: true, escape: escapeHTML });
+
+  const condition = component.properties?.displayCondition;
+  const isConditional = hasCondition(condition);
+  const isHiddenForPreview =
+    isConditional && previewData !== null && !evaluateCondition(condition, { ...previewData, ...itemScope });
+
   const style = {
     transform: CSS.Transform.toString(transform),
     transition,
-    opacity: isDragging ? 0.5 : 1,
+    opacity: isDragging || isHiddenForPreview ? 0.4 : 1,
   };
 
-  const isSelected = selectedComponentId === component.id;
-
   const renderComponentPreview = () => {
     const props = component.properties || {};
 
@@ -125,15 +280,21 @@ const CanvasItem = ({ component, parentId }) => {
       case 'text':
         return (
           <Typography
+            component="div"
             style={{
               fontSize: props.fontSize,
               color: props.color,
               fontWeight: props.fontWeight,
               textAlign: props.textAlign,
             }}
-          >
-            {props.text}
-          </Typography>
+            sx={{ '& p': { m: 0 }, '& ul': { m: 0, pl: 3 } }}
+            dangerouslySetInnerHTML={{
+              __html: richTextToHTML(getTextContent(props), {
+                personalizeText: withSampleMarkup,
+                personalizeURL: withSampleMarkup,
+              }),
+            }}
+          />
         );
 
       case 'heading':
@@ -147,7 +308,7 @@ const CanvasItem = ({ component, parentId }) => {
               textAlign: props.textAlign,
             }}
           >
-            {props.text}
+            {withSamples(props.text)}
           </Typography>
         );
 
@@ -168,7 +329,7 @@ const CanvasItem = ({ component, parentId }) => {
                 fontWeight: 'bold',
               }}
             >
-              {props.text}
+              {withSamples(props.text)}
             </Box>
           </Box>
         );
@@ -177,8 +338,8 @@ const CanvasItem = ({ component, parentId }) => {
         return (
           <Box sx={{ textAlign: props.textAlign }}>
             <img
-              src={props.src}
-              alt={props.alt}
+              src={withSamples(props.src)}
+              alt={withSamples(props.alt)}
               style={{
                 width: props.fitToContainer === false ? `${props.width || 600}px` : '100%',
                 maxWidth: `${props.width || 600}px`,
@@ -218,9 +379,32 @@ const CanvasItem = ({ component, parentId }) => {
           </Box>
         );
 
+      case 'unsubscribe':
+        return (
+          <Box
+            style={{ fontSize: props.fontSize, color: props.color, textAlign: props.textAlign }}
+            sx={{ lineHeight: 1.5, '& p': { m: 0, mb: 1 } }}
+          >
+            {props.text && <p>{withSamples(props.text)}</p>}
+            {props.address ? (
+              <p style={{ whiteSpace: 'pre-line' }}>{withSamples(props.address)}</p>
+            ) : (
+              <Typography component="p" variant="caption" color="error">
+                Add your postal address
+              </Typography>
+            )}
+            <Box component="span" sx={{ textDecoration: 'underline' }}>
+              {withSamples(props.linkText || 'Unsubscribe')}
+            </Box>
+          </Box>
+        );
+
       case 'columns':
         return <ColumnsPreview component={component} />;
 
+      case 'repeater':
+        return <RepeaterPreview component={component} />;
+
       default:
         return <Typography>Unknown component</Typography>;
     }
@@ -299,6 +483,19 @@ const CanvasItem = ({ component, parentId }) => {
 
       <Box sx={{ ml: 4 }}>{renderComponentPreview()}</Box>
 
+      {isConditional && (
+        <Tooltip title={isHiddenForPreview ? 'Hidden for the current preview data' : 'Shown only when this condition matches'}>
+          <Chip
+            size="small"
+            icon={<FilterAlt />}
+            label={formatCondition(condition)}
+            color={isHiddenForPreview ? 'default' : 'secondary'}
+            variant="outlined"
+            sx={{ position: 'absolute', bottom: 4, left: 8, maxWidth: '60%', height: 20, fontSize: 11 }}
+          />
+        </Tooltip>
+      )}
+
       <Typography
         variant="caption"
         sx={{
@@ -324,7 +521,8 @@ const EditorCanvas = () => {
 
   const { getChildren, getComponent } = useEditor();
   const rootChildren = getChildren('root');
-  const emailMaxWidth = getComponent('root')?.properties?.maxWidth || 600;
+  const rootProperties = getComponent('root')?.properties || {};
+  const emailMaxWidth = rootProperties.maxWidth || 600;
 
   return (
     <Box
@@ -335,6 +533,7 @@ const EditorCanvas = () => {
         maxWidth: '100%',
         mx: 'auto',
         bgcolor: 'white',
+        ...backgroundImageSx(rootProperties.backgroundImage),
         p: 2,
         borderRadius: 1,
         boxShadow: 2,
@@ -0,0 +1,78 @@
+import React, { useMemo, useRef } from 'react';
+import { Box } from '@mui/material';
+
+/**
+ * Build a stylesheet outlining components by id
+ * @param {Object} highlights - Map of component id to outline color
+ */
+const buildHighlightStyles = (highlights) => {
+  return Object.entries(highlights)
+    .map(
+      ([componentId, color]) =>
+        `[data-component-id="${componentId}"] { outline: 2px solid ${color}; outline-offset: -2px; }`
+    )
+    .join('\n');
+};
+
+/**
+ * Render generated email HTML in a sandboxed iframe
+ * Expects HTML generated with the `annotate` option when `highlights` or `onComponentClick` are used.
+ * Scripts never run inside the frame; `onComponentClick` only grants same-origin access so
+ * the editor can listen for clicks.
+ */
+const EmailPreviewFrame = ({ html, highlights = {}, onComponentClick, title = 'Email preview', height = 600, sx }) => {
+  const frameRef = useRef(null);
+  const scrollTopRef = useRef(0);
+  const clickHandlerRef = useRef(onComponentClick);
+  clickHandlerRef.current = onComponentClick;
+
+  const srcDoc = useMemo(() => {
+    const styles = buildHighlightStyles(highlights);
+    const interactiveStyles = onComponentClick ? '[data-component-id] { cursor: pointer; }' : '';
+    const allStyles = [styles, interactiveStyles].filter(Boolean).join('\n');
+    return allStyles ? html.replace('</head>', `<style>${allStyles}</style>\n</head>`) : html;
+  }, [html, highlights, onComponentClick]);
+
+  const handleLoad = () => {
+    if (!onComponentClick) return;
+
+    const frameWindow = frameRef.current?.contentWindow;
+    if (!frameWindow) return;
+
+    // Keep the scroll position across live updates
+    frameWindow.scrollTo(0, scrollTopRef.current);
+    frameWindow.addEventListener('scroll', () => {
+      scrollTopRef.current = frameWindow.scrollY;
+    });
+
+    frameWindow.document.addEventListener('click', (event) => {
+      event.preventDefault();
+      const target = event.target.closest('[data-component-id]');
+      if (target) {
+        clickHandlerRef.current?.(target.getAttribute('data-component-id'));
+      }
+    });
+  };
+
+  return (
+    <Box
+      component="iframe"
+      ref={frameRef}
+      title={title}
+      sandbox={onComponentClick ? 'allow-same-origin' : ''}
+      srcDoc={srcDoc}
+      onLoad={handleLoad}
+      sx={{
+        width: '100%',
+        height,
+        border: 1,
+        borderColor: 'divider',
+        borderRadius: 1,
+        bgcolor: 'white',
+        ...sx,
+      }}
+    />
+  );
+};
+
+export default EmailPreviewFrame;
@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Typography,
+  Stack,
+  Divider,
+  Alert,
+} from '@mui/material';
+import MergeTagField from './MergeTagField';
+import InboxPreview from './InboxPreview';
+import { useEditor } from '../contexts/EditorContext';
+import { buildSampleData } from '@shared/mergeTags';
+import { isValidEmail } from '@shared/email';
+
+/**
+ * Edit the subject, preheader and sender details of the template
+ */
+const EnvelopeDialog = ({ open, onClose }) => {
+  const { envelope, setEnvelope, variables } = useEditor();
+  const [draft, setDraft] = useState(envelope);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setDraft(envelope);
+      setError('');
+    }
+  }, [open, envelope]);
+
+  const handleChange = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = () => {
+    const replyTo = draft.replyTo.trim();
+    if (replyTo && !isValidEmail(replyTo)) {
+      setError('Reply-to must be a valid email address');
+      return;
+    }
+
+    setEnvelope({ ...draft, replyTo });
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Subject &amp; Sender</DialogTitle>
+      <DialogContent sx={{ pt: 1 }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Stack spacing={2} sx={{ pt: 1 }}>
+          <MergeTagField
+            fullWidth
+            label="Subject"
+            value={draft.subject}
+            onChange={(value) => handleChange('subject', value)}
+            helperText={`${draft.subject.length} characters · most inboxes show about 40–60`}
+            inputProps={{ maxLength: 255 }}
+          />
+          <MergeTagField
+            fullWidth
+            label="Preheader"
+            value={draft.preheader}
+            onChange={(value) => handleChange('preheader', value)}
+            helperText={`${draft.preheader.length} characters · hidden preview text shown after the subject`}
+            inputProps={{ maxLength: 255 }}
+          />
+          <Stack direction="row" spacing={2}>
+            <TextField
+              fullWidth
+              label="From Name"
+              value={draft.fromName}
+              onChange={(e) => handleChange('fromName', e.target.value)}
+              inputProps={{ maxLength: 100 }}
+            />
+            <TextField
+              fullWidth
+              type="email"
+              label="Reply-To"
+              value={draft.replyTo}
+              onChange={(e) => handleChange('replyTo', e.target.value)}
+              placeholder="support@example.com"
+            />
+          </Stack>
+        </Stack>
+        <Divider sx={{ my: 3 }} />
+        <Typography variant="subtitle2" sx={{ mb: 1.5 }}>
+          Inbox Preview
+        </Typography>
+        <InboxPreview envelope={draft} variables={variables} data={buildSampleData(variables)} />
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose} size="medium" sx={{ fontWeight: 600 }}>
+          Cancel
+        </Button>
+        <Button onClick={handleSave} variant="contained" size="medium" sx={{ fontWeight: 600 }}>
+          Apply
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EnvelopeDialog;
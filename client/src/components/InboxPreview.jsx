@@ -0,0 +1,91 @@
+import React from 'react';
+import { Avatar, Box, Paper, Stack, Typography } from '@mui/material';
+import { applyMergeTags } from '@shared/mergeTags';
+
+const ellipsis = { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' };
+
+/**
+ * How the envelope looks in an inbox message list, on desktop and on a phone
+ * Merge tags are shown with the given data so personalized subjects read naturally
+ */
+const InboxPreview = ({ envelope = {}, variables = [], data = {}, compact = false }) => {
+  const resolve = (value) =>
+    applyMergeTags(value || '', { syntax: 'render', variables, data, keepUnresolved: true }).trim();
+
+  const fromName = resolve(envelope.fromName) || 'Sender name';
+  const subject = resolve(envelope.subject) || '(no subject)';
+  const preheader = resolve(envelope.preheader);
+  const preheaderText = preheader || 'No preheader: inboxes will show the first text of the email instead';
+
+  const desktopRow = (
+    <Paper variant="outlined" sx={{ display: 'flex', alignItems: 'center', gap: 1.5, px: 1.5, py: 1, minWidth: 0 }}>
+      <Box sx={{ width: 8, height: 8, borderRadius: '50%', bgcolor: 'primary.main', flexShrink: 0 }} />
+      <Typography variant="body2" sx={{ fontWeight: 700, width: 150, flexShrink: 0, ...ellipsis }}>
+        {fromName}
+      </Typography>
+      <Typography variant="body2" sx={{ flex: 1, minWidth: 0, ...ellipsis }}>
+        <Box component="span" sx={{ fontWeight: 700 }}>
+          {subject}
+        </Box>
+        <Box component="span" sx={{ color: 'text.secondary', fontStyle: preheader ? 'normal' : 'italic' }}>
+          {' — '}
+          {preheaderText}
+        </Box>
+      </Typography>
+      <Typography variant="caption" sx={{ fontWeight: 700, flexShrink: 0 }}>
+        9:41 AM
+      </Typography>
+    </Paper>
+  );
+
+  if (compact) return desktopRow;
+
+  return (
+    <Stack spacing={1.5}>
+      <Box>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+          Desktop inbox
+        </Typography>
+        {desktopRow}
+      </Box>
+      <Box>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+          Mobile inbox
+        </Typography>
+        <Paper variant="outlined" sx={{ display: 'flex', gap: 1.5, p: 1.5, maxWidth: 375 }}>
+          <Avatar sx={{ width: 36, height: 36, bgcolor: 'primary.main', fontSize: 16 }}>
+            {fromName.charAt(0).toUpperCase()}
+          </Avatar>
+          <Box sx={{ flex: 1, minWidth: 0 }}>
+            <Stack direction="row" justifyContent="space-between" spacing={1}>
+              <Typography variant="body2" sx={{ fontWeight: 700, ...ellipsis }}>
+                {fromName}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" sx={{ flexShrink: 0 }}>
+                9:41 AM
+              </Typography>
+            </Stack>
+            <Typography variant="body2" sx={{ fontWeight: 700, ...ellipsis }}>
+              {subject}
+            </Typography>
+            <Typography
+              variant="body2"
+              color="text.secondary"
+              sx={{
+                fontStyle: preheader ? 'normal' : 'italic',
+                display: '-webkit-box',
+                WebkitLineClamp: 2,
+                WebkitBoxOrient: 'vertical',
+                overflow: 'hidden',
+              }}
+            >
+              {preheaderText}
+            </Typography>
+          </Box>
+        </Paper>
+      </Box>
+    </Stack>
+  );
+};
+
+export default InboxPreview;
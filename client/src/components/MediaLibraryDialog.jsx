@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  InputAdornment,
+  Typography,
+  Alert,
+  CircularProgress,
+  Grid,
+  Card,
+  CardActionArea,
+  CardContent,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import { Search, UploadFile, Delete, PhotoLibrary } from '@mui/icons-material';
+import { getAssets, uploadAsset, deleteAsset } from '../services/assetService';
+import { formatFileSize, describeImageOptimization } from '../utils/fileSize';
+
+const PAGE_SIZE = 24;
+
+/**
+ * Browse, search and upload the user's images, and pick one for an image component
+ * Uploads are resized for slotWidth, the width the image component is displayed at.
+ */
+const MediaLibraryDialog = ({ open, onClose, onSelect, slotWidth = null }) => {
+  const fileInputRef = useRef(null);
+  const [assets, setAssets] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    // Wait for typing to pause before searching
+    const timeout = setTimeout(() => loadAssets(1), search ? 300 : 0);
+    return () => clearTimeout(timeout);
+  }, [open, search]);
+
+  const loadAssets = async (nextPage) => {
+    try {
+      setLoading(true);
+      const response = await getAssets({ page: nextPage, limit: PAGE_SIZE, search: search || undefined });
+      setAssets((prev) => (nextPage === 1 ? response.data.assets : [...prev, ...response.data.assets]));
+      setTotal(response.data.pagination.total);
+      setPage(nextPage);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load images');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUpload = async (event) => {
+    const files = [...(event.target.files || [])];
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      setUploading(true);
+      setNotice('');
+      let lastUpload = null;
+      for (const file of files) {
+        lastUpload = await uploadAsset(file, slotWidth);
+      }
+      if (files.length === 1 && lastUpload.data.optimization) {
+        setNotice(describeImageOptimization(lastUpload.data.optimization));
+      }
+      setSearch('');
+      await loadAssets(1);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to upload the image');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (asset) => {
+    if (!window.confirm(`Delete ${asset.name}? Templates and sent emails using it will show a broken image.`)) {
+      return;
+    }
+
+    try {
+      await deleteAsset(asset.id);
+      setAssets((prev) => prev.filter((a) => a.id !== asset.id));
+      setTotal((prev) => prev - 1);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete the image');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Media Library</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice('')}>
+            {notice}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 1.5, mb: 2 }}>
+          <TextField
+            size="small"
+            placeholder="Search by file name"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Search fontSize="small" />
+                </InputAdornment>
+              ),
+            }}
+            sx={{ flex: 1 }}
+          />
+          <Button
+            variant="contained"
+            startIcon={uploading ? <CircularProgress size={16} color="inherit" /> : <UploadFile />}
+            sx={{ fontWeight: 600, flexShrink: 0 }}
+            disabled={uploading}
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Upload
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/png,image/jpeg,image/gif,image/webp"
+            multiple
+            hidden
+            onChange={handleUpload}
+          />
+        </Box>
+
+        {loading && assets.length === 0 ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+            <CircularProgress />
+          </Box>
+        ) : assets.length === 0 ? (
+          <Box sx={{ textAlign: 'center', py: 6 }}>
+            <PhotoLibrary color="disabled" sx={{ fontSize: 48, mb: 1 }} />
+            <Typography variant="body1" color="text.secondary">
+              {search ? 'No matching images' : 'Upload PNG, JPEG, GIF or WebP images to reuse them in your templates'}
+            </Typography>
+          </Box>
+        ) : (
+          <>
+            <Grid container spacing={1.5}>
+              {assets.map((asset) => (
+                <Grid item xs={6} sm={4} md={3} key={asset.id}>
+                  <Card variant="outlined" sx={{ position: 'relative', '&:hover .asset-delete': { visibility: 'visible' } }}>
+                    <CardActionArea onClick={() => onSelect(asset)}>
+                      <Box
+                        sx={{
+                          height: 120,
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'center',
+                          bgcolor: 'action.hover',
+                        }}
+                      >
+                        <Box
+                          component="img"
+                          src={asset.url}
+                          alt={asset.name}
+                          loading="lazy"
+                          sx={{ maxWidth: '100%', maxHeight: '100%', objectFit: 'contain' }}
+                        />
+                      </Box>
+                      <CardContent sx={{ p: 1, '&:last-child': { pb: 1 } }}>
+                        <Typography variant="body2" noWrap title={asset.name}>
+                          {asset.name}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {asset.width}×{asset.height} · {formatFileSize(asset.size)}
+                        </Typography>
+                      </CardContent>
+                    </CardActionArea>
+                    <Tooltip title="Delete">
+                      <IconButton
+                        className="asset-delete"
+                        size="small"
+                        onClick={() => handleDelete(asset)}
+                        sx={{
+                          position: 'absolute',
+                          top: 4,
+                          right: 4,
+                          visibility: 'hidden',
+                          bgcolor: 'background.paper',
+                          '&:hover': { bgcolor: 'background.paper' },
+                        }}
+                      >
+                        <Delete fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </Card>
+                </Grid>
+              ))}
+            </Grid>
+            {assets.length < total && (
+              <Box sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+                <Button onClick={() => loadAssets(page + 1)} disabled={loading} sx={{ fontWeight: 600 }}>
+                  {loading ? 'Loading...' : 'Load more'}
+                </Button>
+              </Box>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose} size="medium" sx={{ fontWeight: 600 }}>
+          Cancel
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default MediaLibraryDialog;
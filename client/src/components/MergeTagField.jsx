@@ -0,0 +1,73 @@
+import React, { useRef, useState } from 'react';
+import { TextField, InputAdornment, IconButton, Menu, MenuItem, ListItemText, Tooltip } from '@mui/material';
+import { DataObject } from '@mui/icons-material';
+import { useEditor, VARIABLE_SOURCE_LABELS } from '../contexts/EditorContext';
+
+/**
+ * TextField with a picker that inserts {{variable}} merge tags at the cursor
+ * Inside a repeater the picker also offers the current item's fields
+ */
+const MergeTagField = ({ value, onChange, InputProps, ...props }) => {
+  const { selectedComponentId, getScopedVariables } = useEditor();
+  const variables = getScopedVariables(selectedComponentId);
+  const inputRef = useRef(null);
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const handleInsert = (name) => {
+    const currentValue = value || '';
+    const input = inputRef.current;
+    const start = input?.selectionStart ?? currentValue.length;
+    const end = input?.selectionEnd ?? currentValue.length;
+    const tag = `{{${name}}}`;
+
+    onChange(`${currentValue.slice(0, start)}${tag}${currentValue.slice(end)}`);
+    setAnchorEl(null);
+
+    // Restore the caret after the inserted tag once React has re-rendered
+    requestAnimationFrame(() => {
+      input?.focus();
+      input?.setSelectionRange(start + tag.length, start + tag.length);
+    });
+  };
+
+  return (
+    <>
+      <TextField
+        {...props}
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        inputRef={inputRef}
+        InputProps={{
+          ...InputProps,
+          endAdornment: (
+            <InputAdornment position="end" sx={{ alignSelf: props.multiline ? 'flex-start' : 'center', mt: props.multiline ? 1.5 : 0 }}>
+              <Tooltip title="Insert merge tag">
+                <IconButton size="small" edge="end" onClick={(e) => setAnchorEl(e.currentTarget)}>
+                  <DataObject fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            </InputAdornment>
+          ),
+        }}
+      />
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {variables.length === 0 ? (
+          <MenuItem disabled>No variables defined yet</MenuItem>
+        ) : (
+          variables.map((variable) => (
+            <MenuItem key={variable.name} onClick={() => handleInsert(variable.name)}>
+              <ListItemText
+                primary={`{{${variable.name}}}`}
+                secondary={`${VARIABLE_SOURCE_LABELS[variable.source] || ''}${
+                  variable.sampleValue ? `e.g. ${variable.sampleValue}` : variable.type
+                }`}
+              />
+            </MenuItem>
+          ))
+        )}
+      </Menu>
+    </>
+  );
+};
+
+export default MergeTagField;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  Stack,
+  TextField,
+  Typography,
+  Alert,
+} from '@mui/material';
+import { Edit } from '@mui/icons-material';
+import { useEditor } from '../contexts/EditorContext';
+import { buildSampleData } from '@shared/mergeTags';
+
+/**
+ * Choose which data the canvas and preview use to evaluate display conditions
+ */
+const PreviewAsSwitcher = () => {
+  const { previewAs, setPreviewAs, variables } = useEditor();
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState('');
+
+  const openDataDialog = () => {
+    const data = previewAs.mode === 'custom' ? previewAs.data : buildSampleData(variables);
+    setDraft(JSON.stringify(data, null, 2));
+    setError('');
+    setDialogOpen(true);
+  };
+
+  const handleModeChange = (mode) => {
+    if (mode === 'custom') {
+      openDataDialog();
+      return;
+    }
+    setPreviewAs({ mode, data: {} });
+  };
+
+  const handleApply = () => {
+    try {
+      const data = JSON.parse(draft || '{}');
+      setPreviewAs({ mode: 'custom', data });
+      setDialogOpen(false);
+    } catch (err) {
+      setError('Preview data must be valid JSON');
+    }
+  };
+
+  return (
+    <>
+      <Stack direction="row" spacing={1} alignItems="center">
+        <FormControl size="small" sx={{ minWidth: 170 }}>
+          <InputLabel>Preview as</InputLabel>
+          <Select label="Preview as" value={previewAs.mode} onChange={(e) => handleModeChange(e.target.value)}>
+            <MenuItem value="all">All blocks</MenuItem>
+            <MenuItem value="sample">Sample data</MenuItem>
+            <MenuItem value="custom">Custom data…</MenuItem>
+          </Select>
+        </FormControl>
+        {previewAs.mode === 'custom' && (
+          <Button size="small" startIcon={<Edit />} onClick={openDataDialog} sx={{ fontWeight: 600 }}>
+            Edit data
+          </Button>
+        )}
+      </Stack>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Preview Data</DialogTitle>
+        <DialogContent sx={{ pt: 1 }}>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Display conditions and merge tags are evaluated against this data.
+          </Typography>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            multiline
+            minRows={8}
+            label="Data (JSON)"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setDialogOpen(false)} size="medium" sx={{ fontWeight: 600 }}>
+            Cancel
+          </Button>
+          <Button onClick={handleApply} variant="contained" size="medium" sx={{ fontWeight: 600 }}>
+            Apply
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default PreviewAsSwitcher;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Box, ToggleButton, ToggleButtonGroup, TextField, Typography, Stack, Tooltip } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { DesktopWindows, PhoneIphone, SettingsEthernet, LightMode, DarkMode } from '@mui/icons-material';
+import EmailPreviewFrame from './EmailPreviewFrame';
+import InboxPreview from './InboxPreview';
+import { useEditor } from '../contexts/EditorContext';
+import { renderTemplateHTML } from '@shared/emailGenerator';
+import { buildSampleData } from '@shared/mergeTags';
+
+const PREVIEW_DEBOUNCE_MS = 300;
+const MOBILE_WIDTH = 375;
+
+const VIEWPORTS = {
+  desktop: { label: 'Desktop', icon: <DesktopWindows fontSize="small" /> },
+  mobile: { label: `Mobile (${MOBILE_WIDTH}px)`, icon: <PhoneIphone fontSize="small" /> },
+  custom: { label: 'Custom', icon: <SettingsEthernet fontSize="small" /> },
+};
+
+/**
+ * Live preview of the generated email HTML
+ * Renders the real export output, not the canvas approximation
+ */
+const PreviewPane = () => {
+  const theme = useTheme();
+  const {
+    componentTree,
+    htmlDocument,
+    variables,
+    envelope,
+    previewData,
+    isEjected,
+    selectedComponentId,
+    selectComponent,
+  } = useEditor();
+  const [viewport, setViewport] = useState('desktop');
+  const [customWidth, setCustomWidth] = useState(480);
+  const [colorScheme, setColorScheme] = useState('light');
+  const renderHTML = () =>
+    renderTemplateHTML(
+      { componentTree, htmlDocument, variables, envelope },
+      // Without preview data every conditional block is shown, merged with sample values
+      previewData
+        ? { annotate: true, colorScheme, mergeTagSyntax: 'render', data: previewData }
+        : {
+            annotate: true,
+            colorScheme,
+            mergeTagSyntax: 'render',
+            data: buildSampleData(variables),
+            ignoreConditions: true,
+          }
+    );
+  const [html, setHtml] = useState(renderHTML);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setHtml(renderHTML());
+    }, PREVIEW_DEBOUNCE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [componentTree, htmlDocument, variables, envelope, previewData, colorScheme]);
+
+  const frameWidth =
+    viewport === 'mobile' ? `${MOBILE_WIDTH}px` : viewport === 'custom' ? `${customWidth}px` : '100%';
+  const highlights = selectedComponentId ? { [selectedComponentId]: theme.palette.primary.main } : {};
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1.5 }}>
+        <ToggleButtonGroup size="small" exclusive value={viewport} onChange={(e, value) => value && setViewport(value)}>
+          {Object.entries(VIEWPORTS).map(([key, { label, icon }]) => (
+            <ToggleButton key={key} value={key} sx={{ gap: 0.75 }}>
+              {icon}
+              {label}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        {!isEjected && (
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={colorScheme}
+            onChange={(e, value) => value && setColorScheme(value)}
+          >
+            <ToggleButton value="light" aria-label="Light mode">
+              <Tooltip title="Light mode">
+                <LightMode fontSize="small" />
+              </Tooltip>
+            </ToggleButton>
+            <ToggleButton value="dark" aria-label="Dark mode">
+              <Tooltip title="Dark mode (your overrides only; clients may still adjust other colors)">
+                <DarkMode fontSize="small" />
+              </Tooltip>
+            </ToggleButton>
+          </ToggleButtonGroup>
+        )}
+        {viewport === 'custom' && (
+          <TextField
+            size="small"
+            type="number"
+            label="Width (px)"
+            value={customWidth}
+            onChange={(e) => {
+              const value = Number(e.target.value);
+              if (!Number.isNaN(value)) {
+                setCustomWidth(Math.min(1600, Math.max(240, value)));
+              }
+            }}
+            InputProps={{ inputProps: { min: 240, max: 1600 } }}
+            sx={{ width: 130 }}
+          />
+        )}
+        {!isEjected && (
+          <Typography variant="caption" color="text.secondary">
+            Click a block in the preview to select it
+          </Typography>
+        )}
+      </Stack>
+      {!isEjected && (
+        <Box sx={{ mb: 1.5 }}>
+          <InboxPreview
+            compact
+            envelope={envelope}
+            variables={variables}
+            data={previewData || buildSampleData(variables)}
+          />
+        </Box>
+      )}
+      <Box sx={{ flex: 1, minHeight: 0, display: 'flex', justifyContent: 'center', overflowX: 'auto' }}>
+        <EmailPreviewFrame
+          html={html}
+          highlights={highlights}
+          onComponentClick={isEjected ? undefined : selectComponent}
+          title="Live preview"
+          height="100%"
+          sx={{ width: frameWidth, flexShrink: 0, maxWidth: viewport === 'desktop' ? '100%' : 'none' }}
+        />
+      </Box>
+    </Box>
+  );
+};
+
+export default PreviewPane;
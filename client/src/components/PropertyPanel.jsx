@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   Typography,
@@ -14,6 +14,7 @@ import {
   Button,
   Switch,
   FormControlLabel,
+  CircularProgress,
 } from '@mui/material';
 import {
   FormatAlignLeft,
@@ -21,17 +22,56 @@ import {
   FormatAlignRight,
   Tune,
   ViewColumn,
+  FilterAlt,
   WarningAmber,
+  DarkMode,
+  UploadFile,
+  PhotoLibrary,
 } from '@mui/icons-material';
+import MergeTagField from './MergeTagField';
+import RichTextEditor from './RichTextEditor';
+import MediaLibraryDialog from './MediaLibraryDialog';
 import { useEditor } from '../contexts/EditorContext';
+import { uploadAsset } from '../services/assetService';
+import { COLUMN_LAYOUT_PRESETS, DARK_MODE_PROPERTIES } from '../utils/componentDefaults';
+import { ITEM_NAME_PATTERN, VARIABLE_NAME_PATTERN } from '@shared/mergeTags';
+import { getTextContent, richTextToPlainText } from '@shared/richText';
+import { CONDITION_OPERATORS } from '@shared/conditions';
+import { DEFAULT_TEXT_LINE_WIDTH, MAX_TEXT_LINE_WIDTH, resolveTextLineWidth } from '@shared/emailText';
+import { collectImageSlots } from '@shared/emailGenerator';
+import { describeImageOptimization } from '../utils/fileSize';
+
+const formatColumnLayout = (ratios) => {
+  const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+  return ratios.map((ratio) => Math.round((ratio / total) * 100)).join(' / ');
+};
 
 const PropertyPanel = () => {
-  const { selectedComponentId, getComponent, updateComponent, setColumnsCount } = useEditor();
+  const {
+    componentTree,
+    selectedComponentId,
+    getComponent,
+    updateComponent,
+    setColumnsCount,
+    setColumnRatios,
+    getScopedVariables,
+  } = useEditor();
   const [localProperties, setLocalProperties] = useState({});
+  const [mediaLibraryOpen, setMediaLibraryOpen] = useState(false);
+  const [imageUploading, setImageUploading] = useState(false);
+  const [imageUploadError, setImageUploadError] = useState('');
+  const [imageUploadNotice, setImageUploadNotice] = useState('');
   const rootComponent = getComponent('root');
   const rootProperties = rootComponent?.properties || { maxWidth: 600 };
 
   const selectedComponent = selectedComponentId ? getComponent(selectedComponentId) : null;
+  const variables = selectedComponent ? getScopedVariables(selectedComponentId) : [];
+
+  // Width the selected image is displayed at, which depends on the columns and template width around it
+  const imageSlotWidth = useMemo(() => {
+    if (selectedComponent?.type !== 'image') return null;
+    return collectImageSlots(componentTree).find((slot) => slot.componentId === selectedComponentId)?.width || null;
+  }, [componentTree, selectedComponentId, selectedComponent?.type]);
 
   useEffect(() => {
     if (selectedComponent) {
@@ -39,18 +79,38 @@ const PropertyPanel = () => {
     }
   }, [selectedComponent]);
 
+  useEffect(() => {
+    setImageUploadNotice('');
+  }, [selectedComponentId]);
+
   const handleTemplateSettingChange = (property, value) => {
     const nextRootProperties = {
       ...rootProperties,
       [property]: value,
     };
-    updateComponent('root', { properties: nextRootProperties });
+    updateComponent('root', { properties: nextRootProperties }, { coalesceKey: `root:${property}` });
   };
 
   const handlePropertyChange = (property, value) => {
     const newProperties = { ...localProperties, [property]: value };
     setLocalProperties(newProperties);
-    updateComponent(selectedComponentId, { properties: newProperties });
+    // Rapid edits to the same field collapse into one undo step
+    updateComponent(
+      selectedComponentId,
+      { properties: newProperties },
+      { coalesceKey: `${selectedComponentId}:${property}` }
+    );
+  };
+
+  // Rich content is stored structured; `text` keeps a plain copy for places that show a summary
+  const handleTextContentChange = (content) => {
+    const newProperties = { ...localProperties, content, text: richTextToPlainText(content) };
+    setLocalProperties(newProperties);
+    updateComponent(
+      selectedComponentId,
+      { properties: newProperties },
+      { coalesceKey: `${selectedComponentId}:content` }
+    );
   };
 
   const handleNestedPropertyChange = (parent, property, value) => {
@@ -58,6 +118,29 @@ const PropertyPanel = () => {
     handlePropertyChange(parent, newNested);
   };
 
+  // The upload may finish after another component was selected, so it updates the one it started on
+  const handleImageUpload = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const componentId = selectedComponentId;
+    try {
+      setImageUploading(true);
+      setImageUploadError('');
+      setImageUploadNotice('');
+      const response = await uploadAsset(file, imageSlotWidth);
+      updateComponent(componentId, { properties: { src: response.data.url } });
+      if (response.data.optimization) {
+        setImageUploadNotice(describeImageOptimization(response.data.optimization));
+      }
+    } catch (err) {
+      setImageUploadError(err.response?.data?.error || 'Failed to upload the image');
+    } finally {
+      setImageUploading(false);
+    }
+  };
+
   const hasContentInRemovedColumns = (columnsComponentId, nextCount) => {
     const columnsComponent = getComponent(columnsComponentId);
     if (!columnsComponent || !Array.isArray(columnsComponent.children)) return false;
@@ -71,14 +154,11 @@ const PropertyPanel = () => {
 
   const renderTextProperties = () => (
     <>
-      <TextField
-        fullWidth
+      <RichTextEditor
+        key={selectedComponentId}
         label="Text"
-        multiline
-        rows={3}
-        value={localProperties.text || ''}
-        onChange={(e) => handlePropertyChange('text', e.target.value)}
-        sx={{ mb: 2 }}
+        value={getTextContent(localProperties)}
+        onChange={handleTextContentChange}
       />
       <TextField
         fullWidth
@@ -133,11 +213,11 @@ const PropertyPanel = () => {
 
   const renderHeadingProperties = () => (
     <>
-      <TextField
+      <MergeTagField
         fullWidth
         label="Text"
-        value={localProperties.text || ''}
-        onChange={(e) => handlePropertyChange('text', e.target.value)}
+        value={localProperties.text}
+        onChange={(value) => handlePropertyChange('text', value)}
         sx={{ mb: 2 }}
       />
       <FormControl fullWidth sx={{ mb: 2 }}>
@@ -196,18 +276,18 @@ const PropertyPanel = () => {
 
   const renderButtonProperties = () => (
     <>
-      <TextField
+      <MergeTagField
         fullWidth
         label="Button Text"
-        value={localProperties.text || ''}
-        onChange={(e) => handlePropertyChange('text', e.target.value)}
+        value={localProperties.text}
+        onChange={(value) => handlePropertyChange('text', value)}
         sx={{ mb: 2 }}
       />
-      <TextField
+      <MergeTagField
         fullWidth
         label="Link URL"
-        value={localProperties.url || ''}
-        onChange={(e) => handlePropertyChange('url', e.target.value)}
+        value={localProperties.url}
+        onChange={(value) => handlePropertyChange('url', value)}
         sx={{ mb: 2 }}
       />
       <TextField
@@ -240,18 +320,18 @@ const PropertyPanel = () => {
 
   const renderImageProperties = () => (
     <>
-      <TextField
+      <MergeTagField
         fullWidth
         label="Image URL"
-        value={localProperties.src || ''}
-        onChange={(e) => handlePropertyChange('src', e.target.value)}
+        value={localProperties.src}
+        onChange={(value) => handlePropertyChange('src', value)}
         sx={{ mb: 2 }}
       />
-      <TextField
+      <MergeTagField
         fullWidth
         label="Alt Text"
-        value={localProperties.alt || ''}
-        onChange={(e) => handlePropertyChange('alt', e.target.value)}
+        value={localProperties.alt}
+        onChange={(value) => handlePropertyChange('alt', value)}
         sx={{ mb: 2 }}
       />
       <TextField
@@ -276,43 +356,58 @@ const PropertyPanel = () => {
       <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
         When enabled, image scales to available column/template width.
       </Typography>
-      <TextField
+      <MergeTagField
         fullWidth
         label="Link URL (optional)"
-        value={localProperties.href || ''}
-        onChange={(e) => handlePropertyChange('href', e.target.value)}
+        value={localProperties.href}
+        onChange={(value) => handlePropertyChange('href', value)}
         sx={{ mb: 2 }}
       />
-      <Button
-        fullWidth
-        variant="outlined"
-        component="label"
-        sx={{ mb: 2, fontWeight: 600 }}
+      <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+        <Button
+          fullWidth
+          variant="outlined"
+          component="label"
+          disabled={imageUploading}
+          startIcon={imageUploading ? <CircularProgress size={16} /> : <UploadFile />}
+          sx={{ fontWeight: 600 }}
+        >
+          Upload
+          <input
+            type="file"
+            accept="image/png,image/jpeg,image/gif,image/webp"
+            hidden
+            onChange={handleImageUpload}
+          />
+        </Button>
+        <Button
+          fullWidth
+          variant="outlined"
+          startIcon={<PhotoLibrary />}
+          sx={{ fontWeight: 600 }}
+          onClick={() => setMediaLibraryOpen(true)}
+        >
+          Library
+        </Button>
+      </Box>
+      <Typography
+        variant="caption"
+        color={imageUploadError ? 'error' : 'text.secondary'}
+        sx={{ display: 'block', mb: 2 }}
       >
-        Upload Image from Computer
-        <input
-          type="file"
-          accept="image/*"
-          hidden
-          onChange={(event) => {
-            const file = event.target.files?.[0];
-            if (!file) return;
-
-            const reader = new FileReader();
-            reader.onload = () => {
-              if (typeof reader.result === 'string') {
-                handlePropertyChange('src', reader.result);
-              }
-            };
-            reader.readAsDataURL(file);
-
-            event.target.value = '';
-          }}
-        />
-      </Button>
-      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
-        Selected image is embedded in the template for export
+        {imageUploadError ||
+          imageUploadNotice ||
+          'Uploaded images are hosted at a public URL and resized for the width they are shown at'}
       </Typography>
+      <MediaLibraryDialog
+        open={mediaLibraryOpen}
+        slotWidth={imageSlotWidth}
+        onClose={() => setMediaLibraryOpen(false)}
+        onSelect={(asset) => {
+          handlePropertyChange('src', asset.url);
+          setMediaLibraryOpen(false);
+        }}
+      />
     </>
   );
 
@@ -353,6 +448,123 @@ const PropertyPanel = () => {
     </Box>
   );
 
+  const renderUnsubscribeProperties = () => {
+    const addressMissing = !String(localProperties.address || '').trim();
+
+    return (
+      <>
+        <MergeTagField
+          fullWidth
+          multiline
+          minRows={2}
+          label="Text"
+          value={localProperties.text}
+          onChange={(value) => handlePropertyChange('text', value)}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          required
+          multiline
+          minRows={2}
+          label="Postal Address"
+          value={localProperties.address || ''}
+          onChange={(e) => handlePropertyChange('address', e.target.value)}
+          error={addressMissing}
+          helperText="Required by anti-spam laws such as CAN-SPAM. Campaigns cannot be sent without it."
+          sx={{ mb: 2 }}
+        />
+        <MergeTagField
+          fullWidth
+          label="Link Text"
+          value={localProperties.linkText}
+          onChange={(value) => handlePropertyChange('linkText', value)}
+          sx={{ mb: 1 }}
+        />
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+          Links to each recipient's preference page, where they can opt out of your lists.
+        </Typography>
+        <TextField
+          fullWidth
+          type="number"
+          label="Font Size"
+          value={localProperties.fontSize || 12}
+          onChange={(e) => handlePropertyChange('fontSize', Number(e.target.value))}
+          InputProps={{ inputProps: { min: 8, max: 24 } }}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          type="color"
+          label="Text Color"
+          value={localProperties.color || '#888888'}
+          onChange={(e) => handlePropertyChange('color', e.target.value)}
+          sx={{ mb: 2 }}
+        />
+        <Box sx={{ mb: 2 }}>
+          <Typography variant="caption" gutterBottom>
+            Text Align
+          </Typography>
+          <ToggleButtonGroup
+            value={localProperties.textAlign || 'center'}
+            exclusive
+            onChange={(e, value) => value && handlePropertyChange('textAlign', value)}
+            fullWidth
+          >
+            <ToggleButton value="left">
+              <FormatAlignLeft />
+            </ToggleButton>
+            <ToggleButton value="center">
+              <FormatAlignCenter />
+            </ToggleButton>
+            <ToggleButton value="right">
+              <FormatAlignRight />
+            </ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+      </>
+    );
+  };
+
+  const renderColumnLayoutPresets = () => {
+    const columnIds = selectedComponent.children || [];
+    const presets = COLUMN_LAYOUT_PRESETS[columnIds.length] || [];
+    const currentRatios = columnIds.map((columnId) => Number(getComponent(columnId)?.properties?.ratio) || 1);
+    const currentLayout = formatColumnLayout(currentRatios);
+
+    return (
+      <Box sx={{ mb: 2 }}>
+        <Typography variant="caption" gutterBottom>
+          Layout (% width) · current {currentLayout}
+        </Typography>
+        <ToggleButtonGroup
+          value={currentLayout}
+          exclusive
+          size="small"
+          onChange={(e, value) => {
+            const preset = presets.find((ratios) => formatColumnLayout(ratios) === value);
+            if (preset) {
+              setColumnRatios(selectedComponentId, preset);
+            }
+          }}
+          sx={{ flexWrap: 'wrap' }}
+        >
+          {presets.map((ratios) => {
+            const label = formatColumnLayout(ratios);
+            return (
+              <ToggleButton key={label} value={label} sx={{ px: 1, fontSize: 12 }}>
+                {label}
+              </ToggleButton>
+            );
+          })}
+        </ToggleButtonGroup>
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+          Drag the handles between columns on the canvas for custom widths.
+        </Typography>
+      </Box>
+    );
+  };
+
   const renderColumnsProperties = () => (
     <>
       <TextField
@@ -378,7 +590,6 @@ const PropertyPanel = () => {
             }
           }
 
-          handlePropertyChange('columns', boundedValue);
           setColumnsCount(selectedComponentId, boundedValue);
         }}
         InputProps={{ inputProps: { min: 2, max: 4 } }}
@@ -388,6 +599,7 @@ const PropertyPanel = () => {
         <WarningAmber fontSize="inherit" />
         Lowering count can remove content from deleted columns
       </Typography>
+      {renderColumnLayoutPresets()}
       <TextField
         fullWidth
         type="number"
@@ -397,6 +609,19 @@ const PropertyPanel = () => {
         InputProps={{ inputProps: { min: 0, max: 60 } }}
         sx={{ mb: 2 }}
       />
+      <FormControlLabel
+        control={
+          <Switch
+            checked={localProperties.reverseOnMobile ?? false}
+            onChange={(e) => handlePropertyChange('reverseOnMobile', e.target.checked)}
+          />
+        }
+        label="Reverse order on mobile"
+        sx={{ mb: 1 }}
+      />
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+        Stacks the last column first, for alternating image-left/image-right rows.
+      </Typography>
       <TextField
         fullWidth
         type="color"
@@ -405,6 +630,14 @@ const PropertyPanel = () => {
         onChange={(e) => handlePropertyChange('backgroundColor', e.target.value)}
         sx={{ mb: 2 }}
       />
+      <MergeTagField
+        fullWidth
+        label="Background Image URL"
+        value={localProperties.backgroundImage}
+        onChange={(value) => handlePropertyChange('backgroundImage', value)}
+        helperText="Shown behind the whole row; column background colors cover it"
+        sx={{ mb: 2 }}
+      />
       <TextField
         fullWidth
         type="number"
@@ -439,6 +672,188 @@ const PropertyPanel = () => {
     </>
   );
 
+  const renderRepeaterProperties = () => {
+    const listVariables = variables.filter((variable) => variable.type === 'list');
+    const itemName = localProperties.itemName ?? 'item';
+
+    return (
+      <>
+        <FormControl fullWidth sx={{ mb: 2 }}>
+          <InputLabel>Repeat for each item in</InputLabel>
+          <Select
+            label="Repeat for each item in"
+            value={localProperties.source || ''}
+            onChange={(e) => handlePropertyChange('source', e.target.value)}
+          >
+            {listVariables.length === 0 && (
+              <MenuItem value="" disabled>
+                No list variables defined
+              </MenuItem>
+            )}
+            {listVariables.map((variable) => (
+              <MenuItem key={variable.name} value={variable.name}>
+                {variable.name}
+              </MenuItem>
+            ))}
+            {localProperties.source && !listVariables.some((variable) => variable.name === localProperties.source) && (
+              <MenuItem value={localProperties.source}>{localProperties.source} (undefined)</MenuItem>
+            )}
+          </Select>
+        </FormControl>
+        <TextField
+          fullWidth
+          label="Item Name"
+          value={itemName}
+          onChange={(e) => handlePropertyChange('itemName', e.target.value.trim())}
+          error={!ITEM_NAME_PATTERN.test(itemName)}
+          helperText={
+            ITEM_NAME_PATTERN.test(itemName)
+              ? `Use {{${itemName}.field}} in the blocks inside`
+              : 'Use letters, digits and underscores only'
+          }
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          type="number"
+          label="Spacing Between Items (px)"
+          value={localProperties.itemSpacing || 0}
+          onChange={(e) => handlePropertyChange('itemSpacing', Number(e.target.value))}
+          InputProps={{ inputProps: { min: 0, max: 60 } }}
+          sx={{ mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          type="color"
+          label="Background Color"
+          value={localProperties.backgroundColor || '#ffffff'}
+          onChange={(e) => handlePropertyChange('backgroundColor', e.target.value)}
+          sx={{ mb: 2 }}
+        />
+      </>
+    );
+  };
+
+  /**
+   * Switch per overridable color; colors left off follow the client's own dark mode handling
+   */
+  const renderDarkModeFields = (fields, darkMode = {}, onChange) =>
+    fields.map(({ property, label, suggested }) => (
+      <Box key={property} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1.5 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              size="small"
+              checked={Boolean(darkMode[property])}
+              onChange={(e) => onChange(property, e.target.checked ? suggested : '')}
+            />
+          }
+          label={<Typography variant="body2">{label}</Typography>}
+          sx={{ flex: 1, mr: 0 }}
+        />
+        {darkMode[property] && (
+          <TextField
+            size="small"
+            type="color"
+            value={darkMode[property]}
+            onChange={(e) => onChange(property, e.target.value)}
+            sx={{ width: 72 }}
+          />
+        )}
+      </Box>
+    ));
+
+  const renderDarkMode = () => (
+    <>
+      <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 1, mb: 1.5 }}>
+        <DarkMode fontSize="small" />
+        Dark Mode
+      </Typography>
+      {renderDarkModeFields(DARK_MODE_PROPERTIES[selectedComponent.type], localProperties.darkMode, (property, value) =>
+        handleNestedPropertyChange('darkMode', property, value)
+      )}
+    </>
+  );
+
+  const renderDisplayCondition = () => {
+    const condition = localProperties.displayCondition || null;
+    const operator = condition?.operator || 'eq';
+    // System variables only get their value when sending, so they cannot decide what shows
+    const conditionVariables = variables.filter((variable) => variable.source !== 'system');
+
+    const handleConditionChange = (updates) => {
+      handlePropertyChange('displayCondition', { variable: '', operator: 'eq', value: '', ...condition, ...updates });
+    };
+
+    return (
+      <>
+        <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 1, mb: 1.5 }}>
+          <FilterAlt fontSize="small" />
+          Display Condition
+        </Typography>
+        <FormControl fullWidth sx={{ mb: 2 }}>
+          <InputLabel>Show when variable</InputLabel>
+          <Select
+            label="Show when variable"
+            value={condition?.variable || ''}
+            onChange={(e) =>
+              e.target.value
+                ? handleConditionChange({ variable: e.target.value })
+                : handlePropertyChange('displayCondition', null)
+            }
+          >
+            <MenuItem value="">
+              <em>Always show</em>
+            </MenuItem>
+            {conditionVariables.map((variable) => (
+              <MenuItem key={variable.name} value={variable.name}>
+                {variable.name}
+              </MenuItem>
+            ))}
+            {condition?.variable && !variables.some((variable) => variable.name === condition.variable) && (
+              <MenuItem value={condition.variable}>
+                {condition.variable} ({VARIABLE_NAME_PATTERN.test(condition.variable) ? 'undefined' : 'invalid name, ignored'})
+              </MenuItem>
+            )}
+          </Select>
+        </FormControl>
+        {condition?.variable && (
+          <>
+            <FormControl fullWidth sx={{ mb: 2 }}>
+              <InputLabel>Operator</InputLabel>
+              <Select
+                label="Operator"
+                value={operator}
+                onChange={(e) => handleConditionChange({ operator: e.target.value })}
+              >
+                {Object.entries(CONDITION_OPERATORS).map(([key, { label }]) => (
+                  <MenuItem key={key} value={key}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            {CONDITION_OPERATORS[operator]?.needsValue && (
+              <TextField
+                fullWidth
+                label="Value"
+                value={condition.value || ''}
+                onChange={(e) => handleConditionChange({ value: e.target.value })}
+                helperText={operator === 'in' || operator === 'not_in' ? 'Separate values with commas' : undefined}
+                sx={{ mb: 2 }}
+              />
+            )}
+          </>
+        )}
+        {conditionVariables.length === 0 && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+            Define template variables to show this block conditionally.
+          </Typography>
+        )}
+      </>
+    );
+  };
+
   const renderProperties = () => {
     switch (selectedComponent.type) {
       case 'text':
@@ -453,10 +868,14 @@ const PropertyPanel = () => {
         return renderDividerProperties();
       case 'spacer':
         return renderSpacerProperties();
+      case 'unsubscribe':
+        return renderUnsubscribeProperties();
       case 'columns':
         return renderColumnsProperties();
       case 'column':
         return renderColumnProperties();
+      case 'repeater':
+        return renderRepeaterProperties();
       default:
         return <Typography>No properties available</Typography>;
     }
@@ -484,9 +903,75 @@ const PropertyPanel = () => {
         InputProps={{ inputProps: { min: 320, max: 1200 } }}
         sx={{ mb: 1.5 }}
       />
-      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2.5 }}>
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
         This controls responsive email container width during preview and export.
       </Typography>
+      <TextField
+        fullWidth
+        type="number"
+        label="Mobile Breakpoint (px)"
+        value={rootProperties.mobileBreakpoint || 480}
+        onChange={(e) => {
+          const value = Number(e.target.value);
+          if (!Number.isNaN(value)) {
+            const bounded = Math.min(800, Math.max(320, value));
+            handleTemplateSettingChange('mobileBreakpoint', bounded);
+          }
+        }}
+        InputProps={{ inputProps: { min: 320, max: 800 } }}
+        sx={{ mb: 1.5 }}
+      />
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+        Columns stack vertically on screens narrower than this width.
+      </Typography>
+      <TextField
+        fullWidth
+        type="number"
+        label="Plain-text Line Width"
+        value={rootProperties.textLineWidth ?? DEFAULT_TEXT_LINE_WIDTH}
+        onChange={(e) => {
+          const value = Number(e.target.value);
+          if (!Number.isNaN(value)) {
+            handleTemplateSettingChange('textLineWidth', resolveTextLineWidth(value));
+          }
+        }}
+        InputProps={{ inputProps: { min: 0, max: MAX_TEXT_LINE_WIDTH } }}
+        sx={{ mb: 1.5 }}
+      />
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2.5 }}>
+        Characters per line in the plain-text version. Use 0 to turn wrapping off.
+      </Typography>
+      <TextField
+        fullWidth
+        label="Background Image URL"
+        value={rootProperties.backgroundImage || ''}
+        onChange={(e) => handleTemplateSettingChange('backgroundImage', e.target.value)}
+        placeholder="https://"
+        sx={{ mb: 2 }}
+      />
+      <FormControlLabel
+        control={
+          <Switch
+            checked={rootProperties.outlookSafe ?? false}
+            onChange={(e) => handleTemplateSettingChange('outlookSafe', e.target.checked)}
+          />
+        }
+        label="Outlook-safe rendering"
+        sx={{ mb: 1 }}
+      />
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2.5 }}>
+        Adds VML fallbacks so buttons keep their shape and background images show in Outlook desktop.
+      </Typography>
+      <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mb: 1.5 }}>
+        <DarkMode fontSize="small" />
+        Dark Mode
+      </Typography>
+      {renderDarkModeFields(DARK_MODE_PROPERTIES.root, rootProperties.darkMode, (property, value) =>
+        handleTemplateSettingChange('darkMode', { ...rootProperties.darkMode, [property]: value })
+      )}
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2.5 }}>
+        Colors used by clients in dark mode. Without overrides, clients adjust colors on their own.
+      </Typography>
 
       {selectedComponent ? (
         <>
@@ -502,6 +987,18 @@ const PropertyPanel = () => {
           </Typography>
           <Divider sx={{ mb: 2 }} />
           {renderProperties()}
+          {DARK_MODE_PROPERTIES[selectedComponent.type] && (
+            <>
+              <Divider sx={{ my: 2 }} />
+              {renderDarkMode()}
+            </>
+          )}
+          {selectedComponent.type !== 'root' && selectedComponent.type !== 'column' && (
+            <>
+              <Divider sx={{ my: 2 }} />
+              {renderDisplayCondition()}
+            </>
+          )}
         </>
       ) : (
         <Typography variant="body2" color="text.secondary">
@@ -0,0 +1,193 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, IconButton, Tooltip, Divider, Menu, MenuItem, ListItemText, Typography } from '@mui/material';
+import {
+  FormatBold,
+  FormatItalic,
+  FormatUnderlined,
+  Superscript,
+  InsertLink,
+  LinkOff,
+  FormatColorText,
+  FormatListBulleted,
+  FormatClear,
+  DataObject,
+} from '@mui/icons-material';
+import { useEditor, VARIABLE_SOURCE_LABELS } from '../contexts/EditorContext';
+import { richTextFromElement, richTextToHTML, sanitizeRichText, sanitizeLink } from '@shared/richText';
+
+const FORMAT_BUTTONS = [
+  { command: 'bold', label: 'Bold (Ctrl+B)', icon: <FormatBold fontSize="small" /> },
+  { command: 'italic', label: 'Italic (Ctrl+I)', icon: <FormatItalic fontSize="small" /> },
+  { command: 'underline', label: 'Underline (Ctrl+U)', icon: <FormatUnderlined fontSize="small" /> },
+  { command: 'superscript', label: 'Superscript', icon: <Superscript fontSize="small" /> },
+  { command: 'insertUnorderedList', label: 'Bulleted list', icon: <FormatListBulleted fontSize="small" /> },
+];
+
+/**
+ * Toolbar editor for text component content
+ * The contentEditable is only an input surface: every change is read back into the
+ * structured rich text format, and only that format is stored and rendered.
+ */
+const RichTextEditor = ({ value, onChange, label }) => {
+  const { selectedComponentId, getScopedVariables } = useEditor();
+  const variables = getScopedVariables(selectedComponentId);
+  const editorRef = useRef(null);
+  const colorInputRef = useRef(null);
+  const savedRangeRef = useRef(null);
+  const lastValueRef = useRef(null);
+  const [tagMenuAnchor, setTagMenuAnchor] = useState(null);
+  const [linkError, setLinkError] = useState('');
+
+  // Re-render the editable content only when the value changed outside the editor (load, undo)
+  useEffect(() => {
+    const serialized = JSON.stringify(sanitizeRichText(value));
+    if (editorRef.current && serialized !== lastValueRef.current) {
+      editorRef.current.innerHTML = richTextToHTML(value);
+      lastValueRef.current = serialized;
+    }
+  }, [value]);
+
+  const handleInput = () => {
+    const doc = richTextFromElement(editorRef.current);
+    const serialized = JSON.stringify(doc);
+    if (serialized === lastValueRef.current) return;
+
+    lastValueRef.current = serialized;
+    onChange(doc);
+  };
+
+  const saveSelection = () => {
+    const selection = window.getSelection();
+    if (selection.rangeCount > 0 && editorRef.current?.contains(selection.anchorNode)) {
+      savedRangeRef.current = selection.getRangeAt(0).cloneRange();
+    }
+  };
+
+  const restoreSelection = () => {
+    editorRef.current?.focus();
+    if (savedRangeRef.current) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(savedRangeRef.current);
+    }
+  };
+
+  const runCommand = (command, argument) => {
+    restoreSelection();
+    document.execCommand(command, false, argument);
+    saveSelection();
+    handleInput();
+  };
+
+  const handleLink = () => {
+    const url = window.prompt('Link URL (https://, mailto:, tel: or a merge tag)', 'https://');
+    if (url === null) return;
+
+    if (!sanitizeLink(url)) {
+      setLinkError('Links must start with https://, http://, mailto:, tel:, # or a merge tag like {{url}}');
+      return;
+    }
+
+    setLinkError('');
+    runCommand('createLink', url.trim());
+  };
+
+  const handlePaste = (event) => {
+    // Pasted markup is never trusted; keep only its text
+    event.preventDefault();
+    document.execCommand('insertText', false, event.clipboardData.getData('text/plain'));
+  };
+
+  const toolbarButton = (key, title, icon, onClick) => (
+    <Tooltip key={key} title={title}>
+      <IconButton size="small" onMouseDown={(event) => event.preventDefault()} onClick={onClick}>
+        {icon}
+      </IconButton>
+    </Tooltip>
+  );
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      {label && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 0.5 }}>
+          {label}
+        </Typography>
+      )}
+      <Box sx={{ border: 1, borderColor: 'divider', borderRadius: 1, '&:focus-within': { borderColor: 'primary.main' } }}>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', px: 0.5, py: 0.25, borderBottom: 1, borderColor: 'divider' }}>
+          {FORMAT_BUTTONS.map(({ command, label: title, icon }) =>
+            toolbarButton(command, title, icon, () => runCommand(command))
+          )}
+          <Divider orientation="vertical" flexItem sx={{ mx: 0.5 }} />
+          {toolbarButton('link', 'Add link', <InsertLink fontSize="small" />, handleLink)}
+          {toolbarButton('unlink', 'Remove link', <LinkOff fontSize="small" />, () => runCommand('unlink'))}
+          {toolbarButton('color', 'Text color', <FormatColorText fontSize="small" />, () => colorInputRef.current?.click())}
+          {toolbarButton('clear', 'Clear formatting', <FormatClear fontSize="small" />, () => runCommand('removeFormat'))}
+          <Divider orientation="vertical" flexItem sx={{ mx: 0.5 }} />
+          {toolbarButton('merge-tag', 'Insert merge tag', <DataObject fontSize="small" />, (event) =>
+            setTagMenuAnchor(event.currentTarget)
+          )}
+          <input
+            ref={colorInputRef}
+            type="color"
+            onChange={(event) => runCommand('foreColor', event.target.value)}
+            style={{ width: 0, height: 0, padding: 0, border: 0, opacity: 0 }}
+            tabIndex={-1}
+          />
+        </Box>
+        <Box
+          ref={editorRef}
+          contentEditable
+          suppressContentEditableWarning
+          onInput={handleInput}
+          onKeyUp={saveSelection}
+          onMouseUp={saveSelection}
+          onBlur={saveSelection}
+          onFocus={() => document.execCommand('defaultParagraphSeparator', false, 'p')}
+          onPaste={handlePaste}
+          sx={{
+            minHeight: 96,
+            maxHeight: 280,
+            overflowY: 'auto',
+            p: 1.5,
+            fontSize: 14,
+            lineHeight: 1.6,
+            outline: 'none',
+            '& p': { m: 0 },
+            '& ul': { m: 0, pl: 3 },
+            '& a': { color: 'primary.main' },
+          }}
+        />
+      </Box>
+      {linkError && (
+        <Typography variant="caption" color="error" sx={{ display: 'block', mt: 0.5 }}>
+          {linkError}
+        </Typography>
+      )}
+      <Menu anchorEl={tagMenuAnchor} open={Boolean(tagMenuAnchor)} onClose={() => setTagMenuAnchor(null)}>
+        {variables.length === 0 ? (
+          <MenuItem disabled>No variables defined yet</MenuItem>
+        ) : (
+          variables.map((variable) => (
+            <MenuItem
+              key={variable.name}
+              onClick={() => {
+                setTagMenuAnchor(null);
+                runCommand('insertText', `{{${variable.name}}}`);
+              }}
+            >
+              <ListItemText
+                primary={`{{${variable.name}}}`}
+                secondary={`${VARIABLE_SOURCE_LABELS[variable.source] || ''}${
+                  variable.sampleValue ? `e.g. ${variable.sampleValue}` : variable.type
+                }`}
+              />
+            </MenuItem>
+          ))
+        )}
+      </Menu>
+    </Box>
+  );
+};
+
+export default RichTextEditor;
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Typography,
+  Alert,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  CircularProgress,
+  Box,
+} from '@mui/material';
+import { useEditor } from '../contexts/EditorContext';
+import { useAuth } from '../contexts/AuthContext';
+import { sendTestEmail, getDeliveries } from '../services/sendService';
+import { buildSampleData } from '@shared/mergeTags';
+
+// Matches the per-send limit enforced by the server
+const MAX_TEST_RECIPIENTS = 5;
+
+const parseRecipients = (value) =>
+  value
+    .split(/[\s,;]+/)
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+/**
+ * Send the current, possibly unsaved, template to a few inboxes
+ */
+const SendTestDialog = ({ open, onClose, templateId, onSent }) => {
+  const { componentTree, htmlDocument, isEjected, variables, envelope, previewData } = useEditor();
+  const { user } = useAuth();
+  const [recipients, setRecipients] = useState('');
+  const [data, setData] = useState('');
+  const [error, setError] = useState('');
+  const [sending, setSending] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  const loadHistory = async () => {
+    try {
+      setHistoryLoading(true);
+      const response = await getDeliveries({ kind: 'test', limit: 10 });
+      setHistory(response.data.deliveries);
+    } catch (err) {
+      setHistory([]);
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (open) {
+      setRecipients((prev) => prev || user?.email || '');
+      setData(JSON.stringify(previewData || buildSampleData(variables), null, 2));
+      setError('');
+      loadHistory();
+    }
+  }, [open]);
+
+  const handleSend = async () => {
+    const addresses = parseRecipients(recipients);
+    if (addresses.length === 0 || addresses.length > MAX_TEST_RECIPIENTS) {
+      setError(`Enter between 1 and ${MAX_TEST_RECIPIENTS} email addresses`);
+      return;
+    }
+
+    let mergeData;
+    try {
+      mergeData = JSON.parse(data || '{}');
+    } catch (err) {
+      setError('Merge data must be valid JSON');
+      return;
+    }
+
+    try {
+      setSending(true);
+      setError('');
+      const response = await sendTestEmail({
+        componentTree,
+        mode: isEjected ? 'html' : 'visual',
+        html: htmlDocument || '',
+        variables,
+        envelope,
+        to: addresses,
+        data: mergeData,
+        templateId,
+      });
+      const failed = response.data.deliveries.filter((delivery) => delivery.status === 'failed');
+      onSent?.(
+        failed.length > 0
+          ? `Test sent, but delivery to ${failed.map((delivery) => delivery.to).join(', ')} failed`
+          : `Test sent to ${addresses.join(', ')}`,
+        failed.length > 0 ? 'warning' : 'success'
+      );
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send test email');
+      loadHistory();
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Send Test Email</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          autoFocus
+          fullWidth
+          label="Recipients"
+          value={recipients}
+          onChange={(e) => setRecipients(e.target.value)}
+          helperText={`Up to ${MAX_TEST_RECIPIENTS} addresses, separated by commas`}
+          sx={{ mt: 1, mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          multiline
+          minRows={4}
+          maxRows={10}
+          label="Merge data (JSON)"
+          value={data}
+          onChange={(e) => setData(e.target.value)}
+          helperText="Defaults to the data the preview uses"
+          InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+        />
+        <Divider sx={{ my: 2.5 }} />
+        <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+          Recent Test Sends
+        </Typography>
+        {historyLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={20} />
+          </Box>
+        ) : history.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No test emails sent yet.
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {history.map((delivery) => (
+              <ListItem
+                key={delivery.id}
+                disableGutters
+                secondaryAction={
+                  <Chip
+                    size="small"
+                    variant="outlined"
+                    color={delivery.status === 'sent' ? 'success' : 'error'}
+                    label={delivery.status}
+                  />
+                }
+              >
+                <ListItemText
+                  primary={delivery.to}
+                  secondary={`${delivery.subject} · ${new Date(delivery.createdAt).toLocaleString()}${
+                    delivery.error ? ` · ${delivery.error}` : ''
+                  }`}
+                  secondaryTypographyProps={{ noWrap: true }}
+                  sx={{ pr: 8 }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose} size="medium" sx={{ fontWeight: 600 }}>
+          Cancel
+        </Button>
+        <Button onClick={handleSend} variant="contained" size="medium" sx={{ fontWeight: 600 }} disabled={sending}>
+          {sending ? 'Sending...' : 'Send Test'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SendTestDialog;
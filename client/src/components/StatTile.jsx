@@ -0,0 +1,23 @@
+import React from 'react';
+import { Paper, Typography } from '@mui/material';
+
+/**
+ * Large number with a label, for summary rows of statistics
+ */
+const StatTile = ({ label, value, caption, color }) => (
+  <Paper variant="outlined" sx={{ p: 2, borderRadius: 3, textAlign: 'center' }}>
+    <Typography variant="h4" sx={{ fontWeight: 700, color }}>
+      {value}
+    </Typography>
+    <Typography variant="body2" color="text.secondary">
+      {label}
+    </Typography>
+    {caption && (
+      <Typography variant="caption" color="text.secondary">
+        {caption}
+      </Typography>
+    )}
+  </Paper>
+);
+
+export default StatTile;
@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Select,
+  MenuItem,
+  IconButton,
+  Typography,
+  Stack,
+  Alert,
+} from '@mui/material';
+import { Add, Delete } from '@mui/icons-material';
+import { useEditor } from '../contexts/EditorContext';
+import { VARIABLE_NAME_PATTERN, VARIABLE_TYPES, isSystemVariable } from '@shared/mergeTags';
+
+const emptyVariable = { name: '', type: 'text', defaultValue: '', sampleValue: '' };
+
+const validateVariables = (variables) => {
+  const names = new Set();
+
+  for (const variable of variables) {
+    if (!VARIABLE_NAME_PATTERN.test(variable.name)) {
+      return `"${variable.name || '(empty)'}" is not a valid variable name. Use letters, digits, underscores and dots, e.g. order.total, and no __proto__, prototype or constructor segments`;
+    }
+    if (isSystemVariable(variable.name)) {
+      return `"${variable.name}" is filled in automatically when sending and cannot be redefined`;
+    }
+    if (names.has(variable.name)) {
+      return `Variable "${variable.name}" is defined twice`;
+    }
+    if (variable.type === 'list' && variable.sampleValue) {
+      try {
+        if (!Array.isArray(JSON.parse(variable.sampleValue))) throw new Error('Not a list');
+      } catch (err) {
+        return `The sample value of "${variable.name}" must be a JSON array, e.g. [{"title": "Item"}]`;
+      }
+    }
+    names.add(variable.name);
+  }
+
+  return '';
+};
+
+/**
+ * Manage the template's personalization variables
+ */
+const VariablesDialog = ({ open, onClose }) => {
+  const { variables, setVariables } = useEditor();
+  const [draft, setDraft] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setDraft(variables.map((variable) => ({ ...emptyVariable, ...variable })));
+      setError('');
+    }
+  }, [open, variables]);
+
+  const handleChange = (index, field, value) => {
+    setDraft((prev) => prev.map((variable, i) => (i === index ? { ...variable, [field]: value } : variable)));
+  };
+
+  const handleSave = () => {
+    const trimmed = draft.map((variable) => ({
+      ...variable,
+      name: variable.name.trim(),
+      defaultValue: variable.type === 'list' ? '' : variable.defaultValue,
+    }));
+    const validationError = validateVariables(trimmed);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setVariables(trimmed);
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Template Variables</DialogTitle>
+      <DialogContent sx={{ pt: 1 }}>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Variables become merge tags such as {'{{first_name}}'}. The fallback is used when a recipient has no value;
+          the sample value is shown on the canvas and in the preview. List variables hold a JSON array that repeater
+          blocks iterate over.
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Stack spacing={1.5}>
+          {draft.map((variable, index) => (
+            <Stack key={index} direction="row" spacing={1} alignItems="center">
+              <TextField
+                size="small"
+                label="Name"
+                value={variable.name}
+                onChange={(e) => handleChange(index, 'name', e.target.value)}
+                sx={{ flex: 2 }}
+              />
+              <Select
+                size="small"
+                value={variable.type}
+                onChange={(e) => handleChange(index, 'type', e.target.value)}
+                sx={{ flex: 1 }}
+              >
+                {VARIABLE_TYPES.map((type) => (
+                  <MenuItem key={type} value={type}>
+                    {type}
+                  </MenuItem>
+                ))}
+              </Select>
+              <TextField
+                size="small"
+                label="Fallback"
+                value={variable.type === 'list' ? '' : variable.defaultValue}
+                onChange={(e) => handleChange(index, 'defaultValue', e.target.value)}
+                disabled={variable.type === 'list'}
+                sx={{ flex: 2 }}
+              />
+              <TextField
+                size="small"
+                label={variable.type === 'list' ? 'Sample items (JSON)' : 'Sample value'}
+                placeholder={variable.type === 'list' ? '[{"title": "Item"}]' : undefined}
+                value={variable.sampleValue}
+                onChange={(e) => handleChange(index, 'sampleValue', e.target.value)}
+                sx={{ flex: 2 }}
+              />
+              <IconButton onClick={() => setDraft((prev) => prev.filter((_, i) => i !== index))}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Stack>
+          ))}
+        </Stack>
+        <Box sx={{ mt: 2 }}>
+          <Button startIcon={<Add />} onClick={() => setDraft((prev) => [...prev, { ...emptyVariable }])} sx={{ fontWeight: 600 }}>
+            Add Variable
+          </Button>
+        </Box>
+      </DialogContent>
+      <DialogActions sx={{ px: 3, pb: 2 }}>
+        <Button onClick={onClose} size="medium" sx={{ fontWeight: 600 }}>
+          Cancel
+        </Button>
+        <Button onClick={handleSave} variant="contained" size="medium" sx={{ fontWeight: 600 }}>
+          Save Variables
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default VariablesDialog;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Drawer,
+  Typography,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Alert,
+  Stack,
+  Divider,
+} from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import { Close, History, Restore } from '@mui/icons-material';
+import EmailPreviewFrame from './EmailPreviewFrame';
+import {
+  getTemplateVersions,
+  getTemplateVersion,
+  restoreTemplateVersion,
+} from '../services/templateService';
+import { renderTemplateHTML } from '@shared/emailGenerator';
+import { diffComponentTrees } from '../utils/templateDiff';
+
+const describeComponent = (component) => {
+  if (!component) return '';
+  const text = component.properties?.text || component.properties?.alt;
+  return text ? `${component.type}: ${String(text).slice(0, 40)}` : component.type;
+};
+
+const VersionHistoryDrawer = ({ open, onClose, templateId, onRestored }) => {
+  const theme = useTheme();
+  const [versions, setVersions] = useState([]);
+  const [loadedVersions, setLoadedVersions] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (open && templateId) {
+      loadVersions();
+    }
+  }, [open, templateId]);
+
+  useEffect(() => {
+    [selectedId, compareId].filter(Boolean).forEach((versionId) => {
+      if (!loadedVersions[versionId]) {
+        loadVersion(versionId);
+      }
+    });
+  }, [selectedId, compareId]);
+
+  const loadVersions = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await getTemplateVersions(templateId);
+      const list = response.data.versions;
+      setVersions(list);
+      setSelectedId(list[0]?.id || null);
+      setCompareId(list[1]?.id || null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadVersion = async (versionId) => {
+    try {
+      const response = await getTemplateVersion(templateId, versionId);
+      setLoadedVersions((prev) => ({ ...prev, [versionId]: response.data }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load version');
+    }
+  };
+
+  const handleSelect = (versionId) => {
+    const index = versions.findIndex((version) => version.id === versionId);
+    setSelectedId(versionId);
+    setCompareId(versions[index + 1]?.id || null);
+  };
+
+  const handleRestore = async () => {
+    const version = versions.find((item) => item.id === selectedId);
+    if (!version) return;
+
+    if (!window.confirm(`Restore version ${version.version}? Unsaved changes in the editor will be replaced.`)) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      const response = await restoreTemplateVersion(templateId, selectedId);
+      onRestored(response.data);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore version');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const selectedVersion = loadedVersions[selectedId];
+  const compareVersion = loadedVersions[compareId];
+
+  const diff = useMemo(() => {
+    if (!selectedVersion || !compareVersion) return null;
+    return diffComponentTrees(compareVersion.componentTree, selectedVersion.componentTree);
+  }, [selectedVersion, compareVersion]);
+
+  const highlightColors = {
+    added: theme.palette.success.main,
+    removed: theme.palette.error.main,
+    changed: theme.palette.warning.main,
+  };
+
+  const toHighlights = (ids, color) => Object.fromEntries(ids.map((id) => [id, color]));
+
+  const compareHighlights = diff
+    ? {
+        ...toHighlights(diff.removed, highlightColors.removed),
+        ...toHighlights(diff.changed, highlightColors.changed),
+      }
+    : {};
+  const selectedHighlights = diff
+    ? {
+        ...toHighlights(diff.added, highlightColors.added),
+        ...toHighlights(diff.changed, highlightColors.changed),
+      }
+    : {};
+
+  const renderDiffList = () => {
+    if (!diff) return null;
+
+    const entries = [
+      ...diff.added.map((id) => ({ id, kind: 'added', component: selectedVersion.componentTree[id] })),
+      ...diff.removed.map((id) => ({ id, kind: 'removed', component: compareVersion.componentTree[id] })),
+      ...diff.changed.map((id) => ({ id, kind: 'changed', component: selectedVersion.componentTree[id] })),
+    ];
+
+    if (entries.length === 0) {
+      return (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No component changes between these versions.
+        </Typography>
+      );
+    }
+
+    return (
+      <Stack direction="row" spacing={1} useFlexGap flexWrap="wrap" sx={{ mb: 2 }}>
+        {entries.map((entry) => (
+          <Chip
+            key={`${entry.kind}-${entry.id}`}
+            size="small"
+            variant="outlined"
+            label={`${entry.kind} · ${describeComponent(entry.component)}`}
+            sx={{ borderColor: highlightColors[entry.kind], color: highlightColors[entry.kind] }}
+          />
+        ))}
+      </Stack>
+    );
+  };
+
+  const renderPreview = (version, highlights, label) => (
+    <Box sx={{ flex: 1, minWidth: 0 }}>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        {label}
+      </Typography>
+      {version ? (
+        <EmailPreviewFrame
+          html={renderTemplateHTML(
+            {
+              componentTree: version.componentTree,
+              htmlDocument: version.mode === 'html' ? version.html : null,
+              envelope: version.envelope,
+            },
+            { annotate: true }
+          )}
+          highlights={highlights}
+          title={label}
+          height={520}
+        />
+      ) : (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress size={24} />
+        </Box>
+      )}
+    </Box>
+  );
+
+  return (
+    <Drawer anchor="right" open={open} onClose={onClose} PaperProps={{ sx: { width: { xs: '100%', md: 1100 } } }}>
+      <Box sx={{ px: 2.5, py: 1.5, display: 'flex', alignItems: 'center', gap: 1, borderBottom: 1, borderColor: 'divider' }}>
+        <History color="primary" fontSize="small" />
+        <Typography variant="h6" sx={{ flexGrow: 1 }}>
+          Version History
+        </Typography>
+        <IconButton onClick={onClose}>
+          <Close />
+        </IconButton>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ m: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+          <CircularProgress />
+        </Box>
+      ) : versions.length === 0 ? (
+        <Typography variant="body2" color="text.secondary" sx={{ p: 2.5 }}>
+          No saved versions yet. Save the template to start its history.
+        </Typography>
+      ) : (
+        <Box sx={{ flex: 1, display: 'flex', overflow: 'hidden' }}>
+          <List sx={{ width: 260, borderRight: 1, borderColor: 'divider', overflowY: 'auto', py: 0 }}>
+            {versions.map((version) => (
+              <ListItemButton
+                key={version.id}
+                selected={version.id === selectedId}
+                onClick={() => handleSelect(version.id)}
+                divider
+              >
+                <ListItemText
+                  primary={
+                    <Stack direction="row" spacing={1} alignItems="center">
+                      <span>Version {version.version}</span>
+                      {version.restoredFrom && <Chip size="small" label={`restored v${version.restoredFrom}`} />}
+                    </Stack>
+                  }
+                  secondary={`${version.savedBy?.name || 'Unknown user'} · ${new Date(version.createdAt).toLocaleString()}`}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+
+          <Box sx={{ flex: 1, overflowY: 'auto', p: 2.5 }}>
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
+              <FormControl size="small" sx={{ minWidth: 200 }}>
+                <InputLabel>Compare with</InputLabel>
+                <Select
+                  label="Compare with"
+                  value={compareId || ''}
+                  onChange={(e) => setCompareId(e.target.value || null)}
+                >
+                  <MenuItem value="">None</MenuItem>
+                  {versions
+                    .filter((version) => version.id !== selectedId)
+                    .map((version) => (
+                      <MenuItem key={version.id} value={version.id}>
+                        Version {version.version}
+                      </MenuItem>
+                    ))}
+                </Select>
+              </FormControl>
+              <Box sx={{ flexGrow: 1 }} />
+              <Button
+                variant="contained"
+                startIcon={<Restore />}
+                onClick={handleRestore}
+                disabled={restoring || !selectedId || selectedId === versions[0]?.id}
+                sx={{ fontWeight: 600 }}
+              >
+                {restoring ? 'Restoring...' : 'Restore this version'}
+              </Button>
+            </Stack>
+
+            {renderDiffList()}
+            <Divider sx={{ mb: 2 }} />
+
+            <Stack direction="row" spacing={2}>
+              {compareId &&
+                renderPreview(
+                  compareVersion,
+                  compareHighlights,
+                  `Version ${versions.find((version) => version.id === compareId)?.version}`
+                )}
+              {renderPreview(
+                selectedVersion,
+                selectedHighlights,
+                `Version ${versions.find((version) => version.id === selectedId)?.version}`
+              )}
+            </Stack>
+          </Box>
+        </Box>
+      )}
+    </Drawer>
+  );
+};
+
+export default VersionHistoryDrawer;
@@ -1,5 +1,7 @@
-import React, { createContext, useContext, useReducer, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useMemo, useState, useEffect } from 'react';
 import { getDefaultProperties, canHaveChildren, generateComponentId } from '../utils/componentDefaults';
+import { buildSampleData, getListItems, describeItemFields, SYSTEM_VARIABLES } from '@shared/mergeTags';
+import { getContactFields } from '../services/contactService';
 
 const EditorContext = createContext();
 
@@ -11,6 +13,29 @@ export const useEditor = () => {
   return context;
 };
 
+// Prefix of the hint merge tag pickers show for variables the template does not define itself
+export const VARIABLE_SOURCE_LABELS = {
+  contact: 'Contact field · ',
+  system: 'System · ',
+};
+
+const HISTORY_LIMIT = 100;
+const COALESCE_WINDOW_MS = 1000;
+
+const emptyHistory = {
+  past: [],
+  future: [],
+  coalesceKey: null,
+  coalescedAt: 0,
+};
+
+const emptyEnvelope = {
+  subject: '',
+  preheader: '',
+  fromName: '',
+  replyTo: '',
+};
+
 const initialState = {
   componentTree: {
     root: {
@@ -21,6 +46,15 @@ const initialState = {
     },
   },
   selectedComponentId: null,
+  // Hand-edited HTML once the template is ejected from the visual editor, otherwise null
+  htmlDocument: null,
+  // Template variables available as merge tags: { name, type, defaultValue, sampleValue }
+  variables: [],
+  // Subject, preheader and sender details used when the email is sent
+  envelope: emptyEnvelope,
+  // Data used to evaluate display conditions in the canvas and preview: 'all' ignores conditions
+  previewAs: { mode: 'all', data: {} },
+  history: emptyHistory,
 };
 
 const ACTIONS = {
@@ -30,11 +64,31 @@ const ACTIONS = {
   REORDER_COMPONENTS: 'REORDER_COMPONENTS',
   MOVE_COMPONENT: 'MOVE_COMPONENT',
   SET_COLUMNS_COUNT: 'SET_COLUMNS_COUNT',
+  SET_COLUMN_RATIOS: 'SET_COLUMN_RATIOS',
   SELECT_COMPONENT: 'SELECT_COMPONENT',
   LOAD_TEMPLATE: 'LOAD_TEMPLATE',
+  SET_HTML_DOCUMENT: 'SET_HTML_DOCUMENT',
+  SET_VARIABLES: 'SET_VARIABLES',
+  SET_ENVELOPE: 'SET_ENVELOPE',
+  SET_PREVIEW_AS: 'SET_PREVIEW_AS',
   RESET: 'RESET',
+  BATCH: 'BATCH',
+  UNDO: 'UNDO',
+  REDO: 'REDO',
 };
 
+// Actions that change the component tree and get an undo step
+const UNDOABLE_ACTIONS = new Set([
+  ACTIONS.ADD_COMPONENT,
+  ACTIONS.REMOVE_COMPONENT,
+  ACTIONS.UPDATE_COMPONENT,
+  ACTIONS.REORDER_COMPONENTS,
+  ACTIONS.MOVE_COMPONENT,
+  ACTIONS.SET_COLUMNS_COUNT,
+  ACTIONS.SET_COLUMN_RATIOS,
+  ACTIONS.BATCH,
+]);
+
 const removeRecursively = (tree, componentId) => {
   const component = tree[componentId];
   if (!component) return;
@@ -46,6 +100,15 @@ const removeRecursively = (tree, componentId) => {
   delete tree[componentId];
 };
 
+const isDescendantOf = (tree, componentId, ancestorId) => {
+  let current = tree[componentId];
+  while (current) {
+    if (current.id === ancestorId) return true;
+    current = current.parentId ? tree[current.parentId] : null;
+  }
+  return false;
+};
+
 const normalizeComponentTree = (componentTree) => {
   const rootDefaults = getDefaultProperties('root');
 
@@ -177,6 +240,11 @@ const editorReducer = (state, action) => {
         return state;
       }
 
+      // A container cannot be dropped into itself or one of its own descendants
+      if (isDescendantOf(state.componentTree, targetParentId, componentId)) {
+        return state;
+      }
+
       const newTree = { ...state.componentTree };
 
       const sourceChildren = sourceParent.children.filter((id) => id !== componentId);
@@ -254,6 +322,32 @@ const editorReducer = (state, action) => {
       };
     }
 
+    case ACTIONS.SET_COLUMN_RATIOS: {
+      const { componentId, ratios } = action.payload;
+      const columnsComponent = state.componentTree[componentId];
+      if (!columnsComponent || columnsComponent.type !== 'columns') return state;
+
+      const newTree = { ...state.componentTree };
+
+      columnsComponent.children.forEach((columnId, index) => {
+        const column = newTree[columnId];
+        if (!column || !(ratios[index] > 0)) return;
+
+        newTree[columnId] = {
+          ...column,
+          properties: {
+            ...(column.properties || {}),
+            ratio: ratios[index],
+          },
+        };
+      });
+
+      return {
+        ...state,
+        componentTree: newTree,
+      };
+    }
+
     case ACTIONS.SELECT_COMPONENT: {
       return {
         ...state,
@@ -266,6 +360,38 @@ const editorReducer = (state, action) => {
         ...state,
         componentTree: normalizeComponentTree(action.payload.componentTree),
         selectedComponentId: null,
+        htmlDocument: action.payload.htmlDocument ?? null,
+        variables: Array.isArray(action.payload.variables) ? action.payload.variables : [],
+        envelope: { ...emptyEnvelope, ...(action.payload.envelope || {}) },
+        history: emptyHistory,
+      };
+    }
+
+    case ACTIONS.SET_HTML_DOCUMENT: {
+      return {
+        ...state,
+        htmlDocument: action.payload.htmlDocument,
+      };
+    }
+
+    case ACTIONS.SET_VARIABLES: {
+      return {
+        ...state,
+        variables: action.payload.variables,
+      };
+    }
+
+    case ACTIONS.SET_ENVELOPE: {
+      return {
+        ...state,
+        envelope: { ...state.envelope, ...action.payload.envelope },
+      };
+    }
+
+    case ACTIONS.SET_PREVIEW_AS: {
+      return {
+        ...state,
+        previewAs: action.payload.previewAs,
       };
     }
 
@@ -273,13 +399,115 @@ const editorReducer = (state, action) => {
       return initialState;
     }
 
+    case ACTIONS.BATCH: {
+      return action.payload.actions.reduce(editorReducer, state);
+    }
+
     default:
       return state;
   }
 };
 
+const takeSnapshot = (state) => ({
+  componentTree: state.componentTree,
+  selectedComponentId: state.selectedComponentId,
+});
+
+/**
+ * Wrap editorReducer with a bounded undo/redo stack.
+ * Consecutive actions sharing meta.coalesceKey within COALESCE_WINDOW_MS
+ * collapse into a single step (e.g. keystrokes in one property field).
+ */
+const historyReducer = (state, action) => {
+  const { history } = state;
+
+  switch (action.type) {
+    case ACTIONS.UNDO: {
+      if (history.past.length === 0) return state;
+
+      return {
+        ...state,
+        ...history.past[history.past.length - 1],
+        history: {
+          ...emptyHistory,
+          past: history.past.slice(0, -1),
+          future: [takeSnapshot(state), ...history.future],
+        },
+      };
+    }
+
+    case ACTIONS.REDO: {
+      if (history.future.length === 0) return state;
+
+      return {
+        ...state,
+        ...history.future[0],
+        history: {
+          ...emptyHistory,
+          past: [...history.past, takeSnapshot(state)],
+          future: history.future.slice(1),
+        },
+      };
+    }
+
+    default:
+      break;
+  }
+
+  const nextState = editorReducer(state, action);
+
+  if (!UNDOABLE_ACTIONS.has(action.type) || nextState.componentTree === state.componentTree) {
+    return nextState;
+  }
+
+  const { coalesceKey = null, timestamp = 0 } = action.meta || {};
+  const shouldCoalesce =
+    coalesceKey !== null &&
+    coalesceKey === history.coalesceKey &&
+    history.past.length > 0 &&
+    timestamp - history.coalescedAt < COALESCE_WINDOW_MS;
+
+  return {
+    ...nextState,
+    history: {
+      past: shouldCoalesce ? history.past : [...history.past, takeSnapshot(state)].slice(-HISTORY_LIMIT),
+      future: [],
+      coalesceKey,
+      coalescedAt: timestamp,
+    },
+  };
+};
+
 export const EditorProvider = ({ children }) => {
-  const [state, dispatch] = useReducer(editorReducer, initialState);
+  const [state, dispatch] = useReducer(historyReducer, initialState);
+  const [contactVariables, setContactVariables] = useState([]);
+
+  // Custom fields of the user's contacts are offered as merge variables in every template
+  useEffect(() => {
+    getContactFields()
+      .then((response) =>
+        setContactVariables(
+          response.data.fields.map((field) => ({
+            name: field.name,
+            type: 'text',
+            defaultValue: '',
+            sampleValue: field.sampleValue,
+            source: 'contact',
+          }))
+        )
+      )
+      .catch(() => setContactVariables([]));
+  }, []);
+
+  // Template variables win over contact fields of the same name; system variables come last
+  const availableVariables = useMemo(() => {
+    const names = new Set(state.variables.map((variable) => variable.name));
+    return [
+      ...state.variables,
+      ...contactVariables.filter((variable) => !names.has(variable.name)),
+      ...SYSTEM_VARIABLES,
+    ];
+  }, [state.variables, contactVariables]);
 
   const addComponent = useCallback((type, parentId = 'root', index) => {
     if (type === 'columns') {
@@ -290,11 +518,12 @@ export const EditorProvider = ({ children }) => {
         properties: getDefaultProperties('columns'),
         children: [],
       };
-
-      dispatch({
-        type: ACTIONS.ADD_COMPONENT,
-        payload: { component: columnsComponent, parentId, index },
-      });
+      const actions = [
+        {
+          type: ACTIONS.ADD_COMPONENT,
+          payload: { component: columnsComponent, parentId, index },
+        },
+      ];
 
       const defaultColumnsCount = columnsComponent.properties.columns || 2;
       for (let i = 0; i < defaultColumnsCount; i += 1) {
@@ -305,17 +534,23 @@ export const EditorProvider = ({ children }) => {
           children: [],
         };
 
-        dispatch({
+        actions.push({
           type: ACTIONS.ADD_COMPONENT,
           payload: { component: columnComponent, parentId: columnsComponentId },
         });
       }
 
-      dispatch({
+      actions.push({
         type: ACTIONS.SELECT_COMPONENT,
         payload: { componentId: columnsComponentId },
       });
 
+      // Dispatch as one batch so the whole block is a single undo step
+      dispatch({
+        type: ACTIONS.BATCH,
+        payload: { actions },
+      });
+
       return columnsComponentId;
     }
 
@@ -341,10 +576,11 @@ export const EditorProvider = ({ children }) => {
     });
   }, []);
 
-  const updateComponent = useCallback((componentId, updates) => {
+  const updateComponent = useCallback((componentId, updates, options = {}) => {
     dispatch({
       type: ACTIONS.UPDATE_COMPONENT,
       payload: { componentId, updates },
+      meta: { coalesceKey: options.coalesceKey ?? null, timestamp: Date.now() },
     });
   }, []);
 
@@ -369,6 +605,14 @@ export const EditorProvider = ({ children }) => {
     });
   }, []);
 
+  const setColumnRatios = useCallback((componentId, ratios, options = {}) => {
+    dispatch({
+      type: ACTIONS.SET_COLUMN_RATIOS,
+      payload: { componentId, ratios },
+      meta: { coalesceKey: options.coalesceKey ?? null, timestamp: Date.now() },
+    });
+  }, []);
+
   const selectComponent = useCallback((componentId) => {
     dispatch({
       type: ACTIONS.SELECT_COMPONENT,
@@ -376,10 +620,17 @@ export const EditorProvider = ({ children }) => {
     });
   }, []);
 
-  const loadTemplate = useCallback((componentTree) => {
+  const loadTemplate = useCallback((componentTree, { htmlDocument = null, variables = [], envelope = {} } = {}) => {
     dispatch({
       type: ACTIONS.LOAD_TEMPLATE,
-      payload: { componentTree },
+      payload: { componentTree, htmlDocument, variables, envelope },
+    });
+  }, []);
+
+  const setHtmlDocument = useCallback((htmlDocument) => {
+    dispatch({
+      type: ACTIONS.SET_HTML_DOCUMENT,
+      payload: { htmlDocument },
     });
   }, []);
 
@@ -387,6 +638,35 @@ export const EditorProvider = ({ children }) => {
     dispatch({ type: ACTIONS.RESET });
   }, []);
 
+  const setVariables = useCallback((variables) => {
+    dispatch({
+      type: ACTIONS.SET_VARIABLES,
+      payload: { variables },
+    });
+  }, []);
+
+  const setEnvelope = useCallback((envelope) => {
+    dispatch({
+      type: ACTIONS.SET_ENVELOPE,
+      payload: { envelope },
+    });
+  }, []);
+
+  const setPreviewAs = useCallback((previewAs) => {
+    dispatch({
+      type: ACTIONS.SET_PREVIEW_AS,
+      payload: { previewAs },
+    });
+  }, []);
+
+  const undo = useCallback(() => {
+    dispatch({ type: ACTIONS.UNDO });
+  }, []);
+
+  const redo = useCallback(() => {
+    dispatch({ type: ACTIONS.REDO });
+  }, []);
+
   const getComponent = useCallback(
     (componentId) => {
       return state.componentTree[componentId];
@@ -426,21 +706,70 @@ export const EditorProvider = ({ children }) => {
     return components;
   }, [state.componentTree]);
 
+  /**
+   * Template variables and contact fields plus the item fields of every repeater enclosing the component,
+   * described from the first element of each list's sample data
+   */
+  const getScopedVariables = useCallback(
+    (componentId) => {
+      const repeaters = [];
+      let current = state.componentTree[componentId];
+      while (current?.parentId) {
+        current = state.componentTree[current.parentId];
+        if (current?.type === 'repeater') repeaters.unshift(current);
+      }
+
+      const sampleData = buildSampleData(availableVariables);
+      return repeaters.reduce((scoped, repeater) => {
+        const { source, itemName = 'item' } = repeater.properties || {};
+        const [firstItem] = getListItems(sampleData, source);
+        if (firstItem === undefined) return scoped;
+
+        sampleData[itemName] = firstItem;
+        return [...scoped, ...describeItemFields(itemName, firstItem)];
+      }, availableVariables);
+    },
+    [state.componentTree, availableVariables]
+  );
+
+  const previewData = useMemo(() => {
+    if (state.previewAs.mode === 'sample') return buildSampleData(availableVariables);
+    if (state.previewAs.mode === 'custom') return state.previewAs.data;
+    return null;
+  }, [state.previewAs, availableVariables]);
+
   const value = {
     componentTree: state.componentTree,
     selectedComponentId: state.selectedComponentId,
+    htmlDocument: state.htmlDocument,
+    isEjected: state.htmlDocument !== null,
+    variables: state.variables,
+    contactVariables,
+    envelope: state.envelope,
+    previewAs: state.previewAs,
+    previewData,
     addComponent,
     removeComponent,
     updateComponent,
     reorderComponents,
     moveComponent,
     setColumnsCount,
+    setColumnRatios,
     selectComponent,
     loadTemplate,
+    setHtmlDocument,
+    setVariables,
+    setEnvelope,
+    setPreviewAs,
     resetEditor,
+    undo,
+    redo,
+    canUndo: state.history.past.length > 0,
+    canRedo: state.history.future.length > 0,
     getComponent,
     getChildren,
     getAllComponents,
+    getScopedVariables,
   };
 
   return <EditorContext.Provider value={value}>{children}</EditorContext.Provider>;
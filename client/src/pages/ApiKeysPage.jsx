@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  AppBar,
+  Toolbar,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Stack,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
+  Tooltip,
+} from '@mui/material';
+import { ArrowBack, Key, AddCircleOutline, ContentCopy, Block } from '@mui/icons-material';
+import { useAuth } from '../contexts/AuthContext';
+import { getApiKeys, createApiKey, revokeApiKey } from '../services/apiKeyService';
+
+const SCOPE_LABELS = {
+  send: 'Send emails (POST /api/send)',
+  'templates:read': 'Read rendered templates (GET /api/templates/:id/html)',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const ApiKeysPage = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [createOpen, setCreateOpen] = useState(false);
+  const [keyName, setKeyName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState(['send']);
+  const [saving, setSaving] = useState(false);
+  const [createdKey, setCreatedKey] = useState(null);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, []);
+
+  const loadApiKeys = async () => {
+    try {
+      setLoading(true);
+      const response = await getApiKeys();
+      setApiKeys(response.data.apiKeys);
+      setScopes(response.data.scopes);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenCreate = () => {
+    setKeyName('');
+    setSelectedScopes(['send']);
+    setCreateOpen(true);
+  };
+
+  const handleToggleScope = (scope) => {
+    setSelectedScopes((prev) => (prev.includes(scope) ? prev.filter((s) => s !== scope) : [...prev, scope]));
+  };
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await createApiKey({ name: keyName, scopes: selectedScopes });
+      const { key, ...apiKey } = response.data;
+      setApiKeys([apiKey, ...apiKeys]);
+      setCreatedKey(key);
+      setCreateOpen(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create API key');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Services using it will stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      const response = await revokeApiKey(apiKey.id);
+      setApiKeys(apiKeys.map((k) => (k.id === apiKey.id ? response.data : k)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke API key');
+    }
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default' }}>
+      {/* App Bar */}
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton edge="start" color="inherit" onClick={() => navigate('/dashboard')}>
+            <ArrowBack />
+          </IconButton>
+          <Stack direction="row" alignItems="center" spacing={1} sx={{ flexGrow: 1, ml: 2 }}>
+            <Key />
+            <Typography variant="h6" component="div">
+              API Keys
+            </Typography>
+          </Stack>
+          <Typography variant="body1">{user?.name}</Typography>
+        </Toolbar>
+      </AppBar>
+
+      {/* Main Content */}
+      <Container maxWidth="lg" sx={{ py: { xs: 3, sm: 4 } }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2.5 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2.5 }}>
+          <Typography variant="body1" color="text.secondary">
+            Keys let your services render and send templates. Send them in the <code>X-API-Key</code> header.
+          </Typography>
+          <Button
+            variant="contained"
+            startIcon={<AddCircleOutline />}
+            sx={{ fontWeight: 600, flexShrink: 0 }}
+            onClick={handleOpenCreate}
+          >
+            Create Key
+          </Button>
+        </Stack>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+            <CircularProgress />
+          </Box>
+        ) : apiKeys.length === 0 ? (
+          <Box sx={{ textAlign: 'center', py: 8 }}>
+            <Key color="disabled" sx={{ fontSize: 60, mb: 2 }} />
+            <Typography variant="h5" gutterBottom>
+              No API keys yet
+            </Typography>
+            <Typography variant="body1" color="text.secondary">
+              Create a key to send emails from your own services
+            </Typography>
+          </Box>
+        ) : (
+          <Paper variant="outlined" sx={{ borderRadius: 3, overflow: 'hidden' }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Key</TableCell>
+                  <TableCell>Scopes</TableCell>
+                  <TableCell>Created</TableCell>
+                  <TableCell>Last used</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {apiKeys.map((apiKey) => (
+                  <TableRow key={apiKey.id} sx={{ opacity: apiKey.revokedAt ? 0.55 : 1 }}>
+                    <TableCell>{apiKey.name}</TableCell>
+                    <TableCell sx={{ fontFamily: 'monospace' }}>{apiKey.prefix}…</TableCell>
+                    <TableCell>
+                      <Stack direction="row" spacing={0.5}>
+                        {apiKey.scopes.map((scope) => (
+                          <Chip key={scope} size="small" label={scope} />
+                        ))}
+                      </Stack>
+                    </TableCell>
+                    <TableCell>{formatDate(apiKey.createdAt)}</TableCell>
+                    <TableCell>{formatDate(apiKey.lastUsedAt)}</TableCell>
+                    <TableCell align="right">
+                      {apiKey.revokedAt ? (
+                        <Chip size="small" color="error" variant="outlined" label="Revoked" />
+                      ) : (
+                        <Button
+                          size="small"
+                          color="error"
+                          sx={{ fontWeight: 600 }}
+                          startIcon={<Block />}
+                          onClick={() => handleRevoke(apiKey)}
+                        >
+                          Revoke
+                        </Button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Paper>
+        )}
+      </Container>
+
+      <Dialog open={createOpen} onClose={() => setCreateOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Create API Key</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            label="Name"
+            placeholder="e.g. Billing service"
+            value={keyName}
+            onChange={(e) => setKeyName(e.target.value)}
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <Typography variant="subtitle2" sx={{ mb: 0.5 }}>
+            Scopes
+          </Typography>
+          <FormGroup>
+            {scopes.map((scope) => (
+              <FormControlLabel
+                key={scope}
+                control={<Checkbox checked={selectedScopes.includes(scope)} onChange={() => handleToggleScope(scope)} />}
+                label={SCOPE_LABELS[scope] || scope}
+              />
+            ))}
+          </FormGroup>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setCreateOpen(false)} size="medium" sx={{ fontWeight: 600 }}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleCreate}
+            variant="contained"
+            size="medium"
+            sx={{ fontWeight: 600 }}
+            disabled={saving || !keyName.trim() || selectedScopes.length === 0}
+          >
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(createdKey)} onClose={() => setCreatedKey(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Copy Your New Key</DialogTitle>
+        <DialogContent>
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            This is the only time the key is shown. Store it somewhere safe.
+          </Alert>
+          <TextField
+            fullWidth
+            value={createdKey || ''}
+            InputProps={{
+              readOnly: true,
+              sx: { fontFamily: 'monospace' },
+              endAdornment: (
+                <Tooltip title="Copy">
+                  <IconButton edge="end" onClick={() => navigator.clipboard.writeText(createdKey)}>
+                    <ContentCopy fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              ),
+            }}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setCreatedKey(null)} variant="contained" size="medium" sx={{ fontWeight: 600 }}>
+            Done
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ApiKeysPage;
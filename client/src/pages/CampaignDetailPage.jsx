@@ -0,0 +1,509 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  AppBar,
+  Toolbar,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Stack,
+  Paper,
+  Grid,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  LinearProgress,
+  TextField,
+  MenuItem,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+} from '@mui/material';
+import { ArrowBack, Campaign as CampaignIcon, Send, Schedule, Delete, Save } from '@mui/icons-material';
+import CampaignStatusChip from '../components/CampaignStatusChip';
+import CampaignReport from '../components/CampaignReport';
+import StatTile from '../components/StatTile';
+import {
+  getCampaign,
+  updateCampaign,
+  deleteCampaign,
+  scheduleCampaign,
+  unscheduleCampaign,
+  getCampaignRecipients,
+} from '../services/campaignService';
+import { getMyTemplates } from '../services/templateService';
+import { getLists } from '../services/listService';
+
+const POLL_INTERVAL_MS = 5000;
+const RECIPIENTS_PER_PAGE = 25;
+
+const RECIPIENT_STATUS_COLORS = {
+  pending: 'default',
+  sent: 'success',
+  failed: 'error',
+  skipped: 'warning',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// Value for a datetime-local input, in the browser's time zone
+const toLocalInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const CampaignDetailPage = () => {
+  const navigate = useNavigate();
+  const { id } = useParams();
+  const [campaign, setCampaign] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [recipients, setRecipients] = useState([]);
+  const [recipientTotal, setRecipientTotal] = useState(0);
+  const [recipientStatus, setRecipientStatus] = useState('');
+  const [recipientPage, setRecipientPage] = useState(0);
+  const [sendMode, setSendMode] = useState('now');
+  const [scheduledAt, setScheduledAt] = useState(() => toLocalInputValue(new Date(Date.now() + 60 * 60 * 1000)));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const isDraft = campaign?.status === 'draft';
+  const isActive = campaign?.status === 'scheduled' || campaign?.status === 'sending';
+
+  useEffect(() => {
+    loadCampaign();
+  }, [id]);
+
+  useEffect(() => {
+    if (campaign && !isDraft) loadRecipients();
+  }, [id, campaign?.status, recipientStatus, recipientPage]);
+
+  // Follow progress while the campaign is waiting or sending
+  useEffect(() => {
+    if (!isActive) return undefined;
+
+    const interval = setInterval(() => {
+      loadCampaign({ silent: true });
+      loadRecipients();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [isActive, recipientStatus, recipientPage]);
+
+  const applyCampaign = (data) => {
+    setCampaign(data);
+    setDraft({
+      name: data.name,
+      templateId: data.templateId || '',
+      listId: data.listId || '',
+      envelope: { subject: '', preheader: '', fromName: '', replyTo: '', ...data.envelope },
+    });
+  };
+
+  const loadCampaign = async ({ silent = false } = {}) => {
+    try {
+      if (!silent) setLoading(true);
+      const response = await getCampaign(id);
+      if (silent) setCampaign(response.data);
+      else applyCampaign(response.data);
+
+      if (!silent && response.data.status === 'draft') {
+        const [templatesResponse, listsResponse] = await Promise.all([getMyTemplates({ limit: 100 }), getLists()]);
+        setTemplates(templatesResponse.data.templates);
+        setLists(listsResponse.data.lists);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load campaign');
+    } finally {
+      if (!silent) setLoading(false);
+    }
+  };
+
+  const loadRecipients = async () => {
+    try {
+      const response = await getCampaignRecipients(id, {
+        page: recipientPage + 1,
+        limit: RECIPIENTS_PER_PAGE,
+        status: recipientStatus || undefined,
+      });
+      setRecipients(response.data.recipients);
+      setRecipientTotal(response.data.pagination.total);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load recipients');
+    }
+  };
+
+  const handleEnvelopeChange = (field, value) => {
+    setDraft((prev) => ({ ...prev, envelope: { ...prev.envelope, [field]: value } }));
+  };
+
+  const saveDraft = async () => {
+    const response = await updateCampaign(id, draft);
+    applyCampaign(response.data);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await saveDraft();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save campaign');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSchedule = async () => {
+    const sendNow = sendMode === 'now';
+    const confirmation = sendNow
+      ? `Send "${draft.name}" to the subscribed contacts of the list now?`
+      : `Schedule "${draft.name}" for ${new Date(scheduledAt).toLocaleString()}?`;
+    if (!window.confirm(confirmation)) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError('');
+      await saveDraft();
+      const response = await scheduleCampaign(id, sendNow ? undefined : new Date(scheduledAt).toISOString());
+      setCampaign(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to schedule campaign');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnschedule = async () => {
+    try {
+      await unscheduleCampaign(id);
+      loadCampaign();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel the schedule');
+      loadCampaign({ silent: true });
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${campaign.name}"? Its delivery history is deleted too.`)) {
+      return;
+    }
+
+    try {
+      await deleteCampaign(id);
+      navigate('/campaigns');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete campaign');
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const stats = campaign?.stats || { total: 0, pending: 0, sent: 0, failed: 0, skipped: 0 };
+  const processed = stats.total - stats.pending;
+
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default' }}>
+      {/* App Bar */}
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton edge="start" color="inherit" onClick={() => navigate('/campaigns')}>
+            <ArrowBack />
+          </IconButton>
+          <Stack direction="row" alignItems="center" spacing={1} sx={{ flexGrow: 1, ml: 2 }}>
+            <CampaignIcon />
+            <Typography variant="h6" component="div">
+              {campaign?.name || 'Campaign'}
+            </Typography>
+          </Stack>
+          {campaign && campaign.status !== 'sending' && (
+            <Button color="inherit" startIcon={<Delete />} onClick={handleDelete}>
+              Delete
+            </Button>
+          )}
+        </Toolbar>
+      </AppBar>
+
+      {/* Main Content */}
+      <Container maxWidth="lg" sx={{ py: { xs: 3, sm: 4 } }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2.5 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        {campaign && (
+          <>
+            <Stack direction="row" alignItems="center" spacing={1.5} sx={{ mb: 3 }}>
+              <CampaignStatusChip status={campaign.status} size="medium" />
+              <Typography variant="body1" color="text.secondary">
+                {campaign.templateName || 'Deleted template'} → {campaign.listName || 'Deleted list'}
+              </Typography>
+            </Stack>
+
+            {campaign.lastError && (
+              <Alert severity="error" sx={{ mb: 2.5 }}>
+                {campaign.lastError}
+              </Alert>
+            )}
+
+            {isDraft && draft && (
+              <Paper variant="outlined" sx={{ p: 3, borderRadius: 3 }}>
+                <Grid container spacing={2}>
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      label="Name"
+                      value={draft.name}
+                      onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={6}>
+                    <TextField
+                      select
+                      fullWidth
+                      label="Template"
+                      value={draft.templateId}
+                      onChange={(e) => setDraft({ ...draft, templateId: e.target.value })}
+                    >
+                      {templates.map((template) => (
+                        <MenuItem key={template.id} value={template.id}>
+                          {template.name}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </Grid>
+                  <Grid item xs={12} md={6}>
+                    <TextField
+                      select
+                      fullWidth
+                      label="List"
+                      value={draft.listId}
+                      onChange={(e) => setDraft({ ...draft, listId: e.target.value })}
+                    >
+                      {lists.map((list) => (
+                        <MenuItem key={list.id} value={list.id}>
+                          {list.name} ({list.subscribedCount} subscribed)
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      label="Subject"
+                      value={draft.envelope.subject}
+                      onChange={(e) => handleEnvelopeChange('subject', e.target.value)}
+                      helperText="Merge tags such as {{name}} are filled in for each contact"
+                      inputProps={{ maxLength: 255 }}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      label="Preheader"
+                      value={draft.envelope.preheader}
+                      onChange={(e) => handleEnvelopeChange('preheader', e.target.value)}
+                      inputProps={{ maxLength: 255 }}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={6}>
+                    <TextField
+                      fullWidth
+                      label="From Name"
+                      value={draft.envelope.fromName}
+                      onChange={(e) => handleEnvelopeChange('fromName', e.target.value)}
+                      inputProps={{ maxLength: 100 }}
+                    />
+                  </Grid>
+                  <Grid item xs={12} md={6}>
+                    <TextField
+                      fullWidth
+                      type="email"
+                      label="Reply-To"
+                      value={draft.envelope.replyTo}
+                      onChange={(e) => handleEnvelopeChange('replyTo', e.target.value)}
+                    />
+                  </Grid>
+                </Grid>
+
+                <Stack
+                  direction={{ xs: 'column', md: 'row' }}
+                  alignItems={{ md: 'center' }}
+                  justifyContent="space-between"
+                  spacing={2}
+                  sx={{ mt: 3 }}
+                >
+                  <Stack direction="row" alignItems="center" spacing={2}>
+                    <RadioGroup row value={sendMode} onChange={(e) => setSendMode(e.target.value)}>
+                      <FormControlLabel value="now" control={<Radio />} label="Send now" />
+                      <FormControlLabel value="later" control={<Radio />} label="Schedule for" />
+                    </RadioGroup>
+                    <TextField
+                      type="datetime-local"
+                      size="small"
+                      value={scheduledAt}
+                      onChange={(e) => setScheduledAt(e.target.value)}
+                      disabled={sendMode !== 'later'}
+                    />
+                  </Stack>
+                  <Stack direction="row" spacing={1.5}>
+                    <Button startIcon={<Save />} onClick={handleSave} disabled={saving} sx={{ fontWeight: 600 }}>
+                      Save Draft
+                    </Button>
+                    <Button
+                      variant="contained"
+                      startIcon={sendMode === 'now' ? <Send /> : <Schedule />}
+                      onClick={handleSchedule}
+                      disabled={saving || !draft.templateId || !draft.listId || !draft.envelope.subject.trim()}
+                      sx={{ fontWeight: 600 }}
+                    >
+                      {sendMode === 'now' ? 'Send Campaign' : 'Schedule'}
+                    </Button>
+                  </Stack>
+                </Stack>
+              </Paper>
+            )}
+
+            {campaign.status === 'scheduled' && (
+              <Alert
+                severity="info"
+                sx={{ mb: 3 }}
+                action={
+                  <Button color="inherit" size="small" onClick={handleUnschedule}>
+                    Cancel Schedule
+                  </Button>
+                }
+              >
+                Scheduled for {formatDate(campaign.scheduledAt)}. Subject: {campaign.envelope?.subject}
+              </Alert>
+            )}
+
+            {(campaign.status === 'sending' || campaign.status === 'sent') && (
+              <>
+                <Paper variant="outlined" sx={{ p: 3, borderRadius: 3, mb: 3 }}>
+                  <Stack direction="row" justifyContent="space-between" sx={{ mb: 1 }}>
+                    <Typography variant="subtitle2">
+                      {campaign.status === 'sent' ? 'Finished' : `${processed} of ${stats.total} processed`}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Started {formatDate(campaign.startedAt)}
+                      {campaign.completedAt && ` · Completed ${formatDate(campaign.completedAt)}`}
+                    </Typography>
+                  </Stack>
+                  <LinearProgress
+                    variant={campaign.status === 'sending' && stats.total === 0 ? 'indeterminate' : 'determinate'}
+                    value={stats.total > 0 ? (processed / stats.total) * 100 : campaign.status === 'sent' ? 100 : 0}
+                    sx={{ height: 8, borderRadius: 4, mb: 3 }}
+                  />
+                  <Grid container spacing={2}>
+                    <Grid item xs={6} md>
+                      <StatTile label="Recipients" value={stats.total} />
+                    </Grid>
+                    <Grid item xs={6} md>
+                      <StatTile label="Sent" value={stats.sent} color="success.main" />
+                    </Grid>
+                    <Grid item xs={6} md>
+                      <StatTile label="Pending" value={stats.pending} />
+                    </Grid>
+                    <Grid item xs={6} md>
+                      <StatTile label="Failed" value={stats.failed} color="error.main" />
+                    </Grid>
+                    <Grid item xs={6} md>
+                      <StatTile label="Skipped" value={stats.skipped} color="warning.main" />
+                    </Grid>
+                  </Grid>
+                </Paper>
+
+                {stats.sent > 0 && <CampaignReport campaign={campaign} />}
+
+                {stats.total > 0 && (
+                  <Paper variant="outlined" sx={{ borderRadius: 3, overflow: 'hidden' }}>
+                    <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ px: 2, py: 1.5 }}>
+                      <Typography variant="subtitle2">Recipients</Typography>
+                      <ToggleButtonGroup
+                        size="small"
+                        exclusive
+                        value={recipientStatus}
+                        onChange={(event, value) => {
+                          if (value !== null) {
+                            setRecipientStatus(value);
+                            setRecipientPage(0);
+                          }
+                        }}
+                      >
+                        <ToggleButton value="">All</ToggleButton>
+                        <ToggleButton value="pending">Pending</ToggleButton>
+                        <ToggleButton value="sent">Sent</ToggleButton>
+                        <ToggleButton value="failed">Failed</ToggleButton>
+                        <ToggleButton value="skipped">Skipped</ToggleButton>
+                      </ToggleButtonGroup>
+                    </Stack>
+                    <Table size="small">
+                      <TableHead>
+                        <TableRow>
+                          <TableCell>Email</TableCell>
+                          <TableCell>Status</TableCell>
+                          <TableCell>Attempts</TableCell>
+                          <TableCell>Sent / Next attempt</TableCell>
+                          <TableCell>Error</TableCell>
+                        </TableRow>
+                      </TableHead>
+                      <TableBody>
+                        {recipients.map((recipient) => (
+                          <TableRow key={recipient.id}>
+                            <TableCell>{recipient.email}</TableCell>
+                            <TableCell>
+                              <Chip
+                                size="small"
+                                variant="outlined"
+                                color={RECIPIENT_STATUS_COLORS[recipient.status]}
+                                label={recipient.status}
+                              />
+                            </TableCell>
+                            <TableCell>{recipient.attempts}</TableCell>
+                            <TableCell>{formatDate(recipient.sentAt || recipient.nextAttemptAt)}</TableCell>
+                            <TableCell sx={{ color: 'text.secondary', maxWidth: 320 }}>{recipient.error}</TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                    <TablePagination
+                      component="div"
+                      count={recipientTotal}
+                      page={recipientPage}
+                      rowsPerPage={RECIPIENTS_PER_PAGE}
+                      rowsPerPageOptions={[RECIPIENTS_PER_PAGE]}
+                      onPageChange={(event, newPage) => setRecipientPage(newPage)}
+                    />
+                  </Paper>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </Container>
+    </Box>
+  );
+};
+
+export default CampaignDetailPage;
@@ -0,0 +1,260 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  AppBar,
+  Toolbar,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Stack,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  LinearProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+} from '@mui/material';
+import { ArrowBack, Campaign as CampaignIcon, AddCircleOutline } from '@mui/icons-material';
+import { useAuth } from '../contexts/AuthContext';
+import CampaignStatusChip from '../components/CampaignStatusChip';
+import { getCampaigns, createCampaign } from '../services/campaignService';
+import { getMyTemplates } from '../services/templateService';
+import { getLists } from '../services/listService';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const CampaignsPage = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [createOpen, setCreateOpen] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [draft, setDraft] = useState({ name: '', templateId: '', listId: '' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadCampaigns();
+  }, []);
+
+  const loadCampaigns = async () => {
+    try {
+      setLoading(true);
+      const response = await getCampaigns({ limit: 100 });
+      setCampaigns(response.data.campaigns);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load campaigns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenCreate = async () => {
+    setDraft({ name: '', templateId: '', listId: '' });
+    setCreateOpen(true);
+
+    try {
+      const [templatesResponse, listsResponse] = await Promise.all([getMyTemplates({ limit: 100 }), getLists()]);
+      setTemplates(templatesResponse.data.templates);
+      setLists(listsResponse.data.lists);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load templates and lists');
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setSaving(true);
+      const response = await createCampaign(draft);
+      navigate(`/campaigns/${response.data.id}`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create campaign');
+      setCreateOpen(false);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default' }}>
+      {/* App Bar */}
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton edge="start" color="inherit" onClick={() => navigate('/dashboard')}>
+            <ArrowBack />
+          </IconButton>
+          <Stack direction="row" alignItems="center" spacing={1} sx={{ flexGrow: 1, ml: 2 }}>
+            <CampaignIcon />
+            <Typography variant="h6" component="div">
+              Campaigns
+            </Typography>
+          </Stack>
+          <Typography variant="body1">{user?.name}</Typography>
+        </Toolbar>
+      </AppBar>
+
+      {/* Main Content */}
+      <Container maxWidth="lg" sx={{ py: { xs: 3, sm: 4 } }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2.5 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <Stack direction="row" alignItems="center" justifyContent="space-between" sx={{ mb: 2.5 }}>
+          <Typography variant="body1" color="text.secondary">
+            Send a saved template to the subscribed contacts of a list, now or at a scheduled time.
+          </Typography>
+          <Button
+            variant="contained"
+            startIcon={<AddCircleOutline />}
+            sx={{ fontWeight: 600, flexShrink: 0 }}
+            onClick={handleOpenCreate}
+          >
+            New Campaign
+          </Button>
+        </Stack>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+            <CircularProgress />
+          </Box>
+        ) : campaigns.length === 0 ? (
+          <Box sx={{ textAlign: 'center', py: 8 }}>
+            <CampaignIcon color="disabled" sx={{ fontSize: 60, mb: 2 }} />
+            <Typography variant="h5" gutterBottom>
+              No campaigns yet
+            </Typography>
+            <Typography variant="body1" color="text.secondary">
+              Create a campaign to send a template to one of your lists
+            </Typography>
+          </Box>
+        ) : (
+          <Paper variant="outlined" sx={{ borderRadius: 3, overflow: 'hidden' }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Template</TableCell>
+                  <TableCell>List</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell sx={{ width: 180 }}>Progress</TableCell>
+                  <TableCell>Scheduled</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {campaigns.map((campaign) => {
+                  const { total, pending } = campaign.stats;
+                  return (
+                    <TableRow
+                      key={campaign.id}
+                      hover
+                      sx={{ cursor: 'pointer' }}
+                      onClick={() => navigate(`/campaigns/${campaign.id}`)}
+                    >
+                      <TableCell sx={{ fontWeight: 600 }}>{campaign.name}</TableCell>
+                      <TableCell>{campaign.templateName || 'Deleted template'}</TableCell>
+                      <TableCell>{campaign.listName || 'Deleted list'}</TableCell>
+                      <TableCell>
+                        <CampaignStatusChip status={campaign.status} />
+                      </TableCell>
+                      <TableCell>
+                        {total > 0 ? (
+                          <Stack direction="row" alignItems="center" spacing={1}>
+                            <LinearProgress
+                              variant="determinate"
+                              value={((total - pending) / total) * 100}
+                              sx={{ flex: 1, height: 6, borderRadius: 3 }}
+                            />
+                            <Typography variant="caption" color="text.secondary">
+                              {total - pending}/{total}
+                            </Typography>
+                          </Stack>
+                        ) : (
+                          '—'
+                        )}
+                      </TableCell>
+                      <TableCell>{formatDate(campaign.scheduledAt)}</TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </Paper>
+        )}
+      </Container>
+
+      <Dialog open={createOpen} onClose={() => setCreateOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>New Campaign</DialogTitle>
+        <DialogContent>
+          <Stack spacing={2} sx={{ pt: 1 }}>
+            <TextField
+              autoFocus
+              fullWidth
+              label="Name"
+              placeholder="e.g. March newsletter"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            />
+            <TextField
+              select
+              fullWidth
+              label="Template"
+              value={draft.templateId}
+              onChange={(e) => setDraft({ ...draft, templateId: e.target.value })}
+              helperText="Subject and sender start from the template's; you can change them before sending"
+            >
+              {templates.map((template) => (
+                <MenuItem key={template.id} value={template.id}>
+                  {template.name}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              select
+              fullWidth
+              label="List"
+              value={draft.listId}
+              onChange={(e) => setDraft({ ...draft, listId: e.target.value })}
+            >
+              {lists.map((list) => (
+                <MenuItem key={list.id} value={list.id}>
+                  {list.name} ({list.subscribedCount} subscribed)
+                </MenuItem>
+              ))}
+            </TextField>
+          </Stack>
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setCreateOpen(false)} size="medium" sx={{ fontWeight: 600 }}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleCreate}
+            variant="contained"
+            size="medium"
+            sx={{ fontWeight: 600 }}
+            disabled={saving || !draft.name.trim() || !draft.templateId || !draft.listId}
+          >
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default CampaignsPage;
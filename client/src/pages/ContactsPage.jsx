@@ -0,0 +1,426 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  AppBar,
+  Toolbar,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Stack,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  InputAdornment,
+  List as MuiList,
+  ListItemButton,
+  ListItemText,
+  ListSubheader,
+  Tooltip,
+} from '@mui/material';
+import {
+  ArrowBack,
+  People,
+  PersonAdd,
+  Search,
+  UploadFile,
+  Download,
+  Edit,
+  Delete,
+  PlaylistAdd,
+} from '@mui/icons-material';
+import { useAuth } from '../contexts/AuthContext';
+import ContactDialog from '../components/ContactDialog';
+import ContactImportDialog from '../components/ContactImportDialog';
+import { getContacts, deleteContact, exportContacts } from '../services/contactService';
+import { getLists, createList, deleteList } from '../services/listService';
+import { downloadFile } from '../utils/download';
+
+const ROWS_PER_PAGE = 25;
+
+const ContactsPage = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [contacts, setContacts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [search, setSearch] = useState('');
+  const [lists, setLists] = useState([]);
+  const [selectedListId, setSelectedListId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [contactDialog, setContactDialog] = useState({ open: false, contact: null });
+  const [importOpen, setImportOpen] = useState(false);
+  const [listDialogOpen, setListDialogOpen] = useState(false);
+  const [listName, setListName] = useState('');
+
+  useEffect(() => {
+    loadLists();
+  }, []);
+
+  useEffect(() => {
+    // Wait for typing to pause before searching
+    const timeout = setTimeout(loadContacts, search ? 300 : 0);
+    return () => clearTimeout(timeout);
+  }, [page, search, selectedListId]);
+
+  const loadContacts = async () => {
+    try {
+      setLoading(true);
+      const response = await getContacts({
+        page: page + 1,
+        limit: ROWS_PER_PAGE,
+        search: search || undefined,
+        listId: selectedListId || undefined,
+      });
+      setContacts(response.data.contacts);
+      setTotal(response.data.pagination.total);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load contacts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadLists = async () => {
+    try {
+      const response = await getLists();
+      setLists(response.data.lists);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load lists');
+    }
+  };
+
+  const handleSelectList = (listId) => {
+    setSelectedListId(listId);
+    setPage(0);
+  };
+
+  const handleContactSaved = () => {
+    loadContacts();
+    loadLists();
+  };
+
+  const handleDelete = async (contact) => {
+    if (!window.confirm(`Delete ${contact.email}?`)) {
+      return;
+    }
+
+    try {
+      await deleteContact(contact.id);
+      handleContactSaved();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete contact');
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const csv = await exportContacts({ search: search || undefined, listId: selectedListId || undefined });
+      const list = lists.find((l) => l.id === selectedListId);
+      downloadFile(csv, `${list ? list.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() : 'contacts'}.csv`);
+    } catch (err) {
+      setError('Failed to export contacts');
+    }
+  };
+
+  const handleCreateList = async () => {
+    try {
+      const response = await createList({ name: listName });
+      setLists([...lists, response.data].sort((a, b) => a.name.localeCompare(b.name)));
+      setListDialogOpen(false);
+      setListName('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create list');
+    }
+  };
+
+  const handleDeleteList = async (list) => {
+    if (!window.confirm(`Delete the list "${list.name}"? Its contacts are kept.`)) {
+      return;
+    }
+
+    try {
+      await deleteList(list.id);
+      setLists(lists.filter((l) => l.id !== list.id));
+      if (selectedListId === list.id) handleSelectList('');
+      else loadContacts();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete list');
+    }
+  };
+
+  const listNames = new Map(lists.map((list) => [list.id, list.name]));
+
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default' }}>
+      {/* App Bar */}
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton edge="start" color="inherit" onClick={() => navigate('/dashboard')}>
+            <ArrowBack />
+          </IconButton>
+          <Stack direction="row" alignItems="center" spacing={1} sx={{ flexGrow: 1, ml: 2 }}>
+            <People />
+            <Typography variant="h6" component="div">
+              Contacts
+            </Typography>
+          </Stack>
+          <Typography variant="body1">{user?.name}</Typography>
+        </Toolbar>
+      </AppBar>
+
+      {/* Main Content */}
+      <Container maxWidth="xl" sx={{ py: { xs: 3, sm: 4 } }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2.5 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+
+        <Stack direction={{ xs: 'column', md: 'row' }} spacing={3} alignItems="flex-start">
+          {/* Lists */}
+          <Paper variant="outlined" sx={{ borderRadius: 3, width: { xs: '100%', md: 260 }, flexShrink: 0 }}>
+            <MuiList
+              dense
+              subheader={
+                <ListSubheader sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', borderRadius: 3 }}>
+                  Lists
+                  <Tooltip title="New list">
+                    <IconButton size="small" edge="end" onClick={() => setListDialogOpen(true)}>
+                      <PlaylistAdd fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </ListSubheader>
+              }
+            >
+              <ListItemButton selected={!selectedListId} onClick={() => handleSelectList('')}>
+                <ListItemText primary="All contacts" />
+              </ListItemButton>
+              {lists.map((list) => (
+                <ListItemButton
+                  key={list.id}
+                  selected={selectedListId === list.id}
+                  onClick={() => handleSelectList(list.id)}
+                  sx={{ '&:hover .list-delete': { visibility: 'visible' } }}
+                >
+                  <ListItemText
+                    primary={list.name}
+                    secondary={`${list.subscribedCount} subscribed of ${list.contactCount}`}
+                  />
+                  <IconButton
+                    className="list-delete"
+                    size="small"
+                    edge="end"
+                    sx={{ visibility: 'hidden' }}
+                    onClick={(event) => {
+                      event.stopPropagation();
+                      handleDeleteList(list);
+                    }}
+                  >
+                    <Delete fontSize="small" />
+                  </IconButton>
+                </ListItemButton>
+              ))}
+            </MuiList>
+          </Paper>
+
+          {/* Contacts */}
+          <Box sx={{ flex: 1, minWidth: 0, width: '100%' }}>
+            <Stack direction="row" alignItems="center" spacing={1.5} sx={{ mb: 2.5 }}>
+              <TextField
+                size="small"
+                placeholder="Search by email or name"
+                value={search}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  setPage(0);
+                }}
+                InputProps={{
+                  startAdornment: (
+                    <InputAdornment position="start">
+                      <Search fontSize="small" />
+                    </InputAdornment>
+                  ),
+                }}
+                sx={{ flex: 1 }}
+              />
+              <Button startIcon={<Download />} sx={{ fontWeight: 600, flexShrink: 0 }} onClick={handleExport}>
+                Export CSV
+              </Button>
+              <Button
+                variant="outlined"
+                startIcon={<UploadFile />}
+                sx={{ fontWeight: 600, flexShrink: 0 }}
+                onClick={() => setImportOpen(true)}
+              >
+                Import CSV
+              </Button>
+              <Button
+                variant="contained"
+                startIcon={<PersonAdd />}
+                sx={{ fontWeight: 600, flexShrink: 0 }}
+                onClick={() => setContactDialog({ open: true, contact: null })}
+              >
+                Add Contact
+              </Button>
+            </Stack>
+
+            {loading && contacts.length === 0 ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+                <CircularProgress />
+              </Box>
+            ) : contacts.length === 0 ? (
+              <Box sx={{ textAlign: 'center', py: 8 }}>
+                <People color="disabled" sx={{ fontSize: 60, mb: 2 }} />
+                <Typography variant="h5" gutterBottom>
+                  {search || selectedListId ? 'No matching contacts' : 'No contacts yet'}
+                </Typography>
+                <Typography variant="body1" color="text.secondary">
+                  Add contacts one by one or import them from a CSV file
+                </Typography>
+              </Box>
+            ) : (
+              <Paper variant="outlined" sx={{ borderRadius: 3, overflow: 'hidden' }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Email</TableCell>
+                      <TableCell>Name</TableCell>
+                      <TableCell>Fields</TableCell>
+                      <TableCell>Lists</TableCell>
+                      <TableCell>Status</TableCell>
+                      <TableCell align="right" />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {contacts.map((contact) => (
+                      <TableRow key={contact.id} hover>
+                        <TableCell>{contact.email}</TableCell>
+                        <TableCell>{contact.name}</TableCell>
+                        <TableCell>
+                          <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                            {Object.entries(contact.fields).map(([name, value]) => (
+                              <Chip key={name} size="small" variant="outlined" label={`${name}: ${value}`} />
+                            ))}
+                          </Stack>
+                        </TableCell>
+                        <TableCell>
+                          <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                            {contact.lists.map((id) => {
+                              // Opted out on the preference page: still a member, but gets no campaigns
+                              const optedOut = contact.unsubscribedLists?.includes(id);
+                              const name = listNames.get(id) || 'Unknown list';
+                              return (
+                                <Chip
+                                  key={id}
+                                  size="small"
+                                  variant={optedOut ? 'outlined' : 'filled'}
+                                  label={optedOut ? `${name} · opted out` : name}
+                                />
+                              );
+                            })}
+                          </Stack>
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            color={
+                              contact.status === 'subscribed'
+                                ? 'success'
+                                : contact.status === 'unsubscribed'
+                                  ? 'default'
+                                  : 'error'
+                            }
+                            label={contact.status}
+                          />
+                        </TableCell>
+                        <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                          <IconButton size="small" onClick={() => setContactDialog({ open: true, contact })}>
+                            <Edit fontSize="small" />
+                          </IconButton>
+                          <IconButton size="small" onClick={() => handleDelete(contact)}>
+                            <Delete fontSize="small" />
+                          </IconButton>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+                <TablePagination
+                  component="div"
+                  count={total}
+                  page={page}
+                  rowsPerPage={ROWS_PER_PAGE}
+                  rowsPerPageOptions={[ROWS_PER_PAGE]}
+                  onPageChange={(event, newPage) => setPage(newPage)}
+                />
+              </Paper>
+            )}
+          </Box>
+        </Stack>
+      </Container>
+
+      <ContactDialog
+        open={contactDialog.open}
+        contact={contactDialog.contact}
+        lists={lists}
+        onClose={() => setContactDialog({ open: false, contact: null })}
+        onSaved={handleContactSaved}
+      />
+
+      <ContactImportDialog
+        open={importOpen}
+        lists={lists}
+        defaultListId={selectedListId}
+        onClose={() => setImportOpen(false)}
+        onImported={handleContactSaved}
+      />
+
+      <Dialog open={listDialogOpen} onClose={() => setListDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>New List</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            label="Name"
+            placeholder="e.g. Newsletter"
+            value={listName}
+            onChange={(e) => setListName(e.target.value)}
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setListDialogOpen(false)} size="medium" sx={{ fontWeight: 600 }}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleCreateList}
+            variant="contained"
+            size="medium"
+            sx={{ fontWeight: 600 }}
+            disabled={!listName.trim()}
+          >
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ContactsPage;
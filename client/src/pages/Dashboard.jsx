@@ -22,6 +22,10 @@ import {
   Code,
   RocketLaunch,
   ViewQuilt,
+  Key,
+  People,
+  Campaign,
+  Block,
 } from '@mui/icons-material';
 import { useAuth } from '../contexts/AuthContext';
 
@@ -68,7 +72,7 @@ const Dashboard = () => {
 
         <Grid container spacing={3}>
           {/* Create New Template Card */}
-          <Grid item xs={12} md={4}>
+          <Grid item xs={12} sm={6} md={4}>
             <Card
               sx={{
                 height: '100%',
@@ -96,7 +100,7 @@ const Dashboard = () => {
           </Grid>
 
           {/* My Templates Card */}
-          <Grid item xs={12} md={4}>
+          <Grid item xs={12} sm={6} md={4}>
             <Card
               sx={{
                 height: '100%',
@@ -122,6 +126,118 @@ const Dashboard = () => {
               </CardContent>
             </Card>
           </Grid>
+
+          {/* Contacts Card */}
+          <Grid item xs={12} sm={6} md={4}>
+            <Card
+              sx={{
+                height: '100%',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                minHeight: 200,
+                cursor: 'pointer',
+                borderRadius: 3,
+                p: 0.5,
+                '&:hover': {
+                  bgcolor: 'action.hover',
+                },
+              }}
+              onClick={() => navigate('/contacts')}
+            >
+              <CardContent sx={{ textAlign: 'center', py: 3 }}>
+                <People sx={{ fontSize: 60, color: 'success.main', mb: 2 }} />
+                <Typography variant="h6">Contacts</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Manage recipients and lists
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          {/* Campaigns Card */}
+          <Grid item xs={12} sm={6} md={4}>
+            <Card
+              sx={{
+                height: '100%',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                minHeight: 200,
+                cursor: 'pointer',
+                borderRadius: 3,
+                p: 0.5,
+                '&:hover': {
+                  bgcolor: 'action.hover',
+                },
+              }}
+              onClick={() => navigate('/campaigns')}
+            >
+              <CardContent sx={{ textAlign: 'center', py: 3 }}>
+                <Campaign sx={{ fontSize: 60, color: 'warning.main', mb: 2 }} />
+                <Typography variant="h6">Campaigns</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Send templates to your lists
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          {/* Suppression List Card */}
+          <Grid item xs={12} sm={6} md={4}>
+            <Card
+              sx={{
+                height: '100%',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                minHeight: 200,
+                cursor: 'pointer',
+                borderRadius: 3,
+                p: 0.5,
+                '&:hover': {
+                  bgcolor: 'action.hover',
+                },
+              }}
+              onClick={() => navigate('/suppressions')}
+            >
+              <CardContent sx={{ textAlign: 'center', py: 3 }}>
+                <Block sx={{ fontSize: 60, color: 'error.main', mb: 2 }} />
+                <Typography variant="h6">Suppression List</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Bounced, complaining and blocked addresses
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
+
+          {/* API Keys Card */}
+          <Grid item xs={12} sm={6} md={4}>
+            <Card
+              sx={{
+                height: '100%',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                minHeight: 200,
+                cursor: 'pointer',
+                borderRadius: 3,
+                p: 0.5,
+                '&:hover': {
+                  bgcolor: 'action.hover',
+                },
+              }}
+              onClick={() => navigate('/settings/api-keys')}
+            >
+              <CardContent sx={{ textAlign: 'center', py: 3 }}>
+                <Key sx={{ fontSize: 60, color: 'text.secondary', mb: 2 }} />
+                <Typography variant="h6">API Keys</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Send templates from your own services
+                </Typography>
+              </CardContent>
+            </Card>
+          </Grid>
         </Grid>
 
         {/* Quick Start Section */}
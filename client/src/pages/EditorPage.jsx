@@ -16,6 +16,13 @@ import {
   Snackbar,
   Alert,
   Stack,
+  Tooltip,
+  Divider,
+  ToggleButton,
+  ToggleButtonGroup,
+  Menu,
+  MenuItem,
+  ListItemText,
 } from '@mui/material';
 import {
   ArrowBack,
@@ -25,24 +32,75 @@ import {
   Widgets,
   Preview,
   Tune,
+  Undo,
+  Redo,
+  History,
+  Visibility,
+  Code,
+  DataObject,
+  ArrowDropDown,
+  MailOutline,
+  Send,
 } from '@mui/icons-material';
 import { DndContext, closestCenter, PointerSensor, useSensor, useSensors } from '@dnd-kit/core';
 import { EditorProvider, useEditor } from '../contexts/EditorContext';
 import ComponentPalette from '../components/ComponentPalette';
 import EditorCanvas from '../components/EditorCanvas';
 import PropertyPanel from '../components/PropertyPanel';
+import VersionHistoryDrawer from '../components/VersionHistoryDrawer';
+import PreviewPane from '../components/PreviewPane';
+import CodePane from '../components/CodePane';
+import VariablesDialog from '../components/VariablesDialog';
+import PreviewAsSwitcher from '../components/PreviewAsSwitcher';
+import EnvelopeDialog from '../components/EnvelopeDialog';
+import SendTestDialog from '../components/SendTestDialog';
 import { getTemplate, createTemplate, updateTemplate } from '../services/templateService';
-import { generateEmailHTML } from '../utils/emailGenerator';
+import { getImageVariants } from '../services/assetService';
+import { renderTemplateHTML, collectImageSlots } from '@shared/emailGenerator';
+import { generateEmailText } from '@shared/emailText';
+import { MERGE_TAG_SYNTAXES, buildSampleData } from '@shared/mergeTags';
+import { downloadFile } from '../utils/download';
+import { buildTemplatePackage } from '../utils/templatePackage';
+
+const EXPORT_FORMAT_LABELS = {
+  html: 'HTML',
+  text: 'Plain text',
+  zip: 'ZIP package',
+};
 
 const EditorContent = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { componentTree, loadTemplate, reorderComponents, addComponent, moveComponent } = useEditor();
+  const {
+    componentTree,
+    htmlDocument,
+    isEjected,
+    variables,
+    envelope,
+    loadTemplate,
+    reorderComponents,
+    addComponent,
+    moveComponent,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+  } = useEditor();
   const [saveDialogOpen, setSaveDialogOpen] = useState(false);
   const [templateName, setTemplateName] = useState('');
   const [templateDescription, setTemplateDescription] = useState('');
   const [currentTemplateId, setCurrentTemplateId] = useState(id || null);
   const [loading, setLoading] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [viewMode, setViewMode] = useState('canvas');
+  const [variablesOpen, setVariablesOpen] = useState(false);
+  const [envelopeOpen, setEnvelopeOpen] = useState(false);
+  const [sendTestOpen, setSendTestOpen] = useState(false);
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
+  const [exportDataDialogOpen, setExportDataDialogOpen] = useState(false);
+  const [exportFormat, setExportFormat] = useState('html');
+  const [exportData, setExportData] = useState('');
+  const [exporting, setExporting] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
 
   const sensors = useSensors(
@@ -59,14 +117,50 @@ const EditorContent = () => {
     }
   }, [id]);
 
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+
+      // Leave native undo alone while typing in a field
+      const target = event.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  // The canvas does not apply to ejected templates
+  useEffect(() => {
+    if (isEjected && viewMode === 'canvas') {
+      setViewMode('code');
+    }
+  }, [isEjected, viewMode]);
+
+  const applyLoadedTemplate = (template) => {
+    loadTemplate(template.componentTree, {
+      htmlDocument: template.mode === 'html' ? template.html : null,
+      variables: template.variables,
+      envelope: template.envelope,
+    });
+    setTemplateName(template.name);
+    setTemplateDescription(template.description);
+  };
+
   const loadExistingTemplate = async (templateId) => {
     try {
       setLoading(true);
       const response = await getTemplate(templateId);
-      const template = response.data;
-      loadTemplate(template.componentTree);
-      setTemplateName(template.name);
-      setTemplateDescription(template.description);
+      applyLoadedTemplate(response.data);
       setCurrentTemplateId(templateId);
     } catch (error) {
       setSnackbar({
@@ -158,6 +252,10 @@ const EditorContent = () => {
         name: templateName,
         description: templateDescription,
         componentTree,
+        mode: isEjected ? 'html' : 'visual',
+        html: htmlDocument || '',
+        variables,
+        envelope,
         category: 'other',
         tags: [],
         isPublic: false,
@@ -192,28 +290,114 @@ const EditorContent = () => {
     }
   };
 
-  const handleExportHTML = () => {
-    const html = generateEmailHTML(componentTree);
+  const handleVersionRestored = (template) => {
+    applyLoadedTemplate(template);
+    setSnackbar({
+      open: true,
+      message: 'Version restored successfully',
+      severity: 'success',
+    });
+  };
 
-    const blob = new Blob([html], { type: 'text/html' });
-    const url = URL.createObjectURL(blob);
+  // Uploaded images are exported as variants sized to their slots; if the server cannot provide them,
+  // the export still goes ahead with the original images
+  const prepareExportImages = async (renderOptions) => {
+    if (htmlDocument) return null;
 
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `${templateName || 'email-template'}.html`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    const slots = new Map(
+      collectImageSlots(componentTree, renderOptions).map(({ src, width }) => [`${width}|${src}`, { src, width }])
+    );
+    if (slots.size === 0) return null;
 
-    URL.revokeObjectURL(url);
+    try {
+      const response = await getImageVariants([...slots.values()]);
+      const variants = new Map(response.data.slots.map((slot) => [`${slot.width}|${slot.src}`, slot.variants]));
+      return (src, width) => variants.get(`${width}|${src}`) || null;
+    } catch (error) {
+      console.error('Failed to get image variants:', error);
+      return null;
+    }
+  };
+
+  const handleExport = async (format, mergeTagSyntax, data = {}) => {
+    const fileName = templateName || 'email-template';
+
+    if (format === 'text') {
+      const text = generateEmailText(componentTree, { mergeTagSyntax, variables, data });
+      downloadFile(text, `${fileName}.txt`, 'text/plain');
+    } else if (format === 'zip') {
+      // Downloading the images may take a moment
+      let result;
+      try {
+        setExporting(true);
+        const resolveImage = await prepareExportImages({ mergeTagSyntax, variables, data });
+        result = await buildTemplatePackage(
+          { name: fileName, componentTree, variables, envelope },
+          { mergeTagSyntax, data, resolveImage }
+        );
+      } catch (error) {
+        console.error('Failed to build the ZIP package:', error);
+        setSnackbar({ open: true, message: 'Failed to build the ZIP package', severity: 'error' });
+        return;
+      } finally {
+        setExporting(false);
+      }
+      downloadFile(result.blob, `${fileName}.zip`);
+
+      if (result.missingImages.length > 0) {
+        setSnackbar({
+          open: true,
+          message: `ZIP package downloaded, but ${result.missingImages.length} image(s) could not be downloaded and still point to their URL`,
+          severity: 'warning',
+        });
+        return;
+      }
+    } else {
+      const resolveImage = await prepareExportImages({ mergeTagSyntax, variables, data });
+      const html = renderTemplateHTML(
+        { componentTree, htmlDocument, variables, envelope },
+        { mergeTagSyntax, data, resolveImage }
+      );
+      downloadFile(html, `${fileName}.html`, 'text/html');
+    }
 
     setSnackbar({
       open: true,
-      message: 'HTML downloaded successfully',
+      message: `${EXPORT_FORMAT_LABELS[format]} downloaded successfully`,
       severity: 'success',
     });
   };
 
+  const handleExportMenuSelect = (format, mergeTagSyntax) => {
+    setExportMenuAnchor(null);
+
+    if (mergeTagSyntax === 'render') {
+      setExportFormat(format);
+      setExportData(JSON.stringify(buildSampleData(variables), null, 2));
+      setExportDataDialogOpen(true);
+      return;
+    }
+
+    handleExport(format, mergeTagSyntax);
+  };
+
+  const handleExportWithData = () => {
+    let data;
+    try {
+      data = JSON.parse(exportData || '{}');
+    } catch (error) {
+      setSnackbar({
+        open: true,
+        message: 'Merge data must be valid JSON',
+        severity: 'error',
+      });
+      return;
+    }
+
+    handleExport(exportFormat, 'render', data);
+    setExportDataDialogOpen(false);
+  };
+
   if (loading && id) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '100vh' }}>
@@ -234,7 +418,39 @@ const EditorContent = () => {
             <AutoAwesome color="primary" fontSize="small" />
             <Typography variant="h6">{templateName || 'New Template'}</Typography>
           </Stack>
-          <Stack direction="row" spacing={1}>
+          <Stack direction="row" spacing={1} alignItems="center">
+            <Tooltip title="Undo (Ctrl+Z)">
+              <span>
+                <IconButton onClick={undo} disabled={!canUndo}>
+                  <Undo />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title="Redo (Ctrl+Shift+Z)">
+              <span>
+                <IconButton onClick={redo} disabled={!canRedo}>
+                  <Redo />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title={currentTemplateId ? 'Version history' : 'Save the template to start its history'}>
+              <span>
+                <IconButton onClick={() => setHistoryOpen(true)} disabled={!currentTemplateId}>
+                  <History />
+                </IconButton>
+              </span>
+            </Tooltip>
+            <Tooltip title="Template variables">
+              <IconButton onClick={() => setVariablesOpen(true)}>
+                <DataObject />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="Subject & sender">
+              <IconButton onClick={() => setEnvelopeOpen(true)}>
+                <MailOutline />
+              </IconButton>
+            </Tooltip>
+            <Divider orientation="vertical" flexItem sx={{ mx: 0.5 }} />
             <Button
               startIcon={<Save />}
               onClick={() => setSaveDialogOpen(true)}
@@ -245,14 +461,50 @@ const EditorContent = () => {
               Save
             </Button>
             <Button
-              startIcon={<GetApp />}
-              onClick={handleExportHTML}
+              startIcon={<Send />}
+              onClick={() => setSendTestOpen(true)}
               variant="outlined"
               size="medium"
               sx={{ fontWeight: 600 }}
             >
-              Export HTML
+              Send Test
             </Button>
+            <Button
+              startIcon={exporting ? <CircularProgress size={16} /> : <GetApp />}
+              endIcon={<ArrowDropDown />}
+              onClick={(e) => setExportMenuAnchor(e.currentTarget)}
+              disabled={exporting}
+              variant="outlined"
+              size="medium"
+              sx={{ fontWeight: 600 }}
+            >
+              Export
+            </Button>
+            <Menu anchorEl={exportMenuAnchor} open={Boolean(exportMenuAnchor)} onClose={() => setExportMenuAnchor(null)}>
+              {Object.entries(MERGE_TAG_SYNTAXES).map(([syntax, label]) => (
+                <MenuItem key={syntax} onClick={() => handleExportMenuSelect('html', syntax)}>
+                  <ListItemText primary={`HTML · ${label}`} />
+                </MenuItem>
+              ))}
+              <Divider />
+              {Object.entries(MERGE_TAG_SYNTAXES).map(([syntax, label]) => (
+                <MenuItem key={syntax} disabled={isEjected} onClick={() => handleExportMenuSelect('text', syntax)}>
+                  <ListItemText
+                    primary={`Plain text · ${label}`}
+                    secondary={isEjected ? 'Only for templates built in the visual editor' : undefined}
+                  />
+                </MenuItem>
+              ))}
+              <Divider />
+              {Object.entries(MERGE_TAG_SYNTAXES).map(([syntax, label]) => (
+                <MenuItem key={syntax} disabled={isEjected} onClick={() => handleExportMenuSelect('zip', syntax)}>
+                  <ListItemText
+                    primary={`ZIP package · ${label}`}
+                    secondary={isEjected ? 'Only for templates built in the visual editor' : undefined}
+                  />
+                </MenuItem>
+              ))}
+            </Menu>
           </Stack>
         </Toolbar>
       </AppBar>
@@ -261,35 +513,76 @@ const EditorContent = () => {
       <DndContext sensors={sensors} collisionDetection={closestCenter} onDragEnd={handleDragEnd}>
         <Box sx={{ flex: 1, display: 'flex', overflow: 'hidden' }}>
           {/* Left: Component Palette */}
-          <Box sx={{ width: 250, borderRight: 1, borderColor: 'divider', overflowY: 'auto' }}>
-            <Box sx={{ px: 2.5, pt: 2, pb: 1, borderBottom: 1, borderColor: 'divider' }}>
-              <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                <Widgets fontSize="small" color="primary" />
-                Components
-              </Typography>
+          {!isEjected && (
+            <Box sx={{ width: 250, borderRight: 1, borderColor: 'divider', overflowY: 'auto' }}>
+              <Box sx={{ px: 2.5, pt: 2, pb: 1, borderBottom: 1, borderColor: 'divider' }}>
+                <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Widgets fontSize="small" color="primary" />
+                  Components
+                </Typography>
+              </Box>
+              <ComponentPalette />
             </Box>
-            <ComponentPalette />
-          </Box>
+          )}
 
           {/* Center: Editor Canvas */}
-          <Box sx={{ flex: 1, overflowY: 'auto', bgcolor: 'grey.100', p: 2.5 }}>
-            <Typography variant="subtitle2" sx={{ mb: 1.5, display: 'flex', alignItems: 'center', gap: 1 }}>
-              <Preview fontSize="small" color="primary" />
-              Canvas
-            </Typography>
-            <EditorCanvas />
+          <Box
+            sx={{
+              flex: 1,
+              overflowY: 'auto',
+              bgcolor: 'grey.100',
+              p: 2.5,
+              display: 'flex',
+              flexDirection: 'column',
+            }}
+          >
+            <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1.5 }}>
+              <ToggleButtonGroup
+                size="small"
+                exclusive
+                value={viewMode}
+                onChange={(e, value) => value && setViewMode(value)}
+              >
+                <ToggleButton value="canvas" disabled={isEjected} sx={{ gap: 0.75 }}>
+                  <Preview fontSize="small" />
+                  Canvas
+                </ToggleButton>
+                <ToggleButton value="preview" sx={{ gap: 0.75 }}>
+                  <Visibility fontSize="small" />
+                  Preview
+                </ToggleButton>
+                <ToggleButton value="code" sx={{ gap: 0.75 }}>
+                  <Code fontSize="small" />
+                  Code
+                </ToggleButton>
+              </ToggleButtonGroup>
+              {!isEjected && <PreviewAsSwitcher />}
+            </Stack>
+            {viewMode === 'canvas' && <EditorCanvas />}
+            {viewMode === 'preview' && (
+              <Box sx={{ flex: 1, minHeight: 500 }}>
+                <PreviewPane />
+              </Box>
+            )}
+            {viewMode === 'code' && (
+              <Box sx={{ flex: 1, minHeight: 500 }}>
+                <CodePane />
+              </Box>
+            )}
           </Box>
 
           {/* Right: Property Panel */}
-          <Box sx={{ width: 300, borderLeft: 1, borderColor: 'divider', overflowY: 'auto' }}>
-            <Box sx={{ px: 2.5, pt: 2, pb: 1, borderBottom: 1, borderColor: 'divider' }}>
-              <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                <Tune fontSize="small" color="primary" />
-                Inspector
-              </Typography>
+          {!isEjected && (
+            <Box sx={{ width: 300, borderLeft: 1, borderColor: 'divider', overflowY: 'auto' }}>
+              <Box sx={{ px: 2.5, pt: 2, pb: 1, borderBottom: 1, borderColor: 'divider' }}>
+                <Typography variant="subtitle2" sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Tune fontSize="small" color="primary" />
+                  Inspector
+                </Typography>
+              </Box>
+              <PropertyPanel />
             </Box>
-            <PropertyPanel />
-          </Box>
+          )}
         </Box>
       </DndContext>
 
@@ -332,6 +625,51 @@ const EditorContent = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Export With Data Dialog */}
+      <Dialog open={exportDataDialogOpen} onClose={() => setExportDataDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Export with Merge Data</DialogTitle>
+        <DialogContent sx={{ pt: 1 }}>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Merge tags are replaced with these values. Missing values use each variable&apos;s fallback.
+          </Typography>
+          <TextField
+            fullWidth
+            multiline
+            minRows={8}
+            label="Data (JSON)"
+            value={exportData}
+            onChange={(e) => setExportData(e.target.value)}
+            InputProps={{ sx: { fontFamily: 'monospace', fontSize: 13 } }}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setExportDataDialogOpen(false)} size="medium" sx={{ fontWeight: 600 }}>
+            Cancel
+          </Button>
+          <Button onClick={handleExportWithData} variant="contained" size="medium" sx={{ fontWeight: 600 }}>
+            Download
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <VariablesDialog open={variablesOpen} onClose={() => setVariablesOpen(false)} />
+
+      <EnvelopeDialog open={envelopeOpen} onClose={() => setEnvelopeOpen(false)} />
+
+      <SendTestDialog
+        open={sendTestOpen}
+        onClose={() => setSendTestOpen(false)}
+        templateId={currentTemplateId}
+        onSent={(message, severity) => setSnackbar({ open: true, message, severity })}
+      />
+
+      <VersionHistoryDrawer
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        templateId={currentTemplateId}
+        onRestored={handleVersionRestored}
+      />
+
       {/* Snackbar */}
       <Snackbar
         open={snackbar.open}
@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Typography,
+  Button,
+  AppBar,
+  Toolbar,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Stack,
+  Paper,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TablePagination,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  InputAdornment,
+  MenuItem,
+  Tooltip,
+} from '@mui/material';
+import { ArrowBack, Block, Search, UploadFile, Download, Add, Delete } from '@mui/icons-material';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  getSuppressions,
+  createSuppression,
+  deleteSuppression,
+  importSuppressions,
+  exportSuppressions,
+} from '../services/suppressionService';
+import { downloadFile } from '../utils/download';
+
+const ROWS_PER_PAGE = 25;
+
+const REASON_LABELS = {
+  bounce: 'Bounce',
+  complaint: 'Complaint',
+  manual: 'Manual',
+};
+
+const REASON_COLORS = {
+  bounce: 'error',
+  complaint: 'warning',
+  manual: 'default',
+};
+
+const SuppressionsPage = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const fileInputRef = useRef(null);
+  const [suppressions, setSuppressions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [search, setSearch] = useState('');
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [addDialogOpen, setAddDialogOpen] = useState(false);
+  const [newEmail, setNewEmail] = useState('');
+  const [newDetail, setNewDetail] = useState('');
+
+  useEffect(() => {
+    // Wait for typing to pause before searching
+    const timeout = setTimeout(loadSuppressions, search ? 300 : 0);
+    return () => clearTimeout(timeout);
+  }, [page, search, reason]);
+
+  const loadSuppressions = async () => {
+    try {
+      setLoading(true);
+      const response = await getSuppressions({
+        page: page + 1,
+        limit: ROWS_PER_PAGE,
+        search: search || undefined,
+        reason: reason || undefined,
+      });
+      setSuppressions(response.data.suppressions);
+      setTotal(response.data.pagination.total);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load the suppression list');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    try {
+      await createSuppression({ email: newEmail.trim(), detail: newDetail.trim() });
+      setAddDialogOpen(false);
+      setNewEmail('');
+      setNewDetail('');
+      loadSuppressions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to add the address');
+    }
+  };
+
+  const handleDelete = async (suppression) => {
+    if (!window.confirm(`Allow sending to ${suppression.email} again?`)) {
+      return;
+    }
+
+    try {
+      await deleteSuppression(suppression.id);
+      loadSuppressions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove the address');
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      setImporting(true);
+      const response = await importSuppressions(await file.text());
+      const { added, existing, invalid } = response.data;
+      setNotice(
+        `Added ${added} address${added === 1 ? '' : 'es'}` +
+          (existing ? `, ${existing} already suppressed` : '') +
+          (invalid ? `, ${invalid} invalid skipped` : '')
+      );
+      setPage(0);
+      loadSuppressions();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to import the file');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      const csv = await exportSuppressions({ search: search || undefined, reason: reason || undefined });
+      downloadFile(csv, 'suppressions.csv');
+    } catch (err) {
+      setError('Failed to export the suppression list');
+    }
+  };
+
+  return (
+    <Box sx={{ minHeight: '100vh', bgcolor: 'background.default' }}>
+      {/* App Bar */}
+      <AppBar position="static">
+        <Toolbar>
+          <IconButton edge="start" color="inherit" onClick={() => navigate('/dashboard')}>
+            <ArrowBack />
+          </IconButton>
+          <Stack direction="row" alignItems="center" spacing={1} sx={{ flexGrow: 1, ml: 2 }}>
+            <Block />
+            <Typography variant="h6" component="div">
+              Suppression List
+            </Typography>
+          </Stack>
+          <Typography variant="body1">{user?.name}</Typography>
+        </Toolbar>
+      </AppBar>
+
+      {/* Main Content */}
+      <Container maxWidth="lg" sx={{ py: { xs: 3, sm: 4 } }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2.5 }} onClose={() => setError('')}>
+            {error}
+          </Alert>
+        )}
+        {notice && (
+          <Alert severity="success" sx={{ mb: 2.5 }} onClose={() => setNotice('')}>
+            {notice}
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2.5 }}>
+          Nothing is sent to these addresses: not campaigns, API sends or test emails. Hard bounces and spam
+          complaints reported by your email provider are added automatically.
+        </Typography>
+
+        <Stack direction={{ xs: 'column', sm: 'row' }} alignItems={{ sm: 'center' }} spacing={1.5} sx={{ mb: 2.5 }}>
+          <TextField
+            size="small"
+            placeholder="Search by email"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(0);
+            }}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <Search fontSize="small" />
+                </InputAdornment>
+              ),
+            }}
+            sx={{ flex: 1 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Reason"
+            value={reason}
+            onChange={(e) => {
+              setReason(e.target.value);
+              setPage(0);
+            }}
+            sx={{ minWidth: 150 }}
+          >
+            <MenuItem value="">All reasons</MenuItem>
+            {Object.entries(REASON_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>
+                {label}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button startIcon={<Download />} sx={{ fontWeight: 600, flexShrink: 0 }} onClick={handleExport}>
+            Export CSV
+          </Button>
+          <Button
+            variant="outlined"
+            startIcon={importing ? <CircularProgress size={16} /> : <UploadFile />}
+            sx={{ fontWeight: 600, flexShrink: 0 }}
+            disabled={importing}
+            onClick={() => fileInputRef.current?.click()}
+          >
+            Import CSV
+          </Button>
+          <input ref={fileInputRef} type="file" accept=".csv,.txt,text/csv,text/plain" hidden onChange={handleImport} />
+          <Button
+            variant="contained"
+            startIcon={<Add />}
+            sx={{ fontWeight: 600, flexShrink: 0 }}
+            onClick={() => setAddDialogOpen(true)}
+          >
+            Add Address
+          </Button>
+        </Stack>
+
+        {loading && suppressions.length === 0 ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 8 }}>
+            <CircularProgress />
+          </Box>
+        ) : suppressions.length === 0 ? (
+          <Box sx={{ textAlign: 'center', py: 8 }}>
+            <Block color="disabled" sx={{ fontSize: 60, mb: 2 }} />
+            <Typography variant="h5" gutterBottom>
+              {search || reason ? 'No matching addresses' : 'No suppressed addresses'}
+            </Typography>
+            <Typography variant="body1" color="text.secondary">
+              Import a CSV with an email column, or one address per line
+            </Typography>
+          </Box>
+        ) : (
+          <Paper variant="outlined" sx={{ borderRadius: 3, overflow: 'hidden' }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Email</TableCell>
+                  <TableCell>Reason</TableCell>
+                  <TableCell>Detail</TableCell>
+                  <TableCell>Added</TableCell>
+                  <TableCell align="right" />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {suppressions.map((suppression) => (
+                  <TableRow key={suppression.id} hover>
+                    <TableCell>{suppression.email}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        variant="outlined"
+                        color={REASON_COLORS[suppression.reason]}
+                        label={REASON_LABELS[suppression.reason]}
+                      />
+                    </TableCell>
+                    <TableCell sx={{ maxWidth: 360, overflowWrap: 'anywhere' }}>
+                      <Typography variant="body2" color="text.secondary">
+                        {suppression.detail}
+                      </Typography>
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      {new Date(suppression.createdAt).toLocaleDateString()}
+                      {suppression.source === 'webhook' ? ' · provider' : ''}
+                      {suppression.source === 'import' ? ' · import' : ''}
+                    </TableCell>
+                    <TableCell align="right">
+                      <Tooltip title="Remove from the list">
+                        <IconButton size="small" onClick={() => handleDelete(suppression)}>
+                          <Delete fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <TablePagination
+              component="div"
+              count={total}
+              page={page}
+              rowsPerPage={ROWS_PER_PAGE}
+              rowsPerPageOptions={[ROWS_PER_PAGE]}
+              onPageChange={(event, newPage) => setPage(newPage)}
+            />
+          </Paper>
+        )}
+      </Container>
+
+      <Dialog open={addDialogOpen} onClose={() => setAddDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>Suppress Address</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            label="Email"
+            type="email"
+            value={newEmail}
+            onChange={(e) => setNewEmail(e.target.value)}
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            label="Note"
+            placeholder="e.g. Asked by phone not to be contacted"
+            value={newDetail}
+            onChange={(e) => setNewDetail(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions sx={{ px: 3, pb: 2 }}>
+          <Button onClick={() => setAddDialogOpen(false)} size="medium" sx={{ fontWeight: 600 }}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleAdd}
+            variant="contained"
+            size="medium"
+            sx={{ fontWeight: 600 }}
+            disabled={!newEmail.trim()}
+          >
+            Add
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default SuppressionsPage;
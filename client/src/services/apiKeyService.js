@@ -0,0 +1,30 @@
+import api from './api';
+
+/**
+ * Get user's API keys and the scopes a key can have
+ * @returns {Promise} API keys data
+ */
+export const getApiKeys = async () => {
+  const response = await api.get('/api-keys');
+  return response.data;
+};
+
+/**
+ * Create API key
+ * @param {Object} keyData - Key name and scopes
+ * @returns {Promise} Created key, including the plaintext key (shown only once)
+ */
+export const createApiKey = async (keyData) => {
+  const response = await api.post('/api-keys', keyData);
+  return response.data;
+};
+
+/**
+ * Revoke API key
+ * @param {String} id - API key ID
+ * @returns {Promise} Revoked key
+ */
+export const revokeApiKey = async (id) => {
+  const response = await api.delete(`/api-keys/${id}`);
+  return response.data;
+};
@@ -0,0 +1,46 @@
+import api from './api';
+
+/**
+ * Get user's uploaded images
+ * @param {Object} params - Query parameters (page, limit, search)
+ * @returns {Promise} Assets data with pagination
+ */
+export const getAssets = async (params = {}) => {
+  const response = await api.get('/assets', { params });
+  return response.data;
+};
+
+/**
+ * Upload an image
+ * The file is sent as the request body; uploading a file again returns the existing asset.
+ * @param {File} file - Image picked by the user
+ * @param {Number} width - Width the image is displayed at, to resize it right away and report the savings
+ * @returns {Promise} Created asset, with its public URL and `optimization` when a width was given
+ */
+export const uploadAsset = async (file, width = null) => {
+  const response = await api.post('/assets', file, {
+    params: { name: file.name, width: width || undefined },
+    headers: { 'Content-Type': file.type || 'application/octet-stream' },
+  });
+  return response.data;
+};
+
+/**
+ * Get the resized variants of uploaded images for the widths they are displayed at
+ * @param {Array} slots - { src, width } of each image component, see collectImageSlots
+ * @returns {Promise} Slots with their `variants` ({ '1x', '2x' }, or null for images that are not uploads)
+ */
+export const getImageVariants = async (slots) => {
+  const response = await api.post('/assets/variants', { slots });
+  return response.data;
+};
+
+/**
+ * Delete an uploaded image
+ * @param {String} id - Asset ID
+ * @returns {Promise} Success message
+ */
+export const deleteAsset = async (id) => {
+  const response = await api.delete(`/assets/${id}`);
+  return response.data;
+};
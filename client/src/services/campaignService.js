@@ -0,0 +1,94 @@
+import api from './api';
+
+/**
+ * Get user's campaigns
+ * @param {Object} params - Query parameters (page, limit, status)
+ * @returns {Promise} Campaigns data with pagination
+ */
+export const getCampaigns = async (params = {}) => {
+  const response = await api.get('/campaigns', { params });
+  return response.data;
+};
+
+/**
+ * Get campaign by ID, including its progress counts
+ * @param {String} id - Campaign ID
+ * @returns {Promise} Campaign data
+ */
+export const getCampaign = async (id) => {
+  const response = await api.get(`/campaigns/${id}`);
+  return response.data;
+};
+
+/**
+ * Create a draft campaign
+ * @param {Object} campaignData - Name, template ID, list ID and optional envelope
+ * @returns {Promise} Created campaign
+ */
+export const createCampaign = async (campaignData) => {
+  const response = await api.post('/campaigns', campaignData);
+  return response.data;
+};
+
+/**
+ * Update a draft campaign
+ * @param {String} id - Campaign ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise} Updated campaign
+ */
+export const updateCampaign = async (id, updates) => {
+  const response = await api.put(`/campaigns/${id}`, updates);
+  return response.data;
+};
+
+/**
+ * Delete campaign
+ * @param {String} id - Campaign ID
+ * @returns {Promise} Success message
+ */
+export const deleteCampaign = async (id) => {
+  const response = await api.delete(`/campaigns/${id}`);
+  return response.data;
+};
+
+/**
+ * Schedule a draft campaign
+ * @param {String} id - Campaign ID
+ * @param {String} scheduledAt - ISO date, or undefined to send now
+ * @returns {Promise} Scheduled campaign
+ */
+export const scheduleCampaign = async (id, scheduledAt) => {
+  const response = await api.post(`/campaigns/${id}/schedule`, { scheduledAt });
+  return response.data;
+};
+
+/**
+ * Return a scheduled campaign to draft
+ * @param {String} id - Campaign ID
+ * @returns {Promise} Draft campaign
+ */
+export const unscheduleCampaign = async (id) => {
+  const response = await api.post(`/campaigns/${id}/unschedule`);
+  return response.data;
+};
+
+/**
+ * Get the recipients of a campaign and their delivery status
+ * @param {String} id - Campaign ID
+ * @param {Object} params - Query parameters (page, limit, status)
+ * @returns {Promise} Recipients data with pagination
+ */
+export const getCampaignRecipients = async (id, params = {}) => {
+  const response = await api.get(`/campaigns/${id}/recipients`, { params });
+  return response.data;
+};
+
+/**
+ * Get open and click statistics of a campaign
+ * @param {String} id - Campaign ID
+ * @returns {Promise} Opens, clicks, and clicks per link and per component
+ */
+export const getCampaignReport = async (id) => {
+  const response = await api.get(`/campaigns/${id}/report`);
+  return response.data;
+};
@@ -0,0 +1,71 @@
+import api from './api';
+
+/**
+ * Get user's contacts
+ * @param {Object} params - Query parameters (page, limit, listId, status, search)
+ * @returns {Promise} Contacts data with pagination
+ */
+export const getContacts = async (params = {}) => {
+  const response = await api.get('/contacts', { params });
+  return response.data;
+};
+
+/**
+ * Get the custom field names used by the user's contacts
+ * @returns {Promise} Fields data, each with an example value
+ */
+export const getContactFields = async () => {
+  const response = await api.get('/contacts/fields');
+  return response.data;
+};
+
+/**
+ * Create contact
+ * @param {Object} contactData - Email, name, custom fields, status and list IDs
+ * @returns {Promise} Created contact
+ */
+export const createContact = async (contactData) => {
+  const response = await api.post('/contacts', contactData);
+  return response.data;
+};
+
+/**
+ * Update contact
+ * @param {String} id - Contact ID
+ * @param {Object} contactData - Updated contact data
+ * @returns {Promise} Updated contact
+ */
+export const updateContact = async (id, contactData) => {
+  const response = await api.put(`/contacts/${id}`, contactData);
+  return response.data;
+};
+
+/**
+ * Delete contact
+ * @param {String} id - Contact ID
+ * @returns {Promise} Success message
+ */
+export const deleteContact = async (id) => {
+  const response = await api.delete(`/contacts/${id}`);
+  return response.data;
+};
+
+/**
+ * Import contacts from CSV
+ * @param {Object} importData - CSV text, column mapping and optional list ID
+ * @returns {Promise} Counts of created, updated, duplicate and invalid rows
+ */
+export const importContacts = async (importData) => {
+  const response = await api.post('/contacts/import', importData);
+  return response.data;
+};
+
+/**
+ * Export contacts as CSV
+ * @param {Object} params - Same filters as getContacts
+ * @returns {Promise<Blob>} CSV file
+ */
+export const exportContacts = async (params = {}) => {
+  const response = await api.get('/contacts/export', { params, responseType: 'blob' });
+  return response.data;
+};
@@ -0,0 +1,41 @@
+import api from './api';
+
+/**
+ * Get user's lists with their contact counts
+ * @returns {Promise} Lists data
+ */
+export const getLists = async () => {
+  const response = await api.get('/lists');
+  return response.data;
+};
+
+/**
+ * Create list
+ * @param {Object} listData - List name and description
+ * @returns {Promise} Created list
+ */
+export const createList = async (listData) => {
+  const response = await api.post('/lists', listData);
+  return response.data;
+};
+
+/**
+ * Update list
+ * @param {String} id - List ID
+ * @param {Object} listData - Updated list data
+ * @returns {Promise} Updated list
+ */
+export const updateList = async (id, listData) => {
+  const response = await api.put(`/lists/${id}`, listData);
+  return response.data;
+};
+
+/**
+ * Delete list (its contacts are kept)
+ * @param {String} id - List ID
+ * @returns {Promise} Success message
+ */
+export const deleteList = async (id) => {
+  const response = await api.delete(`/lists/${id}`);
+  return response.data;
+};
@@ -0,0 +1,21 @@
+import api from './api';
+
+/**
+ * Send the current editor state as a test email
+ * @param {Object} testData - Template content, envelope, recipients and merge data
+ * @returns {Promise} Delivery results, one per recipient
+ */
+export const sendTestEmail = async (testData) => {
+  const response = await api.post('/send/test', testData);
+  return response.data;
+};
+
+/**
+ * Get user's delivery log
+ * @param {Object} params - Query parameters (kind, status, templateId, limit)
+ * @returns {Promise} Deliveries data
+ */
+export const getDeliveries = async (params = {}) => {
+  const response = await api.get('/send/deliveries', { params });
+  return response.data;
+};
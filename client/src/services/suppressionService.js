@@ -0,0 +1,51 @@
+import api from './api';
+
+/**
+ * Get user's suppressed addresses
+ * @param {Object} params - Query parameters (page, limit, reason, search)
+ * @returns {Promise} Suppressions data with pagination
+ */
+export const getSuppressions = async (params = {}) => {
+  const response = await api.get('/suppressions', { params });
+  return response.data;
+};
+
+/**
+ * Suppress an address by hand
+ * @param {Object} suppressionData - Email and optional detail
+ * @returns {Promise} Created suppression
+ */
+export const createSuppression = async (suppressionData) => {
+  const response = await api.post('/suppressions', suppressionData);
+  return response.data;
+};
+
+/**
+ * Remove an address from the suppression list
+ * @param {String} id - Suppression ID
+ * @returns {Promise} Success message
+ */
+export const deleteSuppression = async (id) => {
+  const response = await api.delete(`/suppressions/${id}`);
+  return response.data;
+};
+
+/**
+ * Import suppressed addresses from CSV
+ * @param {String} csv - CSV text with an email column, or one address per line
+ * @returns {Promise} Counts of added, existing and invalid addresses
+ */
+export const importSuppressions = async (csv) => {
+  const response = await api.post('/suppressions/import', { csv });
+  return response.data;
+};
+
+/**
+ * Export suppressed addresses as CSV
+ * @param {Object} params - Same filters as getSuppressions
+ * @returns {Promise<Blob>} CSV file
+ */
+export const exportSuppressions = async (params = {}) => {
+  const response = await api.get('/suppressions/export', { params, responseType: 'blob' });
+  return response.data;
+};
@@ -60,3 +60,35 @@ export const deleteTemplate = async (id) => {
   const response = await api.delete(`/templates/${id}`);
   return response.data;
 };
+
+/**
+ * Get version history of a template
+ * @param {String} id - Template ID
+ * @returns {Promise} Versions data
+ */
+export const getTemplateVersions = async (id) => {
+  const response = await api.get(`/templates/${id}/versions`);
+  return response.data;
+};
+
+/**
+ * Get a single template version
+ * @param {String} id - Template ID
+ * @param {String} versionId - Version ID
+ * @returns {Promise} Version data including component tree
+ */
+export const getTemplateVersion = async (id, versionId) => {
+  const response = await api.get(`/templates/${id}/versions/${versionId}`);
+  return response.data;
+};
+
+/**
+ * Restore a template to a previous version
+ * @param {String} id - Template ID
+ * @param {String} versionId - Version ID
+ * @returns {Promise} Restored template
+ */
+export const restoreTemplateVersion = async (id, versionId) => {
+  const response = await api.post(`/templates/${id}/versions/${versionId}/restore`);
+  return response.data;
+};
@@ -5,6 +5,10 @@ export const getDefaultProperties = (type) => {
   const defaults = {
     root: {
       maxWidth: 600,
+      mobileBreakpoint: 480,
+      textLineWidth: 72,
+      outlookSafe: true,
+      backgroundImage: '',
     },
     text: {
       text: 'Enter your text here',
@@ -51,28 +55,92 @@ export const getDefaultProperties = (type) => {
     spacer: {
       height: 20,
     },
+    unsubscribe: {
+      text: 'You are receiving this email because you subscribed to our mailing list.',
+      address: '',
+      linkText: 'Unsubscribe or manage your preferences',
+      fontSize: 12,
+      color: '#888888',
+      textAlign: 'center',
+      padding: { top: 20, right: 20, bottom: 20, left: 20 },
+    },
     columns: {
       columns: 2,
       gap: 16,
       padding: { top: 10, right: 10, bottom: 10, left: 10 },
       backgroundColor: '#ffffff',
+      backgroundImage: '',
       borderRadius: 0,
+      reverseOnMobile: false,
     },
     column: {
+      ratio: 1,
       padding: { top: 10, right: 10, bottom: 10, left: 10 },
       backgroundColor: '#ffffff',
       borderRadius: 0,
     },
+    repeater: {
+      source: '',
+      itemName: 'item',
+      itemSpacing: 0,
+      padding: { top: 0, right: 0, bottom: 0, left: 0 },
+      backgroundColor: '#ffffff',
+    },
   };
 
   return defaults[type] || {};
 };
 
+/**
+ * Preset column width ratios by column count
+ */
+export const COLUMN_LAYOUT_PRESETS = {
+  2: [
+    [1, 1],
+    [1, 2],
+    [2, 1],
+    [1, 3],
+    [3, 1],
+  ],
+  3: [
+    [1, 1, 1],
+    [2, 1, 1],
+    [1, 2, 1],
+    [1, 1, 2],
+  ],
+  4: [
+    [1, 1, 1, 1],
+    [2, 1, 1, 2],
+  ],
+};
+
+/**
+ * Colors that can be overridden in dark mode, by component type
+ * `suggested` is the starting value when an override is turned on
+ */
+export const DARK_MODE_PROPERTIES = {
+  root: [
+    { property: 'backgroundColor', label: 'Background Color', suggested: '#121212' },
+    { property: 'contentBackgroundColor', label: 'Content Background', suggested: '#1e1e1e' },
+  ],
+  text: [{ property: 'color', label: 'Text Color', suggested: '#e6e6e6' }],
+  heading: [{ property: 'color', label: 'Text Color', suggested: '#ffffff' }],
+  button: [
+    { property: 'backgroundColor', label: 'Button Color', suggested: '#4da3ff' },
+    { property: 'textColor', label: 'Text Color', suggested: '#0b0b0b' },
+  ],
+  divider: [{ property: 'color', label: 'Line Color', suggested: '#444444' }],
+  unsubscribe: [{ property: 'color', label: 'Text Color', suggested: '#aaaaaa' }],
+  columns: [{ property: 'backgroundColor', label: 'Background Color', suggested: '#1e1e1e' }],
+  column: [{ property: 'backgroundColor', label: 'Background Color', suggested: '#1e1e1e' }],
+  repeater: [{ property: 'backgroundColor', label: 'Background Color', suggested: '#1e1e1e' }],
+};
+
 /**
  * Check if component type can have children
  */
 export const canHaveChildren = (type) => {
-  return ['root', 'columns', 'column'].includes(type);
+  return ['root', 'columns', 'column', 'repeater'].includes(type);
 };
 
 /**
@@ -0,0 +1,19 @@
+/**
+ * Trigger a browser download for generated content
+ * @param {String|Blob} content - File content
+ * @param {String} filename - Suggested file name
+ * @param {String} type - MIME type when content is a string
+ */
+export const downloadFile = (content, filename, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
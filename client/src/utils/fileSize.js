@@ -0,0 +1,16 @@
+/**
+ * Human-readable file size, e.g. "180 KB" or "4.2 MB"
+ * @param {Number} bytes - Size in bytes
+ */
+export const formatFileSize = (bytes) =>
+  bytes < 1024 * 1024 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Summary of the bytes saved by resizing an uploaded image for its slot
+ * @param {Object} optimization - `optimization` of an upload response
+ * @returns {String} e.g. "Resized for 262px: 4.2 MB → 180 KB (96% smaller)"
+ */
+export const describeImageOptimization = ({ width, originalSize, optimizedSize }) => {
+  const saved = Math.max(0, Math.round((1 - optimizedSize / originalSize) * 100));
+  return `Resized for ${width}px: ${formatFileSize(originalSize)} → ${formatFileSize(optimizedSize)} (${saved}% smaller)`;
+};
@@ -0,0 +1,34 @@
+const isSameComponent = (before, after) => {
+  return (
+    before.type === after.type &&
+    before.parentId === after.parentId &&
+    JSON.stringify(before.properties || {}) === JSON.stringify(after.properties || {}) &&
+    JSON.stringify(before.children || []) === JSON.stringify(after.children || [])
+  );
+};
+
+/**
+ * Compare two component trees by component id
+ * Returns ids of components that were added, removed or changed going from `before` to `after`
+ */
+export const diffComponentTrees = (before = {}, after = {}) => {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  Object.keys(after).forEach((id) => {
+    if (!before[id]) {
+      added.push(id);
+    } else if (!isSameComponent(before[id], after[id])) {
+      changed.push(id);
+    }
+  });
+
+  Object.keys(before).forEach((id) => {
+    if (!after[id]) {
+      removed.push(id);
+    }
+  });
+
+  return { added, removed, changed };
+};
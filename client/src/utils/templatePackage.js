@@ -0,0 +1,128 @@
+import { zipSync, strToU8 } from 'fflate';
+import { renderTemplateHTML, collectImageSlots } from '@shared/emailGenerator';
+import { generateEmailText } from '@shared/emailText';
+
+// Marks template.json so an import can recognize the packages it reads
+export const TEMPLATE_PACKAGE_FORMAT = 'maily-template';
+export const TEMPLATE_PACKAGE_VERSION = 1;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+const DOWNLOADABLE_URL_PATTERN = /^(https?:|data:image\/)/i;
+
+const getImageBaseName = (url) => {
+  if (url.startsWith('data:')) return 'image';
+
+  const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  return (
+    fileName
+      .replace(/\.[a-z0-9]+$/i, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 40) || 'image'
+  );
+};
+
+/**
+ * Download an image for the package
+ * @returns {Promise<Object|null>} { data, extension }, or null when it cannot be read, e.g. its host does not allow CORS
+ */
+const downloadImage = async (url) => {
+  try {
+    const response = await fetch(url);
+    const extension = IMAGE_EXTENSIONS[(response.headers.get('Content-Type') || '').split(';')[0].trim()];
+    if (!response.ok || !extension) return null;
+
+    return { data: new Uint8Array(await response.arrayBuffer()), extension };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a self-contained ZIP of a visual template for ESPs that take an HTML file and its images
+ *
+ * The package holds:
+ * - index.html, with image components pointing to images/ by relative path
+ * - index.txt, the plain-text version
+ * - images/, every image the image components show, as the variant sized for its slot when there is one
+ * - template.json, the raw component tree, variables and envelope, to import the template again
+ *
+ * Images that cannot be downloaded keep their URL in index.html and are reported.
+ * @param {Object} template - name, componentTree, variables and envelope of the template
+ * @param {Object} options - mergeTagSyntax, data, and resolveImage for the sized variants
+ * @returns {Promise<Object>} { blob, missingImages: [url] }
+ */
+export const buildTemplatePackage = async (
+  { name, componentTree, variables = [], envelope = {} },
+  { mergeTagSyntax, data = {}, resolveImage = null } = {}
+) => {
+  const renderOptions = { mergeTagSyntax, variables, data };
+
+  // The 2x variant serves both densities once the image is a local file
+  const downloadURLs = new Map();
+  for (const { src, width } of collectImageSlots(componentTree, renderOptions)) {
+    const url = resolveImage?.(src, width)?.['2x'] || src;
+    if (DOWNLOADABLE_URL_PATTERN.test(url)) downloadURLs.set(`${width}|${src}`, url);
+  }
+
+  const uniqueURLs = [...new Set(downloadURLs.values())];
+  const downloads = await Promise.all(uniqueURLs.map(downloadImage));
+
+  const images = {};
+  const paths = new Map();
+  const missingImages = [];
+  uniqueURLs.forEach((url, index) => {
+    if (!downloads[index]) {
+      missingImages.push(url);
+      return;
+    }
+
+    const { data: imageData, extension } = downloads[index];
+    const fileName = `${String(paths.size + 1).padStart(2, '0')}-${getImageBaseName(url)}.${extension}`;
+    // Images are already compressed
+    images[fileName] = [imageData, { level: 0 }];
+    paths.set(url, `images/${fileName}`);
+  });
+
+  const html = renderTemplateHTML(
+    { componentTree, variables, envelope },
+    {
+      mergeTagSyntax,
+      data,
+      resolveImage: (src, width) => {
+        const path = paths.get(downloadURLs.get(`${width}|${src}`));
+        return path ? { '1x': path, '2x': path } : resolveImage?.(src, width) || null;
+      },
+    }
+  );
+  const text = generateEmailText(componentTree, renderOptions);
+  const templateJSON = JSON.stringify(
+    {
+      format: TEMPLATE_PACKAGE_FORMAT,
+      version: TEMPLATE_PACKAGE_VERSION,
+      name,
+      componentTree,
+      variables,
+      envelope,
+    },
+    null,
+    2
+  );
+
+  const zip = zipSync({
+    'index.html': strToU8(html),
+    'index.txt': strToU8(text),
+    'template.json': strToU8(templateJSON),
+    ...(Object.keys(images).length > 0 ? { images } : {}),
+  });
+
+  return { blob: new Blob([zip], { type: 'application/zip' }), missingImages };
+};
@@ -1,8 +1,15 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: {
+      // Rendering helpers shared with the server
+      '@shared': fileURLToPath(new URL('../shared', import.meta.url)),
+    },
+  },
   server: {
     port: 5173,
     proxy: {
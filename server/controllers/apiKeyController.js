@@ -0,0 +1,100 @@
+import asyncHandler from 'express-async-handler';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+
+/**
+ * Format API key for response
+ * The hash is never returned; the plaintext key only once, when it is created
+ */
+const formatApiKeyForResponse = (apiKey) => {
+  return {
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt,
+  };
+};
+
+/**
+ * Get the user's API keys
+ * GET /api/api-keys
+ * Private
+ */
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      apiKeys: apiKeys.map(formatApiKeyForResponse),
+      scopes: API_KEY_SCOPES,
+    },
+  });
+});
+
+/**
+ * Create an API key
+ * POST /api/api-keys
+ * Private
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes } = req.body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    res.status(400);
+    throw new Error('Key name is required');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+    res.status(400);
+    throw new Error(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  const { key, prefix, keyHash } = ApiKey.generateKey();
+  const apiKey = await ApiKey.create({
+    userId: req.user._id,
+    name,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...formatApiKeyForResponse(apiKey),
+      key,
+    },
+  });
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/api-keys/:id
+ * Private
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    res.status(404);
+    throw new Error('API key not found');
+  }
+
+  if (apiKey.userId.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to revoke this API key');
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+
+  res.json({
+    success: true,
+    data: formatApiKeyForResponse(apiKey),
+  });
+});
@@ -0,0 +1,215 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import { getAssetStorage, getAssetURL } from '../utils/assetStorage.js';
+import { readImageInfo } from '../utils/imageInfo.js';
+import { prepareImageVariants } from '../utils/imageVariants.js';
+
+export const MAX_ASSET_SIZE = Number(process.env.ASSET_MAX_BYTES) || 5 * 1024 * 1024;
+
+/**
+ * Format asset for response
+ */
+const formatAssetForResponse = (asset) => {
+  return {
+    id: asset._id,
+    name: asset.name,
+    url: getAssetURL(asset),
+    contentType: asset.contentType,
+    size: asset.size,
+    width: asset.width,
+    height: asset.height,
+    variants: asset.variants.map((variant) => ({
+      width: variant.width,
+      height: variant.height,
+      contentType: variant.contentType,
+      size: variant.size,
+      url: getAssetURL(asset, variant),
+    })),
+    createdAt: asset.createdAt,
+  };
+};
+
+/**
+ * Parse a display width from a request, ignoring anything that is not a positive whole number
+ */
+const parseDisplayWidth = (value) => {
+  const width = parseInt(value);
+  return Number.isInteger(width) && width > 0 && width <= 4000 ? width : null;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get user's uploaded images
+ * GET /api/assets?search=
+ * Private
+ */
+export const getAssets = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, search } = req.query;
+  const query = { userId: req.user._id };
+
+  if (search && search.trim()) {
+    query.name = new RegExp(escapeRegExp(search.trim()), 'i');
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const assets = await Asset.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit));
+  const total = await Asset.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      assets: assets.map(formatAssetForResponse),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Upload an image
+ * The request body is the file itself, sent with its image/* content type.
+ * Uploading a file the user already has returns the existing asset.
+ * With the width the image is displayed at, its variants are created right away and the bytes saved reported.
+ * POST /api/assets?name=&width=
+ * Private
+ */
+export const uploadAsset = asyncHandler(async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400);
+    throw new Error('Send the image file as the request body with its image content type');
+  }
+
+  const info = readImageInfo(req.body);
+  if (!info) {
+    res.status(400);
+    throw new Error('Only PNG, JPEG, GIF and WebP images can be uploaded');
+  }
+
+  const asset = await Asset.createFromImage(req.user._id, req.query.name, req.body, info);
+  const displayWidth = parseDisplayWidth(req.query.width);
+  let optimization = null;
+
+  if (displayWidth) {
+    await asset.ensureVariants(displayWidth);
+
+    // The 2x variant is what email clients download
+    const width = asset.getVariantWidths(displayWidth)['2x'];
+    const variant = asset.variants.find((v) => v.width === width);
+    optimization = {
+      width: displayWidth,
+      originalSize: asset.size,
+      optimizedSize: variant.size,
+      webpSize: variant.webpSize || null,
+    };
+  }
+
+  res.status(201).json({
+    success: true,
+    data: { ...formatAssetForResponse(asset), optimization },
+  });
+});
+
+/**
+ * Get the sized variants of images for the slots they are displayed in, creating the missing ones
+ * Images that are not the user's uploads get no variants and keep their URL.
+ * POST /api/assets/variants
+ * Body: { slots: [{ src, width }] }
+ * Private
+ */
+export const getImageVariants = asyncHandler(async (req, res) => {
+  const { slots } = req.body;
+
+  if (!Array.isArray(slots) || slots.length > 200) {
+    res.status(400);
+    throw new Error('Slots must be a list of at most 200 images');
+  }
+
+  const validSlots = slots
+    .filter((slot) => slot && typeof slot.src === 'string' && parseDisplayWidth(slot.width))
+    .map((slot) => ({ src: slot.src, width: parseDisplayWidth(slot.width) }));
+
+  // Only the user's own assets are resized on their behalf
+  const { resolveImage } = await prepareImageVariants(validSlots, req.user._id);
+
+  res.json({
+    success: true,
+    data: {
+      slots: validSlots.map((slot) => ({ ...slot, variants: resolveImage(slot.src, slot.width) })),
+    },
+  });
+});
+
+/**
+ * Delete an image
+ * Templates and sent emails that still reference it will show a broken image.
+ * DELETE /api/assets/:id
+ * Private
+ */
+export const deleteAsset = asyncHandler(async (req, res) => {
+  const asset = await Asset.findById(req.params.id);
+
+  if (!asset) {
+    res.status(404);
+    throw new Error('Asset not found');
+  }
+
+  if (asset.userId.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to delete this asset');
+  }
+
+  await asset.removeWithFile();
+
+  res.json({
+    success: true,
+    message: 'Asset deleted successfully',
+  });
+});
+
+/**
+ * Serve an image or one of its variants to email clients and the editor
+ * Asset content never changes, so it may be cached for good.
+ * Variants are sent as WebP to clients that accept it when that is smaller.
+ * GET /assets/:id/:filename, GET /assets/:id/:width/:filename
+ * Public
+ */
+export const serveAsset = asyncHandler(async (req, res) => {
+  const asset = mongoose.isValidObjectId(req.params.id) ? await Asset.findById(req.params.id) : null;
+
+  if (!asset) {
+    res.status(404);
+    throw new Error('Asset not found');
+  }
+
+  // A variant that is gone falls back to the original rather than breaking sent emails
+  const variant = req.params.width ? asset.variants.find((v) => v.width === Number(req.params.width)) : null;
+  // Only for clients naming WebP: email clients that send */* may not be able to show it
+  const webp = Boolean(variant?.webpKey) && /\bimage\/webp\b/i.test(req.get('Accept') || '');
+  const file = webp
+    ? { key: variant.webpKey, contentType: 'image/webp', size: variant.webpSize }
+    : variant || asset;
+
+  const stream = getAssetStorage(asset.storage).createReadStream(file.key);
+  stream.on('error', (error) => {
+    console.error(`❌ Failed to read asset ${asset._id}:`, error.message);
+    if (res.headersSent) res.destroy(error);
+    else res.status(404).end();
+  });
+
+  if (variant?.webpKey) res.vary('Accept');
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Length': file.size,
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    // Webmail and the editor load images from their own origins
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+  });
+  stream.pipe(res);
+});
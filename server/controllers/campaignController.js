@@ -0,0 +1,414 @@
+import asyncHandler from 'express-async-handler';
+import Campaign from '../models/Campaign.js';
+import CampaignRecipient, { RECIPIENT_STATUSES } from '../models/CampaignRecipient.js';
+import Template from '../models/Template.js';
+import List from '../models/List.js';
+import Contact from '../models/Contact.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import { getUnsubscribeProblem } from '../utils/renderTemplate.js';
+
+const ENVELOPE_FIELDS = ['subject', 'preheader', 'fromName', 'replyTo'];
+
+/**
+ * Format campaign for response
+ * Expects templateId and listId to be populated with their names
+ */
+const formatCampaignForResponse = (campaign) => {
+  return {
+    id: campaign._id,
+    name: campaign.name,
+    templateId: campaign.templateId?._id || null,
+    templateName: campaign.templateId?.name || null,
+    templateVersionId: campaign.templateVersionId,
+    listId: campaign.listId?._id || null,
+    listName: campaign.listId?.name || null,
+    envelope: campaign.envelope,
+    status: campaign.status,
+    scheduledAt: campaign.scheduledAt,
+    startedAt: campaign.startedAt,
+    completedAt: campaign.completedAt,
+    stats: campaign.stats,
+    lastError: campaign.lastError,
+    createdAt: campaign.createdAt,
+    updatedAt: campaign.updatedAt,
+  };
+};
+
+const populateNames = (campaign) =>
+  campaign.populate([
+    { path: 'templateId', select: 'name' },
+    { path: 'listId', select: 'name' },
+  ]);
+
+/**
+ * Find a campaign owned by the current user, or fail with 404/403
+ */
+const findOwnedCampaign = async (req, res) => {
+  const campaign = await Campaign.findById(req.params.id);
+
+  if (!campaign) {
+    res.status(404);
+    throw new Error('Campaign not found');
+  }
+
+  if (campaign.userId.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to access this campaign');
+  }
+
+  return campaign;
+};
+
+/**
+ * Load the template a campaign sends, which must belong to the current user
+ */
+const findSendableTemplate = async (req, res, templateId) => {
+  const template = templateId ? await Template.findById(templateId) : null;
+
+  if (!template) {
+    res.status(400);
+    throw new Error('Template not found');
+  }
+
+  if (!template.canEdit(req.user._id)) {
+    res.status(403);
+    throw new Error('Not authorized to send this template');
+  }
+
+  return template;
+};
+
+/**
+ * Load the list a campaign sends to, which must belong to the current user
+ */
+const findOwnedList = async (req, res, listId) => {
+  const list = listId ? await List.findOne({ _id: listId, userId: req.user._id }) : null;
+
+  if (!list) {
+    res.status(400);
+    throw new Error('List not found');
+  }
+
+  return list;
+};
+
+const pickEnvelope = (envelope = {}) =>
+  Object.fromEntries(ENVELOPE_FIELDS.filter((field) => envelope[field] !== undefined).map((field) => [field, envelope[field]]));
+
+/**
+ * Get user's campaigns
+ * GET /api/campaigns?status=
+ * Private
+ */
+export const getCampaigns = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const query = { userId: req.user._id };
+  if (status) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const campaigns = await Campaign.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('templateId', 'name')
+    .populate('listId', 'name');
+
+  const total = await Campaign.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      campaigns: campaigns.map(formatCampaignForResponse),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Get single campaign, including its progress counts
+ * GET /api/campaigns/:id
+ * Private
+ */
+export const getCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findOwnedCampaign(req, res);
+  await populateNames(campaign);
+
+  res.json({
+    success: true,
+    data: formatCampaignForResponse(campaign),
+  });
+});
+
+/**
+ * Create a draft campaign
+ * The envelope starts from the template's subject and sender.
+ * POST /api/campaigns
+ * Body: { name, templateId, listId, envelope? }
+ * Private
+ */
+export const createCampaign = asyncHandler(async (req, res) => {
+  const { name, templateId, listId, envelope } = req.body;
+
+  if (!name || !name.trim()) {
+    res.status(400);
+    throw new Error('Campaign name is required');
+  }
+
+  const template = await findSendableTemplate(req, res, templateId);
+  const list = await findOwnedList(req, res, listId);
+
+  const campaign = await Campaign.create({
+    userId: req.user._id,
+    name,
+    templateId: template._id,
+    listId: list._id,
+    envelope: { ...template.envelope?.toObject(), ...pickEnvelope(envelope) },
+  });
+  await populateNames(campaign);
+
+  res.status(201).json({
+    success: true,
+    data: formatCampaignForResponse(campaign),
+  });
+});
+
+/**
+ * Update a draft campaign
+ * PUT /api/campaigns/:id
+ * Private
+ */
+export const updateCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findOwnedCampaign(req, res);
+
+  if (!campaign.isEditable()) {
+    res.status(400);
+    throw new Error('Only draft campaigns can be edited');
+  }
+
+  const { name, templateId, listId, envelope } = req.body;
+
+  if (name) campaign.name = name.trim();
+  if (templateId) campaign.templateId = (await findSendableTemplate(req, res, templateId))._id;
+  if (listId) campaign.listId = (await findOwnedList(req, res, listId))._id;
+  if (envelope) campaign.envelope = { ...campaign.envelope?.toObject(), ...pickEnvelope(envelope) };
+
+  const updatedCampaign = await campaign.save();
+  await populateNames(updatedCampaign);
+
+  res.json({
+    success: true,
+    data: formatCampaignForResponse(updatedCampaign),
+  });
+});
+
+/**
+ * Delete campaign, its recipients and their tracking events
+ * Campaigns that are sending have to finish first.
+ * DELETE /api/campaigns/:id
+ * Private
+ */
+export const deleteCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findOwnedCampaign(req, res);
+
+  if (campaign.status === 'sending') {
+    res.status(400);
+    throw new Error('A campaign cannot be deleted while it is sending');
+  }
+
+  await campaign.deleteOne();
+  await CampaignRecipient.deleteMany({ campaignId: campaign._id });
+  await TrackingEvent.deleteMany({ campaignId: campaign._id });
+
+  res.json({
+    success: true,
+    message: 'Campaign deleted successfully',
+  });
+});
+
+/**
+ * Schedule a draft campaign
+ * Without scheduledAt it is sent as soon as the job runner next checks.
+ * POST /api/campaigns/:id/schedule
+ * Body: { scheduledAt? }
+ * Private
+ */
+export const scheduleCampaign = asyncHandler(async (req, res) => {
+  const campaign = await findOwnedCampaign(req, res);
+
+  if (!campaign.isEditable()) {
+    res.status(400);
+    throw new Error('Only draft campaigns can be scheduled');
+  }
+
+  const scheduledAt = req.body.scheduledAt ? new Date(req.body.scheduledAt) : new Date();
+  if (Number.isNaN(scheduledAt.getTime())) {
+    res.status(400);
+    throw new Error('scheduledAt must be a valid date');
+  }
+
+  if (!campaign.envelope?.subject) {
+    res.status(400);
+    throw new Error('Add a subject before scheduling the campaign');
+  }
+
+  const template = await findSendableTemplate(req, res, campaign.templateId);
+  await findOwnedList(req, res, campaign.listId);
+
+  const unsubscribeProblem = getUnsubscribeProblem(template);
+  if (unsubscribeProblem) {
+    res.status(400);
+    throw new Error(unsubscribeProblem);
+  }
+
+  const subscribed = await Contact.countDocuments(Contact.receivingQuery(req.user._id, campaign.listId));
+  if (subscribed === 0) {
+    res.status(400);
+    throw new Error('The list has no subscribed contacts');
+  }
+
+  campaign.status = 'scheduled';
+  campaign.scheduledAt = scheduledAt;
+  campaign.lastError = '';
+
+  const updatedCampaign = await campaign.save();
+  await populateNames(updatedCampaign);
+
+  res.json({
+    success: true,
+    data: formatCampaignForResponse(updatedCampaign),
+  });
+});
+
+/**
+ * Return a scheduled campaign to draft
+ * POST /api/campaigns/:id/unschedule
+ * Private
+ */
+export const unscheduleCampaign = asyncHandler(async (req, res) => {
+  await findOwnedCampaign(req, res);
+
+  // Conditional update, so a campaign the runner has just started cannot go back to draft
+  const campaign = await Campaign.findOneAndUpdate(
+    { _id: req.params.id, status: 'scheduled' },
+    { $set: { status: 'draft', scheduledAt: null } },
+    { new: true }
+  );
+
+  if (!campaign) {
+    res.status(400);
+    throw new Error('Only scheduled campaigns that have not started can be unscheduled');
+  }
+
+  await populateNames(campaign);
+
+  res.json({
+    success: true,
+    data: formatCampaignForResponse(campaign),
+  });
+});
+
+/**
+ * Get the recipients of a campaign and their delivery status
+ * GET /api/campaigns/:id/recipients?status=
+ * Private
+ */
+export const getCampaignRecipients = asyncHandler(async (req, res) => {
+  const campaign = await findOwnedCampaign(req, res);
+  const { page = 1, limit = 50, status } = req.query;
+
+  const query = { campaignId: campaign._id };
+  if (status && RECIPIENT_STATUSES.includes(status)) query.status = status;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const recipients = await CampaignRecipient.find(query).sort({ email: 1 }).skip(skip).limit(parseInt(limit));
+  const total = await CampaignRecipient.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      recipients: recipients.map((recipient) => ({
+        id: recipient._id,
+        contactId: recipient.contactId,
+        email: recipient.email,
+        status: recipient.status,
+        attempts: recipient.attempts,
+        nextAttemptAt: recipient.status === 'pending' ? recipient.nextAttemptAt : null,
+        error: recipient.error,
+        sentAt: recipient.sentAt,
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Count the clicks of a campaign grouped by the given fields
+ * uniqueClicks counts each recipient once per group
+ */
+const aggregateClicks = (campaignId, groupFields) =>
+  TrackingEvent.aggregate([
+    { $match: { campaignId, type: 'click' } },
+    {
+      $group: {
+        _id: Object.fromEntries(groupFields.map((field) => [field, `$${field}`])),
+        clicks: { $sum: 1 },
+        recipients: { $addToSet: '$recipientId' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        ...Object.fromEntries(groupFields.map((field) => [field, `$_id.${field}`])),
+        clicks: 1,
+        uniqueClicks: { $size: '$recipients' },
+      },
+    },
+    { $sort: { clicks: -1 } },
+  ]);
+
+/**
+ * Get open and click statistics of a campaign
+ * Rates are relative to the emails sent. Clicks are reported per link and per template component,
+ * the latter for the click heat-map of the template preview.
+ * GET /api/campaigns/:id/report
+ * Private
+ */
+export const getCampaignReport = asyncHandler(async (req, res) => {
+  const campaign = await findOwnedCampaign(req, res);
+  const campaignId = campaign._id;
+
+  const [uniqueOpens, uniqueClicks, totals, links, components] = await Promise.all([
+    CampaignRecipient.countDocuments({ campaignId, openedAt: { $ne: null } }),
+    CampaignRecipient.countDocuments({ campaignId, clickedAt: { $ne: null } }),
+    TrackingEvent.aggregate([{ $match: { campaignId } }, { $group: { _id: '$type', count: { $sum: 1 } } }]),
+    aggregateClicks(campaignId, ['url', 'componentId']),
+    aggregateClicks(campaignId, ['componentId']),
+  ]);
+  const totalsByType = Object.fromEntries(totals.map(({ _id, count }) => [_id, count]));
+  const delivered = campaign.stats?.sent || 0;
+  const rate = (count) => (delivered > 0 ? count / delivered : 0);
+
+  res.json({
+    success: true,
+    data: {
+      delivered,
+      opens: { unique: uniqueOpens, total: totalsByType.open || 0, rate: rate(uniqueOpens) },
+      clicks: { unique: uniqueClicks, total: totalsByType.click || 0, rate: rate(uniqueClicks) },
+      links,
+      components: components.filter((component) => component.componentId),
+    },
+  });
+});
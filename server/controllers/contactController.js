@@ -0,0 +1,463 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Contact, {
+  CONTACT_STATUSES,
+  CONTACT_FIELD_PATTERN,
+  RESERVED_CONTACT_FIELDS,
+  MAX_CONTACT_FIELDS,
+  MAX_CONTACT_NAME_LENGTH,
+} from '../models/Contact.js';
+import List from '../models/List.js';
+import { parseCSV, toCSV } from '../../shared/csv.js';
+import { isValidEmail } from '../../shared/email.js';
+
+export const MAX_IMPORT_ROWS = 10000;
+
+// Row errors reported back from an import; the rest are only counted
+const MAX_REPORTED_IMPORT_ERRORS = 100;
+
+/**
+ * Format contact for response
+ */
+const formatContactForResponse = (contact) => {
+  return {
+    id: contact._id,
+    email: contact.email,
+    name: contact.name,
+    fields: Object.fromEntries(contact.fields || []),
+    status: contact.status,
+    lists: contact.lists,
+    unsubscribedLists: contact.unsubscribedLists || [],
+    createdAt: contact.createdAt,
+    updatedAt: contact.updatedAt,
+  };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find a contact owned by the current user, or fail with 404/403
+ */
+const findOwnedContact = async (req, res) => {
+  const contact = await Contact.findById(req.params.id);
+
+  if (!contact) {
+    res.status(404);
+    throw new Error('Contact not found');
+  }
+
+  if (contact.userId.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to access this contact');
+  }
+
+  return contact;
+};
+
+/**
+ * Check that every list ID belongs to the current user
+ * @returns {Promise<Array>} De-duplicated list IDs
+ */
+const resolveListIds = async (req, res, listIds) => {
+  if (!Array.isArray(listIds)) {
+    res.status(400);
+    throw new Error('Lists must be an array of list IDs');
+  }
+
+  const uniqueIds = [...new Set(listIds.map(String))];
+  if (!uniqueIds.every((id) => mongoose.isValidObjectId(id))) {
+    res.status(400);
+    throw new Error('One or more lists were not found');
+  }
+
+  const owned = await List.countDocuments({ _id: { $in: uniqueIds }, userId: req.user._id });
+
+  if (owned !== uniqueIds.length) {
+    res.status(400);
+    throw new Error('One or more lists were not found');
+  }
+
+  return uniqueIds;
+};
+
+/**
+ * Validate custom fields and keep their values as trimmed strings
+ */
+const normalizeFields = (res, fields) => {
+  if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+    res.status(400);
+    throw new Error('Fields must be an object of name/value pairs');
+  }
+
+  const entries = Object.entries(fields);
+  const invalidName = entries.find(
+    ([name]) => !CONTACT_FIELD_PATTERN.test(name) || RESERVED_CONTACT_FIELDS.includes(name)
+  );
+
+  if (invalidName) {
+    res.status(400);
+    throw new Error(`"${invalidName[0]}" is not a valid field name. Use letters, digits and underscores, e.g. company`);
+  }
+
+  if (entries.length > MAX_CONTACT_FIELDS) {
+    res.status(400);
+    throw new Error(`A contact can have at most ${MAX_CONTACT_FIELDS} custom fields`);
+  }
+
+  return Object.fromEntries(
+    entries.map(([name, value]) => [name, value === undefined || value === null ? '' : String(value).trim()])
+  );
+};
+
+/**
+ * Build the contacts query shared by listing and exporting
+ * Repeated query parameters arrive as arrays, and are refused like malformed ones.
+ */
+const buildContactQuery = (req, res) => {
+  const { listId, status, search } = req.query;
+  const query = { userId: req.user._id };
+
+  if (listId !== undefined && !mongoose.isValidObjectId(listId)) {
+    res.status(400);
+    throw new Error('Invalid listId');
+  }
+
+  if (search !== undefined && typeof search !== 'string') {
+    res.status(400);
+    throw new Error('Search must be a single text value');
+  }
+
+  if (listId) query.lists = listId;
+  if (status && CONTACT_STATUSES.includes(status)) query.status = status;
+
+  if (search && search.trim()) {
+    const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+    query.$or = [{ email: pattern }, { name: pattern }];
+  }
+
+  return query;
+};
+
+/**
+ * Get user's contacts
+ * GET /api/contacts?listId=&status=&search=
+ * Private
+ */
+export const getContacts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const query = buildContactQuery(req, res);
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const contacts = await Contact.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit));
+  const total = await Contact.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      contacts: contacts.map(formatContactForResponse),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Get the custom field names used by the user's contacts, with an example value of each
+ * The editor offers them as merge variables next to the template's own variables.
+ * GET /api/contacts/fields
+ * Private
+ */
+export const getContactFields = asyncHandler(async (req, res) => {
+  const results = await Contact.aggregate([
+    { $match: { userId: req.user._id } },
+    { $project: { fields: { $objectToArray: '$fields' } } },
+    { $unwind: '$fields' },
+    {
+      $group: {
+        _id: '$fields.k',
+        count: { $sum: 1 },
+        sampleValue: { $max: '$fields.v' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      fields: results.map(({ _id, count, sampleValue }) => ({ name: _id, count, sampleValue: sampleValue || '' })),
+    },
+  });
+});
+
+/**
+ * Get single contact
+ * GET /api/contacts/:id
+ * Private
+ */
+export const getContactById = asyncHandler(async (req, res) => {
+  const contact = await findOwnedContact(req, res);
+
+  res.json({
+    success: true,
+    data: formatContactForResponse(contact),
+  });
+});
+
+/**
+ * Create contact
+ * POST /api/contacts
+ * Private
+ */
+export const createContact = asyncHandler(async (req, res) => {
+  const { email, name, fields = {}, status, lists = [] } = req.body;
+
+  if (!isValidEmail(email)) {
+    res.status(400);
+    throw new Error('Please provide a valid email');
+  }
+
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    res.status(400);
+    throw new Error('Name must be text');
+  }
+
+  const existing = await Contact.exists({ userId: req.user._id, email: email.trim().toLowerCase() });
+  if (existing) {
+    res.status(400);
+    throw new Error(`A contact with the email ${email.trim().toLowerCase()} already exists`);
+  }
+
+  const contact = await Contact.create({
+    userId: req.user._id,
+    email,
+    name: name || '',
+    fields: normalizeFields(res, fields),
+    status: status || 'subscribed',
+    lists: await resolveListIds(req, res, lists),
+  });
+
+  res.status(201).json({
+    success: true,
+    data: formatContactForResponse(contact),
+  });
+});
+
+/**
+ * Update contact
+ * Fields are replaced as a whole, so removing a key deletes that field
+ * PUT /api/contacts/:id
+ * Private
+ */
+export const updateContact = asyncHandler(async (req, res) => {
+  const contact = await findOwnedContact(req, res);
+  const { email, name, fields, status, lists } = req.body;
+
+  if (email !== undefined && !isValidEmail(email)) {
+    res.status(400);
+    throw new Error('Please provide a valid email');
+  }
+
+  if (name !== undefined && name !== null && typeof name !== 'string') {
+    res.status(400);
+    throw new Error('Name must be text');
+  }
+
+  if (email) contact.email = email;
+  if (name !== undefined) contact.name = name;
+  if (fields !== undefined) contact.fields = normalizeFields(res, fields);
+  if (status) contact.status = status;
+  if (lists !== undefined) contact.lists = await resolveListIds(req, res, lists);
+
+  const updatedContact = await contact.save();
+
+  res.json({
+    success: true,
+    data: formatContactForResponse(updatedContact),
+  });
+});
+
+/**
+ * Delete contact
+ * DELETE /api/contacts/:id
+ * Private
+ */
+export const deleteContact = asyncHandler(async (req, res) => {
+  const contact = await findOwnedContact(req, res);
+
+  await contact.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Contact deleted successfully',
+  });
+});
+
+/**
+ * Check an import column mapping against the CSV header
+ * Each entry maps the column at the same index to 'email', 'name', 'fields.<name>', or null to skip it.
+ */
+const validateImportMapping = (res, mapping, header) => {
+  if (!Array.isArray(mapping) || mapping.length > header.length) {
+    res.status(400);
+    throw new Error('Mapping must list a target for each CSV column');
+  }
+
+  const targets = mapping.filter(Boolean);
+
+  if (targets.filter((target) => target === 'email').length !== 1) {
+    res.status(400);
+    throw new Error('Map exactly one column to email');
+  }
+
+  const duplicate = targets.find((target, index) => targets.indexOf(target) !== index);
+  if (duplicate) {
+    res.status(400);
+    throw new Error(`More than one column is mapped to ${duplicate}`);
+  }
+
+  targets.forEach((target) => {
+    if (target === 'email' || target === 'name') return;
+
+    const fieldName = target.startsWith('fields.') ? target.slice('fields.'.length) : '';
+    if (!CONTACT_FIELD_PATTERN.test(fieldName) || RESERVED_CONTACT_FIELDS.includes(fieldName)) {
+      res.status(400);
+      throw new Error(`"${target}" is not a valid import target. Use email, name or fields.<name>, e.g. fields.company`);
+    }
+  });
+
+  if (targets.filter((target) => target.startsWith('fields.')).length > MAX_CONTACT_FIELDS) {
+    res.status(400);
+    throw new Error(`A contact can have at most ${MAX_CONTACT_FIELDS} custom fields`);
+  }
+};
+
+/**
+ * Import contacts from CSV
+ * Rows are de-duplicated by email, within the file and against existing contacts: existing
+ * contacts are updated with the non-empty values of the file and keep their subscription status.
+ * POST /api/contacts/import
+ * Body: { csv, mapping: ['email', 'name', 'fields.company', null], listId? }
+ * Private
+ */
+export const importContacts = asyncHandler(async (req, res) => {
+  const { csv, mapping, listId } = req.body;
+
+  const [header, ...rows] = parseCSV(csv);
+  if (!header || rows.length === 0) {
+    res.status(400);
+    throw new Error('The CSV file needs a header row and at least one contact');
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    res.status(400);
+    throw new Error(`A CSV import can contain at most ${MAX_IMPORT_ROWS} contacts`);
+  }
+
+  validateImportMapping(res, mapping, header);
+  const [list] = listId ? await resolveListIds(req, res, [listId]) : [];
+
+  const errors = [];
+  let invalid = 0;
+  let duplicates = 0;
+  const contactsByEmail = new Map();
+
+  rows.forEach((row, index) => {
+    let rawEmail = '';
+    const updates = {};
+    mapping.forEach((target, column) => {
+      const value = (row[column] || '').trim();
+      if (!target || !value) return;
+
+      if (target === 'email') rawEmail = value;
+      // The upserts below skip schema validation, so the name is cut to its limit here
+      else if (target === 'name') updates.name = value.slice(0, MAX_CONTACT_NAME_LENGTH);
+      else updates[target] = value;
+    });
+
+    const email = rawEmail.toLowerCase();
+    if (!isValidEmail(email)) {
+      invalid += 1;
+      if (errors.length < MAX_REPORTED_IMPORT_ERRORS) {
+        // Line numbers count the header, as spreadsheets do
+        errors.push({ line: index + 2, email: rawEmail, error: 'Invalid email' });
+      }
+      return;
+    }
+
+    // Later rows for the same address fill in and override earlier ones
+    if (contactsByEmail.has(email)) duplicates += 1;
+    contactsByEmail.set(email, { ...contactsByEmail.get(email), ...updates });
+  });
+
+  let created = 0;
+  let updated = 0;
+
+  if (contactsByEmail.size > 0) {
+    const result = await Contact.bulkWrite(
+      [...contactsByEmail].map(([email, updates]) => ({
+        updateOne: {
+          filter: { userId: req.user._id, email },
+          update: {
+            $setOnInsert: { userId: req.user._id, email, status: 'subscribed' },
+            ...(Object.keys(updates).length > 0 && { $set: updates }),
+            ...(list && { $addToSet: { lists: list } }),
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+
+    created = result.upsertedCount;
+    updated = result.matchedCount;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      created,
+      updated,
+      duplicates,
+      invalid,
+      errors,
+    },
+  });
+});
+
+/**
+ * Export contacts as CSV
+ * Takes the same filters as GET /api/contacts; list memberships are exported by name.
+ * GET /api/contacts/export?listId=&status=&search=
+ * Private
+ */
+export const exportContacts = asyncHandler(async (req, res) => {
+  const contacts = await Contact.find(buildContactQuery(req, res)).sort({ email: 1 }).lean();
+  const lists = await List.find({ userId: req.user._id }).select('name').lean();
+  const listNames = new Map(lists.map((list) => [list._id.toString(), list.name]));
+
+  const fieldNames = [...new Set(contacts.flatMap((contact) => Object.keys(contact.fields || {})))].sort();
+
+  const rows = [
+    ['email', 'name', 'status', 'lists', ...fieldNames, 'createdAt'],
+    ...contacts.map((contact) => [
+      contact.email,
+      contact.name,
+      contact.status,
+      (contact.lists || [])
+        .map((id) => listNames.get(id.toString()))
+        .filter(Boolean)
+        .join('; '),
+      ...fieldNames.map((name) => contact.fields?.[name] ?? ''),
+      new Date(contact.createdAt).toISOString(),
+    ]),
+  ];
+
+  res.set('Content-Disposition', 'attachment; filename="contacts.csv"');
+  res.type('text/csv').send(toCSV(rows));
+});
@@ -0,0 +1,172 @@
+import asyncHandler from 'express-async-handler';
+import List from '../models/List.js';
+import Contact from '../models/Contact.js';
+
+/**
+ * Format list for response
+ */
+const formatListForResponse = (list, counts = {}) => {
+  return {
+    id: list._id,
+    name: list.name,
+    description: list.description,
+    contactCount: counts.total || 0,
+    subscribedCount: counts.subscribed || 0,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt,
+  };
+};
+
+/**
+ * Count the contacts of each list, total and still subscribed
+ * @returns {Promise<Map>} Counts by list ID
+ */
+const countContactsByList = async (userId, listIds) => {
+  const results = await Contact.aggregate([
+    { $match: { userId, lists: { $in: listIds } } },
+    { $unwind: '$lists' },
+    { $match: { lists: { $in: listIds } } },
+    {
+      $group: {
+        _id: '$lists',
+        total: { $sum: 1 },
+        // Opted out of this list on the preference page counts as unsubscribed
+        subscribed: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$status', 'subscribed'] },
+                  { $not: [{ $in: ['$lists', { $ifNull: ['$unsubscribedLists', []] }] }] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(results.map(({ _id, ...counts }) => [_id.toString(), counts]));
+};
+
+/**
+ * Find a list owned by the current user, or fail with 404/403
+ */
+const findOwnedList = async (req, res) => {
+  const list = await List.findById(req.params.id);
+
+  if (!list) {
+    res.status(404);
+    throw new Error('List not found');
+  }
+
+  if (list.userId.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to access this list');
+  }
+
+  return list;
+};
+
+/**
+ * Get user's lists with their contact counts
+ * GET /api/lists
+ * Private
+ */
+export const getLists = asyncHandler(async (req, res) => {
+  const lists = await List.find({ userId: req.user._id }).sort({ name: 1 });
+  const counts = await countContactsByList(
+    req.user._id,
+    lists.map((list) => list._id)
+  );
+
+  res.json({
+    success: true,
+    data: {
+      lists: lists.map((list) => formatListForResponse(list, counts.get(list._id.toString()))),
+    },
+  });
+});
+
+/**
+ * Create list
+ * POST /api/lists
+ * Private
+ */
+export const createList = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  if (typeof name !== 'string' || !name.trim()) {
+    res.status(400);
+    throw new Error('List name is required');
+  }
+
+  if (description !== undefined && typeof description !== 'string') {
+    res.status(400);
+    throw new Error('Description must be text');
+  }
+
+  const list = await List.create({
+    userId: req.user._id,
+    name,
+    description: description || '',
+  });
+
+  res.status(201).json({
+    success: true,
+    data: formatListForResponse(list),
+  });
+});
+
+/**
+ * Update list
+ * PUT /api/lists/:id
+ * Private
+ */
+export const updateList = asyncHandler(async (req, res) => {
+  const list = await findOwnedList(req, res);
+  const { name, description } = req.body;
+
+  if (
+    (name !== undefined && typeof name !== 'string') ||
+    (description !== undefined && typeof description !== 'string')
+  ) {
+    res.status(400);
+    throw new Error('Name and description must be text');
+  }
+
+  if (name) list.name = name.trim();
+  if (description !== undefined) list.description = description.trim();
+
+  const updatedList = await list.save();
+  const counts = await countContactsByList(req.user._id, [list._id]);
+
+  res.json({
+    success: true,
+    data: formatListForResponse(updatedList, counts.get(list._id.toString())),
+  });
+});
+
+/**
+ * Delete list
+ * The contacts stay; they are only removed from the list
+ * DELETE /api/lists/:id
+ * Private
+ */
+export const deleteList = asyncHandler(async (req, res) => {
+  const list = await findOwnedList(req, res);
+
+  await Contact.updateMany(
+    { userId: req.user._id, lists: list._id },
+    { $pull: { lists: list._id, unsubscribedLists: list._id } }
+  );
+  await list.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'List deleted successfully',
+  });
+});
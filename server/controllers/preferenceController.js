@@ -0,0 +1,169 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Contact from '../models/Contact.js';
+import List from '../models/List.js';
+import User from '../models/User.js';
+import { verifyTrackingToken } from '../utils/tracking.js';
+
+const escapeHTML = (text) =>
+  String(text ?? '').replace(
+    /[&<>"']/g,
+    (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]
+  );
+
+/**
+ * Send a minimal standalone page; it only needs inline styles and may post its form back to itself
+ */
+const sendPage = (res, title, body) => {
+  res.set({
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'",
+    'Cache-Control': 'no-store',
+  });
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex" />
+  <title>${escapeHTML(title)}</title>
+  <style>
+    body { margin: 0; padding: 40px 16px; background: #f4f4f4; font-family: Arial, Helvetica, sans-serif; color: #333333; }
+    main { max-width: 480px; margin: 0 auto; padding: 32px; background: #ffffff; border-radius: 12px; }
+    h1 { margin: 0 0 16px; font-size: 22px; }
+    p { line-height: 1.5; }
+    label { display: block; padding: 12px 0; border-bottom: 1px solid #eeeeee; }
+    small { display: block; margin-left: 24px; color: #777777; }
+    .notice { padding: 12px; border-radius: 8px; background: #e8f4fd; }
+    .actions { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 24px; }
+    button { padding: 10px 18px; border: 0; border-radius: 6px; font-size: 15px; font-weight: bold; cursor: pointer; }
+    .primary { background: #1976d2; color: #ffffff; }
+    .secondary { background: #eeeeee; color: #333333; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeHTML(title)}</h1>
+    ${body}
+  </main>
+</body>
+</html>`);
+};
+
+const sendInvalidLink = (res) => {
+  res.status(404);
+  sendPage(res, 'Link not valid', '<p>This unsubscribe link is not valid, or the contact no longer exists.</p>');
+};
+
+/**
+ * Load the contact and list an unsubscribe token was issued for
+ * @returns {Promise<Object|null>} { contact, listId }, or null for invalid tokens and deleted contacts
+ */
+const findTokenContact = async (token) => {
+  const payload = verifyTrackingToken(token);
+  if (payload?.t !== 'unsubscribe' || !mongoose.isValidObjectId(payload.k)) return null;
+
+  const contact = await Contact.findById(payload.k);
+  if (!contact) return null;
+
+  return { contact, listId: mongoose.isValidObjectId(payload.l) ? payload.l : null };
+};
+
+/**
+ * Show a contact the lists they are on, to opt out of some or all of them
+ * GET /u/:token
+ * Public
+ */
+export const getPreferences = asyncHandler(async (req, res) => {
+  const found = await findTokenContact(req.params.token);
+  if (!found) {
+    sendInvalidLink(res);
+    return;
+  }
+
+  const { contact } = found;
+  const [lists, sender] = await Promise.all([
+    List.find({ _id: { $in: contact.lists }, userId: contact.userId }).sort({ name: 1 }),
+    User.findById(contact.userId).select('name'),
+  ]);
+  const unsubscribedIds = new Set((contact.unsubscribedLists || []).map((id) => id.toString()));
+  const isSubscribed = contact.status === 'subscribed';
+
+  const notices = [];
+  if (req.query.saved) {
+    notices.push('<p class="notice">Your preferences have been saved.</p>');
+  }
+  if (contact.status === 'unsubscribed') {
+    notices.push(
+      '<p class="notice">You are unsubscribed from all emails. Saving lists below subscribes you to them again.</p>'
+    );
+  }
+
+  const listItems = lists
+    .map(
+      (list) => `<label>
+        <input type="checkbox" name="lists" value="${list._id}"${isSubscribed && !unsubscribedIds.has(list._id.toString()) ? ' checked' : ''} />
+        ${escapeHTML(list.name)}
+        ${list.description ? `<small>${escapeHTML(list.description)}</small>` : ''}
+      </label>`
+    )
+    .join('\n');
+
+  sendPage(
+    res,
+    'Email preferences',
+    `${notices.join('\n')}
+    <p>Choose which emails ${escapeHTML(contact.email)} receives${sender?.name ? ` from ${escapeHTML(sender.name)}` : ''}.</p>
+    <form method="post">
+      ${listItems || '<p>You are not on any mailing lists.</p>'}
+      <div class="actions">
+        ${lists.length > 0 ? '<button type="submit" name="action" value="save" class="primary">Save preferences</button>' : ''}
+        <button type="submit" name="action" value="unsubscribe_all" class="secondary">Unsubscribe from all</button>
+      </div>
+    </form>`
+  );
+});
+
+/**
+ * Update a contact's subscriptions
+ * Mail clients implementing one-click unsubscribe (RFC 8058) post `List-Unsubscribe=One-Click` without
+ * an action, which opts out of the list the email was sent to. The preference form posts an action:
+ * `unsubscribe_all`, or `save` with the ids of the lists to stay subscribed to.
+ * POST /u/:token
+ * Public
+ */
+export const updatePreferences = asyncHandler(async (req, res) => {
+  const found = await findTokenContact(req.params.token);
+  if (!found) {
+    sendInvalidLink(res);
+    return;
+  }
+
+  const { contact, listId } = found;
+  const { action } = req.body || {};
+
+  // Bounced and complained addresses keep their status, so a later save cannot subscribe them again
+  const unsubscribeAll = () =>
+    Contact.updateOne({ _id: contact._id, status: 'subscribed' }, { $set: { status: 'unsubscribed' } });
+
+  if (!action) {
+    if (listId) {
+      await Contact.updateOne({ _id: contact._id }, { $addToSet: { unsubscribedLists: listId } });
+    } else {
+      await unsubscribeAll();
+    }
+    res.type('text').send('Unsubscribed');
+    return;
+  }
+
+  if (action === 'unsubscribe_all') {
+    await unsubscribeAll();
+  } else {
+    const keptIds = new Set([].concat(req.body.lists || []).map(String));
+    contact.unsubscribedLists = contact.lists.filter((id) => !keptIds.has(id.toString()));
+    // Only an opt-out is undone here; bounced and complained addresses stay suppressed
+    if (keptIds.size > 0 && contact.status === 'unsubscribed') contact.status = 'subscribed';
+    await contact.save();
+  }
+
+  res.redirect(303, `${req.baseUrl}/${req.params.token}?saved=1`);
+});
@@ -0,0 +1,328 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Template from '../models/Template.js';
+import DeliveryLog from '../models/DeliveryLog.js';
+import Suppression from '../models/Suppression.js';
+import { renderSavedTemplate, renderSavedTemplateText, renderEnvelope } from '../utils/renderTemplate.js';
+import { sendMail, getTransportName } from '../utils/mailer.js';
+import { prepareTemplateImages, prepareImageVariants } from '../utils/imageVariants.js';
+import { renderTemplateHTML, collectImageSlots } from '../../shared/emailGenerator.js';
+import { generateEmailText } from '../../shared/emailText.js';
+import { isValidEmail } from '../../shared/email.js';
+
+export const MAX_TEST_RECIPIENTS = 5;
+const TEST_SEND_WINDOW_MS = 60 * 60 * 1000;
+const TEST_SEND_LIMIT = Number(process.env.TEST_SEND_HOURLY_LIMIT) || 20;
+
+/**
+ * Format delivery log entry for response
+ */
+const formatDeliveryForResponse = (delivery) => {
+  return {
+    id: delivery._id,
+    templateId: delivery.templateId,
+    kind: delivery.kind,
+    to: delivery.to,
+    from: delivery.from,
+    subject: delivery.subject,
+    status: delivery.status,
+    messageId: delivery.messageId,
+    transport: delivery.transport,
+    error: delivery.error,
+    createdAt: delivery.createdAt,
+  };
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Render a template for one recipient and deliver it
+ * POST /api/send
+ * API key with the `send` scope
+ *
+ * Body: { templateId, to, data, subject, fromName, replyTo }
+ * `data` fills the template's merge tags; subject, fromName and replyTo override its envelope.
+ * Addresses on the user's suppression list are refused.
+ */
+export const sendEmail = asyncHandler(async (req, res) => {
+  const { templateId, to, data = {}, subject, fromName, replyTo } = req.body;
+
+  if (!templateId || !mongoose.isValidObjectId(templateId)) {
+    res.status(400);
+    throw new Error('A valid templateId is required');
+  }
+
+  if (!isValidEmail(to)) {
+    res.status(400);
+    throw new Error('A valid recipient email address is required');
+  }
+
+  const recipient = to.trim();
+
+  if (!isPlainObject(data)) {
+    res.status(400);
+    throw new Error('Merge data must be a JSON object');
+  }
+
+  const template = await Template.findById(templateId);
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found');
+  }
+
+  if (!template.canEdit(req.user._id)) {
+    res.status(403);
+    throw new Error('Not authorized to send this template');
+  }
+
+  const envelope = {
+    subject: subject ?? template.envelope?.subject ?? '',
+    preheader: template.envelope?.preheader ?? '',
+    fromName: fromName ?? template.envelope?.fromName ?? '',
+    replyTo: replyTo ?? template.envelope?.replyTo ?? '',
+  };
+
+  if (envelope.replyTo && !isValidEmail(envelope.replyTo)) {
+    res.status(400);
+    throw new Error('Reply-to must be a valid email address');
+  }
+
+  const { subject: renderedSubject, from, fromLabel, replyTo: renderedReplyTo } = renderEnvelope(
+    envelope,
+    template.variables,
+    data
+  );
+
+  if (!renderedSubject) {
+    res.status(400);
+    throw new Error('A subject is required, either on the template or in the request');
+  }
+
+  const delivery = {
+    userId: req.user._id,
+    templateId: template._id,
+    apiKeyId: req.apiKey?._id || null,
+    kind: 'api',
+    to: recipient,
+    from: fromLabel,
+    subject: renderedSubject,
+    transport: getTransportName(),
+  };
+
+  // Blocked sends are logged too, so the delivery history explains the missing email
+  const suppression = await Suppression.findOne({ userId: req.user._id, email: recipient.toLowerCase() });
+  if (suppression) {
+    await DeliveryLog.create({ ...delivery, status: 'failed', error: suppression.describe() });
+    res.status(400);
+    throw new Error(suppression.describe());
+  }
+
+  const { resolveImage } = await prepareTemplateImages(template, template.userId);
+  const message = {
+    from,
+    to: recipient,
+    replyTo: renderedReplyTo,
+    subject: renderedSubject,
+    html: renderSavedTemplate(template, { mergeTagSyntax: 'render', data, resolveImage }, envelope),
+    text: renderSavedTemplateText(template, { mergeTagSyntax: 'render', data }) || undefined,
+  };
+
+  let info;
+  try {
+    info = await sendMail(message);
+  } catch (error) {
+    await DeliveryLog.create({ ...delivery, status: 'failed', error: error.message });
+    res.status(502);
+    throw new Error(`Delivery failed: ${error.message}`);
+  }
+
+  const entry = await DeliveryLog.create({ ...delivery, status: 'sent', messageId: info.messageId || '' });
+
+  res.status(201).json({
+    success: true,
+    data: formatDeliveryForResponse(entry),
+  });
+});
+
+/**
+ * Send the editor's current, possibly unsaved, template to a few addresses
+ * POST /api/send/test
+ * Private
+ *
+ * Body: { componentTree, mode, html, variables, envelope, to: [addresses], data, templateId }
+ * Limited to MAX_TEST_RECIPIENTS addresses per send and TEST_SEND_LIMIT emails per user per hour.
+ */
+export const sendTestEmail = asyncHandler(async (req, res) => {
+  const {
+    componentTree,
+    mode = 'visual',
+    html = '',
+    variables = [],
+    envelope = {},
+    to,
+    data = {},
+    templateId,
+  } = req.body;
+
+  const addresses = (Array.isArray(to) ? to : [to]).map((address) => String(address || '').trim()).filter(Boolean);
+  const recipients = [...new Set(addresses)];
+
+  if (recipients.length === 0 || recipients.length > MAX_TEST_RECIPIENTS) {
+    res.status(400);
+    throw new Error(`Send a test to between 1 and ${MAX_TEST_RECIPIENTS} addresses`);
+  }
+
+  const invalidAddress = recipients.find((address) => !isValidEmail(address));
+  if (invalidAddress) {
+    res.status(400);
+    throw new Error(`Invalid email address: ${invalidAddress}`);
+  }
+
+  if (mode === 'html') {
+    if (typeof html !== 'string' || !html.trim()) {
+      res.status(400);
+      throw new Error('HTML content is required in HTML mode');
+    }
+  } else if (mode !== 'visual') {
+    res.status(400);
+    throw new Error('Mode must be visual or html');
+  } else if (!isPlainObject(componentTree) || !componentTree.root) {
+    res.status(400);
+    throw new Error('Component tree with root is required');
+  }
+
+  if (!Array.isArray(variables) || !isPlainObject(data)) {
+    res.status(400);
+    throw new Error('Variables must be a list and merge data a JSON object');
+  }
+
+  if (!isPlainObject(envelope)) {
+    res.status(400);
+    throw new Error('Envelope must be a JSON object');
+  }
+
+  if (envelope.replyTo && !isValidEmail(envelope.replyTo)) {
+    res.status(400);
+    throw new Error('Reply-to must be a valid email address');
+  }
+
+  const recentTests = await DeliveryLog.countDocuments({
+    userId: req.user._id,
+    kind: 'test',
+    createdAt: { $gte: new Date(Date.now() - TEST_SEND_WINDOW_MS) },
+  });
+
+  if (recentTests + recipients.length > TEST_SEND_LIMIT) {
+    res.status(429);
+    throw new Error(`Test send limit reached: ${TEST_SEND_LIMIT} test emails per hour`);
+  }
+
+  const { subject, from, fromLabel, replyTo } = renderEnvelope(envelope, variables, data);
+  const { resolveImage } =
+    mode === 'html'
+      ? { resolveImage: null }
+      : await prepareImageVariants(collectImageSlots(componentTree), req.user._id);
+  const testSubject = `[Test] ${subject || 'Untitled template'}`;
+  const message = {
+    from,
+    replyTo,
+    subject: testSubject,
+    html: renderTemplateHTML(
+      { componentTree, htmlDocument: mode === 'html' ? html : null, variables, envelope },
+      {
+        mergeTagSyntax: 'render',
+        data,
+        resolveImage,
+      }
+    ),
+    text:
+      mode === 'html' ? undefined : generateEmailText(componentTree, { mergeTagSyntax: 'render', variables, data }),
+  };
+
+  const suppressed = await Suppression.findSuppressed(req.user._id, recipients);
+
+  const deliveries = [];
+  for (const recipient of recipients) {
+    const delivery = {
+      userId: req.user._id,
+      templateId: mongoose.isValidObjectId(templateId) ? templateId : null,
+      kind: 'test',
+      to: recipient,
+      from: fromLabel,
+      subject: testSubject,
+      transport: getTransportName(),
+    };
+
+    const suppression = suppressed.get(recipient.toLowerCase());
+    if (suppression) {
+      deliveries.push(await DeliveryLog.create({ ...delivery, status: 'failed', error: suppression.describe() }));
+      continue;
+    }
+
+    try {
+      const info = await sendMail({ ...message, to: recipient });
+      deliveries.push(await DeliveryLog.create({ ...delivery, status: 'sent', messageId: info.messageId || '' }));
+    } catch (error) {
+      deliveries.push(await DeliveryLog.create({ ...delivery, status: 'failed', error: error.message }));
+    }
+  }
+
+  if (deliveries.every((delivery) => delivery.status === 'failed')) {
+    res.status(502);
+    throw new Error(`Delivery failed: ${deliveries[0].error}`);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      deliveries: deliveries.map(formatDeliveryForResponse),
+    },
+  });
+});
+
+/**
+ * Get the user's delivery log
+ * GET /api/send/deliveries?templateId=&status=&kind=
+ * Private
+ */
+export const getDeliveries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50, templateId, status, kind } = req.query;
+
+  const query = { userId: req.user._id };
+
+  if (kind) {
+    query.kind = kind;
+  }
+
+  if (templateId) {
+    if (!mongoose.isValidObjectId(templateId)) {
+      res.status(400);
+      throw new Error('Invalid templateId');
+    }
+    query.templateId = templateId;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const deliveries = await DeliveryLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit));
+
+  const total = await DeliveryLog.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      deliveries: deliveries.map(formatDeliveryForResponse),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  });
+});
@@ -0,0 +1,223 @@
+import asyncHandler from 'express-async-handler';
+import Suppression, { SUPPRESSION_REASONS } from '../models/Suppression.js';
+import Contact from '../models/Contact.js';
+import { parseCSV, toCSV } from '../../shared/csv.js';
+import { isValidEmail } from '../../shared/email.js';
+import { MAX_IMPORT_ROWS } from './contactController.js';
+
+/**
+ * Format suppression for response
+ */
+const formatSuppressionForResponse = (suppression) => {
+  return {
+    id: suppression._id,
+    email: suppression.email,
+    reason: suppression.reason,
+    detail: suppression.detail,
+    source: suppression.source,
+    createdAt: suppression.createdAt,
+  };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the suppressions query shared by listing and exporting
+ */
+const buildSuppressionQuery = (req) => {
+  const { reason, search } = req.query;
+  const query = { userId: req.user._id };
+
+  if (reason && SUPPRESSION_REASONS.includes(reason)) query.reason = reason;
+  if (search && search.trim()) query.email = new RegExp(escapeRegExp(search.trim()), 'i');
+
+  return query;
+};
+
+/**
+ * Get user's suppressed addresses
+ * GET /api/suppressions?reason=&search=
+ * Private
+ */
+export const getSuppressions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const query = buildSuppressionQuery(req);
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const suppressions = await Suppression.find(query).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit));
+  const total = await Suppression.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      suppressions: suppressions.map(formatSuppressionForResponse),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    },
+  });
+});
+
+/**
+ * Suppress an address by hand
+ * POST /api/suppressions
+ * Body: { email, detail? }
+ * Private
+ */
+export const createSuppression = asyncHandler(async (req, res) => {
+  const email = String(req.body.email || '')
+    .trim()
+    .toLowerCase();
+
+  if (!isValidEmail(email)) {
+    res.status(400);
+    throw new Error('Please provide a valid email');
+  }
+
+  const existing = await Suppression.exists({ userId: req.user._id, email });
+  if (existing) {
+    res.status(400);
+    throw new Error(`${email} is already on the suppression list`);
+  }
+
+  const suppression = await Suppression.create({
+    userId: req.user._id,
+    email,
+    reason: 'manual',
+    detail: req.body.detail || '',
+    source: 'manual',
+  });
+
+  res.status(201).json({
+    success: true,
+    data: formatSuppressionForResponse(suppression),
+  });
+});
+
+/**
+ * Remove an address from the suppression list
+ * Contacts flagged by the bounce or complaint it came from are subscribed again.
+ * DELETE /api/suppressions/:id
+ * Private
+ */
+export const deleteSuppression = asyncHandler(async (req, res) => {
+  const suppression = await Suppression.findById(req.params.id);
+
+  if (!suppression) {
+    res.status(404);
+    throw new Error('Suppression not found');
+  }
+
+  if (suppression.userId.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('Not authorized to delete this suppression');
+  }
+
+  await suppression.deleteOne();
+  await Contact.updateMany(
+    { userId: req.user._id, email: suppression.email, status: { $in: ['bounced', 'complained'] } },
+    { $set: { status: 'subscribed' } }
+  );
+
+  res.json({
+    success: true,
+    message: 'Suppression deleted successfully',
+  });
+});
+
+/**
+ * Import suppressed addresses from CSV
+ * Either a header row with an `email` column (and optional `reason` and `detail` columns),
+ * or a single column of addresses without header. Addresses already suppressed are left as they are.
+ * POST /api/suppressions/import
+ * Body: { csv }
+ * Private
+ */
+export const importSuppressions = asyncHandler(async (req, res) => {
+  const rows = parseCSV(req.body.csv);
+  const header = (rows[0] || []).map((cell) => cell.trim().toLowerCase());
+  const emailColumn = header.indexOf('email');
+  const reasonColumn = header.indexOf('reason');
+  const detailColumn = header.indexOf('detail');
+  const entries = emailColumn === -1 ? rows : rows.slice(1);
+
+  if (entries.length === 0) {
+    res.status(400);
+    throw new Error('The CSV file needs at least one email address');
+  }
+
+  if (entries.length > MAX_IMPORT_ROWS) {
+    res.status(400);
+    throw new Error(`A CSV import can contain at most ${MAX_IMPORT_ROWS} addresses`);
+  }
+
+  let invalid = 0;
+  const suppressionsByEmail = new Map();
+
+  entries.forEach((row) => {
+    const email = (row[Math.max(emailColumn, 0)] || '').trim().toLowerCase();
+    if (!isValidEmail(email)) {
+      invalid += 1;
+      return;
+    }
+
+    const reason = (row[reasonColumn] || '').trim().toLowerCase();
+    suppressionsByEmail.set(email, {
+      reason: reasonColumn !== -1 && SUPPRESSION_REASONS.includes(reason) ? reason : 'manual',
+      detail: detailColumn !== -1 ? (row[detailColumn] || '').trim().slice(0, 500) : '',
+    });
+  });
+
+  let added = 0;
+
+  if (suppressionsByEmail.size > 0) {
+    const result = await Suppression.bulkWrite(
+      [...suppressionsByEmail].map(([email, { reason, detail }]) => ({
+        updateOne: {
+          filter: { userId: req.user._id, email },
+          update: { $setOnInsert: { userId: req.user._id, email, reason, detail, source: 'import' } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+
+    added = result.upsertedCount;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      added,
+      existing: suppressionsByEmail.size - added,
+      invalid,
+    },
+  });
+});
+
+/**
+ * Export suppressed addresses as CSV, in the format the import reads
+ * GET /api/suppressions/export?reason=&search=
+ * Private
+ */
+export const exportSuppressions = asyncHandler(async (req, res) => {
+  const suppressions = await Suppression.find(buildSuppressionQuery(req)).sort({ email: 1 }).lean();
+
+  const rows = [
+    ['email', 'reason', 'detail', 'source', 'createdAt'],
+    ...suppressions.map((suppression) => [
+      suppression.email,
+      suppression.reason,
+      suppression.detail,
+      suppression.source,
+      new Date(suppression.createdAt).toISOString(),
+    ]),
+  ];
+
+  res.set('Content-Disposition', 'attachment; filename="suppressions.csv"');
+  res.type('text/csv').send(toCSV(rows));
+});
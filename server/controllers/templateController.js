@@ -1,47 +1,12 @@
 import asyncHandler from 'express-async-handler';
 import Template from '../models/Template.js';
-
-/**
- * Serialize component tree for database
- */
-const serializeComponentTree = (componentTree) => {
-  const serialized = {};
-  for (const [id, component] of Object.entries(componentTree)) {
-    serialized[id] = {
-      id: component.id,
-      type: component.type,
-      parentId: component.parentId,
-      properties: component.properties || {},
-      children: component.children || undefined,
-    };
-  }
-  return serialized;
-};
-
-/**
- * Deserialize component tree from database
- */
-const deserializeComponentTree = (serializedTree) => {
-  if (!serializedTree) {
-    return {
-      root: {
-        id: 'root',
-        type: 'root',
-        children: [],
-      },
-    };
-  }
-
-  if (serializedTree instanceof Map) {
-    const tree = {};
-    for (const [key, value] of serializedTree.entries()) {
-      tree[key] = value;
-    }
-    return tree;
-  }
-
-  return serializedTree;
-};
+import TemplateVersion from '../models/TemplateVersion.js';
+import { serializeComponentTree, deserializeComponentTree } from '../utils/componentTree.js';
+import { getRenderETag, getCachedRender, setCachedRender } from '../utils/renderCache.js';
+import { renderSavedTemplate } from '../utils/renderTemplate.js';
+import { prepareTemplateImages } from '../utils/imageVariants.js';
+import { generateEmailText, resolveTextLineWidth } from '../../shared/emailText.js';
+import { buildSampleData, VARIABLE_NAME_PATTERN } from '../../shared/mergeTags.js';
 
 /**
  * Format template for response
@@ -53,6 +18,10 @@ const formatTemplateForResponse = (template) => {
     description: template.description,
     thumbnail: template.thumbnail,
     componentTree: deserializeComponentTree(template.componentTree),
+    mode: template.mode,
+    html: template.html,
+    variables: template.variables,
+    envelope: template.envelope,
     category: template.category,
     tags: template.tags,
     isPublic: template.isPublic,
@@ -62,6 +31,32 @@ const formatTemplateForResponse = (template) => {
   };
 };
 
+/**
+ * Send rendered HTML with an ETag, answering a matching If-None-Match with 304
+ * Uploaded images are swapped for variants sized to their slots, created on the first render that needs them.
+ * A render where some image could not be resized is neither cached nor tagged, so the next request retries.
+ */
+const sendRenderedHTML = async (req, res, template, options) => {
+  const etag = getRenderETag(template, options);
+  res.set({ ETag: etag, 'Cache-Control': 'no-cache' });
+
+  if (req.fresh) {
+    res.status(304).end();
+    return;
+  }
+
+  let html = getCachedRender(etag);
+  if (html === undefined) {
+    const { resolveImage, complete } = await prepareTemplateImages(template, template.userId);
+    html = renderSavedTemplate(template, { ...options, resolveImage });
+
+    if (complete) setCachedRender(etag, html);
+    else res.removeHeader('ETag');
+  }
+
+  res.type('html').send(html);
+};
+
 /**
  * Get all templates (public + user's own)
  * GET /api/templates
@@ -88,7 +83,7 @@ export const getTemplates = asyncHandler(async (req, res) => {
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit))
-    .select('-componentTree'); // Exclude component tree for list view
+    .select('-componentTree -html -variables'); // Exclude template content for list view
 
   const total = await Template.countDocuments(query);
 
@@ -103,6 +98,7 @@ export const getTemplates = asyncHandler(async (req, res) => {
         category: t.category,
         tags: t.tags,
         isPublic: t.isPublic,
+        mode: t.mode,
         userId: t.userId,
         createdAt: t.createdAt,
         updatedAt: t.updatedAt,
@@ -131,7 +127,7 @@ export const getMyTemplates = asyncHandler(async (req, res) => {
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(parseInt(limit))
-    .select('-componentTree'); // Exclude component tree for list view
+    .select('-componentTree -html -variables'); // Exclude template content for list view
 
   const total = await Template.countDocuments({ userId: req.user._id });
 
@@ -146,6 +142,7 @@ export const getMyTemplates = asyncHandler(async (req, res) => {
         category: t.category,
         tags: t.tags,
         isPublic: t.isPublic,
+        mode: t.mode,
         createdAt: t.createdAt,
         updatedAt: t.updatedAt,
       })),
@@ -187,13 +184,140 @@ export const getTemplate = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get the plain-text alternative of a template
+ * GET /api/templates/:id/text?width=72&syntax=handlebars
+ * Private
+ *
+ * `width` wraps lines (0 disables wrapping, defaults to the template's setting);
+ * `syntax` converts merge tags to handlebars or liquid, otherwise they are left as stored.
+ */
+export const getTemplateText = asyncHandler(async (req, res) => {
+  const template = await Template.findById(req.params.id);
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found');
+  }
+
+  if (
+    template.userId.toString() !== req.user._id.toString() &&
+    !template.isPublic
+  ) {
+    res.status(403);
+    throw new Error('Not authorized to view this template');
+  }
+
+  if (template.mode === 'html') {
+    res.status(400);
+    throw new Error('Plain text can only be generated for templates built in the visual editor');
+  }
+
+  const { width, syntax } = req.query;
+
+  if (width !== undefined && (!/^\d+$/.test(width) || resolveTextLineWidth(width) !== Number(width))) {
+    res.status(400);
+    throw new Error('Width must be 0 (no wrapping) or a number between 20 and 200');
+  }
+
+  if (syntax !== undefined && !['handlebars', 'liquid'].includes(syntax)) {
+    res.status(400);
+    throw new Error('Syntax must be handlebars or liquid');
+  }
+
+  const text = generateEmailText(deserializeComponentTree(template.componentTree), {
+    lineWidth: width,
+    mergeTagSyntax: syntax,
+    variables: template.variables,
+  });
+
+  res.type('text/plain').send(text);
+});
+
+/**
+ * Get the rendered email HTML of a template
+ * GET /api/templates/:id/html?syntax=handlebars
+ * POST /api/templates/:id/html { "data": { "firstName": "Ada" } }
+ * Private
+ *
+ * GET leaves merge tags as stored unless `syntax` converts them to handlebars or liquid;
+ * POST fills them in from the JSON `data`. The output is cached until the template is saved again.
+ */
+export const getTemplateHTML = asyncHandler(async (req, res) => {
+  const template = await Template.findById(req.params.id);
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found');
+  }
+
+  if (
+    template.userId.toString() !== req.user._id.toString() &&
+    !template.isPublic
+  ) {
+    res.status(403);
+    throw new Error('Not authorized to view this template');
+  }
+
+  let options;
+
+  if (req.method === 'POST') {
+    const { data = {} } = req.body || {};
+
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      res.status(400);
+      throw new Error('Merge data must be a JSON object');
+    }
+
+    options = { mergeTagSyntax: 'render', data };
+  } else {
+    const { syntax } = req.query;
+
+    if (syntax !== undefined && !['handlebars', 'liquid'].includes(syntax)) {
+      res.status(400);
+      throw new Error('Syntax must be handlebars or liquid');
+    }
+
+    options = { mergeTagSyntax: syntax };
+  }
+
+  await sendRenderedHTML(req, res, template, options);
+});
+
+/**
+ * Public preview of a template, merged with its sample values
+ * GET /templates/:id/preview
+ * Public (isPublic templates only)
+ */
+export const getTemplatePreview = asyncHandler(async (req, res) => {
+  const template = await Template.findOne({ _id: req.params.id, isPublic: true });
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found');
+  }
+
+  // The page only needs its own inline styles and remote images; nothing may run
+  res.set('Content-Security-Policy', "default-src 'none'; img-src * data:; style-src 'unsafe-inline'");
+
+  // Templates saved before names were checked for prototype keys may still hold unsafe ones
+  const variables = template.variables.filter(
+    (variable) => typeof variable.name === 'string' && VARIABLE_NAME_PATTERN.test(variable.name)
+  );
+
+  await sendRenderedHTML(req, res, template, {
+    mergeTagSyntax: 'render',
+    data: buildSampleData(variables),
+  });
+});
+
 /**
  * Create new template
  * POST /api/templates
  * Private
  */
 export const createTemplate = asyncHandler(async (req, res) => {
-  const { name, description, thumbnail, componentTree, category, tags, isPublic } =
+  const { name, description, thumbnail, componentTree, mode, html, variables, envelope, category, tags, isPublic } =
     req.body;
 
   // Validate required fields
@@ -212,12 +336,18 @@ export const createTemplate = asyncHandler(async (req, res) => {
     description: description?.trim() || '',
     thumbnail: thumbnail || '',
     componentTree: serializeComponentTree(componentTree),
+    mode: mode || 'visual',
+    html: html || '',
+    variables: Array.isArray(variables) ? variables : [],
+    envelope: envelope || {},
     category: category || 'other',
     tags: Array.isArray(tags) ? tags.map((tag) => tag.trim()).filter(Boolean) : [],
     isPublic: Boolean(isPublic),
     userId: req.user._id,
   });
 
+  await TemplateVersion.createSnapshot(template, req.user._id);
+
   res.status(201).json({
     success: true,
     data: formatTemplateForResponse(template),
@@ -243,20 +373,30 @@ export const updateTemplate = asyncHandler(async (req, res) => {
     throw new Error('Not authorized to update this template');
   }
 
-  const { name, description, thumbnail, componentTree, category, tags, isPublic } =
+  const { name, description, thumbnail, componentTree, mode, html, variables, envelope, category, tags, isPublic } =
     req.body;
 
+  // Keep the design as it was before this save restorable
+  await TemplateVersion.ensureBaseline(template, template.userId);
+
   // Update fields if provided
   if (name) template.name = name.trim();
   if (description !== undefined) template.description = description.trim();
   if (thumbnail !== undefined) template.thumbnail = thumbnail;
   if (componentTree) template.componentTree = serializeComponentTree(componentTree);
+  if (mode) template.mode = mode;
+  if (html !== undefined) template.html = html;
+  if (Array.isArray(variables)) template.variables = variables;
+  if (envelope) template.envelope = envelope;
   if (category) template.category = category;
   if (tags) template.tags = Array.isArray(tags) ? tags.map((tag) => tag.trim()).filter(Boolean) : [];
   if (isPublic !== undefined) template.isPublic = Boolean(isPublic);
 
   const updatedTemplate = await template.save();
 
+  // Every save becomes a restorable version
+  await TemplateVersion.createSnapshot(updatedTemplate, req.user._id);
+
   res.json({
     success: true,
     data: formatTemplateForResponse(updatedTemplate),
@@ -283,9 +423,142 @@ export const deleteTemplate = asyncHandler(async (req, res) => {
   }
 
   await template.deleteOne();
+  await TemplateVersion.deleteMany({ templateId: template._id });
 
   res.json({
     success: true,
     message: 'Template deleted successfully',
   });
 });
+
+/**
+ * Format template version for response
+ */
+const formatVersionForResponse = (version, { includeTree = false } = {}) => {
+  const formatted = {
+    id: version._id,
+    templateId: version.templateId,
+    version: version.version,
+    name: version.name,
+    description: version.description,
+    mode: version.mode,
+    restoredFrom: version.restoredFrom,
+    savedBy:
+      version.savedBy && version.savedBy.name
+        ? { id: version.savedBy._id, name: version.savedBy.name }
+        : { id: version.savedBy, name: null },
+    createdAt: version.createdAt,
+  };
+
+  if (includeTree) {
+    formatted.componentTree = deserializeComponentTree(version.componentTree);
+    formatted.html = version.html;
+    formatted.variables = version.variables;
+    formatted.envelope = version.envelope;
+  }
+
+  return formatted;
+};
+
+/**
+ * Load a template and check the user owns it
+ */
+const findOwnedTemplate = async (req, res) => {
+  const template = await Template.findById(req.params.id);
+
+  if (!template) {
+    res.status(404);
+    throw new Error('Template not found');
+  }
+
+  if (!template.canEdit(req.user._id)) {
+    res.status(403);
+    throw new Error('Not authorized to access this template');
+  }
+
+  return template;
+};
+
+/**
+ * Get version history of a template
+ * GET /api/templates/:id/versions
+ * Private
+ */
+export const getTemplateVersions = asyncHandler(async (req, res) => {
+  const template = await findOwnedTemplate(req, res);
+
+  const versions = await TemplateVersion.find({ templateId: template._id })
+    .sort({ version: -1 })
+    .select('-componentTree -html -variables') // Exclude template content for list view
+    .populate('savedBy', 'name');
+
+  res.json({
+    success: true,
+    data: {
+      versions: versions.map((version) => formatVersionForResponse(version)),
+    },
+  });
+});
+
+/**
+ * Get a single template version
+ * GET /api/templates/:id/versions/:versionId
+ * Private
+ */
+export const getTemplateVersion = asyncHandler(async (req, res) => {
+  const template = await findOwnedTemplate(req, res);
+
+  const version = await TemplateVersion.findOne({
+    _id: req.params.versionId,
+    templateId: template._id,
+  }).populate('savedBy', 'name');
+
+  if (!version) {
+    res.status(404);
+    throw new Error('Template version not found');
+  }
+
+  res.json({
+    success: true,
+    data: formatVersionForResponse(version, { includeTree: true }),
+  });
+});
+
+/**
+ * Restore a template to a previous version
+ * POST /api/templates/:id/versions/:versionId/restore
+ * Private
+ */
+export const restoreTemplateVersion = asyncHandler(async (req, res) => {
+  const template = await findOwnedTemplate(req, res);
+
+  const version = await TemplateVersion.findOne({
+    _id: req.params.versionId,
+    templateId: template._id,
+  });
+
+  if (!version) {
+    res.status(404);
+    throw new Error('Template version not found');
+  }
+
+  template.name = version.name;
+  template.description = version.description;
+  template.componentTree = serializeComponentTree(deserializeComponentTree(version.componentTree));
+  template.mode = version.mode;
+  template.html = version.html;
+  template.variables = version.variables;
+  template.envelope = version.envelope || {};
+
+  const restoredTemplate = await template.save();
+
+  // Record the restore as the newest version
+  await TemplateVersion.createSnapshot(restoredTemplate, req.user._id, {
+    restoredFrom: version.version,
+  });
+
+  res.json({
+    success: true,
+    data: formatTemplateForResponse(restoredTemplate),
+  });
+});
@@ -0,0 +1,85 @@
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import CampaignRecipient from '../models/CampaignRecipient.js';
+import TrackingEvent from '../models/TrackingEvent.js';
+import { verifyTrackingToken } from '../utils/tracking.js';
+
+// Transparent 1x1 GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+/**
+ * Store an event for the recipient in a token and stamp their first open/click
+ * A click also counts as an open, since clients that block images never load the pixel.
+ * Tokens of deleted campaigns are ignored.
+ */
+const recordEvent = async (req, recipientId, type, details = {}) => {
+  if (!mongoose.isValidObjectId(recipientId)) return;
+
+  const recipient = await CampaignRecipient.findById(recipientId).select('campaignId');
+  if (!recipient) return;
+
+  await TrackingEvent.create({
+    campaignId: recipient.campaignId,
+    recipientId: recipient._id,
+    type,
+    userAgent: req.get('user-agent') || '',
+    ...details,
+  });
+
+  const now = new Date();
+  await CampaignRecipient.updateOne({ _id: recipient._id, openedAt: null }, { $set: { openedAt: now } });
+  if (type === 'click') {
+    await CampaignRecipient.updateOne({ _id: recipient._id, clickedAt: null }, { $set: { clickedAt: now } });
+  }
+};
+
+/**
+ * Record an email open and return the tracking pixel
+ * The pixel is returned even for invalid tokens so broken images never show in the email.
+ * GET /t/open/:token
+ * Public
+ */
+export const trackOpen = asyncHandler(async (req, res) => {
+  const payload = verifyTrackingToken(req.params.token);
+
+  if (payload) {
+    try {
+      await recordEvent(req, payload.r, 'open');
+    } catch (error) {
+      console.error('❌ Failed to record open:', error.message);
+    }
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    // Webmail loads the pixel from its own origin
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+  });
+  res.send(PIXEL);
+});
+
+/**
+ * Record a link click and redirect to the original URL
+ * The target comes from the signed token, so the endpoint cannot be used as an open redirect.
+ * GET /t/click/:token
+ * Public
+ */
+export const trackClick = asyncHandler(async (req, res) => {
+  const payload = verifyTrackingToken(req.params.token);
+
+  if (!payload || !/^https?:\/\//i.test(payload.u || '')) {
+    res.status(404);
+    throw new Error('Link not found');
+  }
+
+  // A failed write must not keep the recipient from their destination
+  try {
+    await recordEvent(req, payload.r, 'click', { url: payload.u, componentId: payload.c || null });
+  } catch (error) {
+    console.error('❌ Failed to record click:', error.message);
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.redirect(302, payload.u);
+});
@@ -0,0 +1,128 @@
+import asyncHandler from 'express-async-handler';
+import crypto from 'crypto';
+import Campaign from '../models/Campaign.js';
+import CampaignRecipient from '../models/CampaignRecipient.js';
+import Contact from '../models/Contact.js';
+import DeliveryLog from '../models/DeliveryLog.js';
+import Suppression from '../models/Suppression.js';
+import { WEBHOOK_ADAPTERS, normalizeWebhookEvents } from '../utils/webhookAdapters.js';
+import { isValidEmail } from '../../shared/email.js';
+
+// Contact status set by each kind of event that suppresses an address
+const SUPPRESSING_EVENTS = {
+  bounce: { reason: 'bounce', status: 'bounced' },
+  complaint: { reason: 'complaint', status: 'complained' },
+};
+
+const isValidWebhookToken = (token) => {
+  const expected = Buffer.from(process.env.WEBHOOK_SECRET);
+  const actual = Buffer.from(String(token || ''));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Transports and providers disagree on whether a Message-ID keeps its angle brackets
+ */
+const getMessageIdVariants = (messageId) => {
+  const bare = messageId.replace(/^<|>$/g, '');
+  return [bare, `<${bare}>`];
+};
+
+/**
+ * Find the send an event is about, to know whose suppression list it feeds
+ * Matched by Message-ID only: every user shares the webhook, so an address alone cannot tell whose send it was.
+ * @returns {Promise<Object|null>} { userId, recipient }, recipient being set for campaign sends only
+ */
+const findSend = async (event) => {
+  if (!event.messageId) return null;
+
+  const messageIds = getMessageIdVariants(event.messageId);
+
+  const recipient = await CampaignRecipient.findOne({ messageId: { $in: messageIds } });
+  const campaign = recipient && (await Campaign.findById(recipient.campaignId).select('userId'));
+  if (campaign) return { userId: campaign.userId, recipient };
+
+  const delivery = await DeliveryLog.findOne({ messageId: { $in: messageIds } }).select('userId');
+  return delivery ? { userId: delivery.userId, recipient: null } : null;
+};
+
+/**
+ * Apply one normalized event
+ * Hard bounces and complaints suppress the address and flag the sender's contacts with it;
+ * soft bounces are left to the transport's own retries.
+ * @returns {Promise<Boolean>} False if no send matches the event
+ */
+const applyEvent = async (event) => {
+  if (!isValidEmail(event.email)) return false;
+
+  const send = await findSend(event);
+  if (!send) return false;
+
+  if (event.type === 'delivery') {
+    if (send.recipient && !send.recipient.deliveredAt) {
+      send.recipient.deliveredAt = event.timestamp;
+      await send.recipient.save();
+    }
+    return true;
+  }
+
+  if (event.type === 'bounce' && event.bounceType !== 'hard') return true;
+
+  const { reason, status } = SUPPRESSING_EVENTS[event.type];
+  await Suppression.updateOne(
+    { userId: send.userId, email: event.email },
+    { $setOnInsert: { reason, detail: event.reason, source: 'webhook' } },
+    { upsert: true }
+  );
+  await Contact.updateMany({ userId: send.userId, email: event.email }, { $set: { status } });
+  return true;
+};
+
+/**
+ * Receive bounce, complaint and delivery events from an email provider
+ * POST /api/webhooks/:provider?token=
+ * Public, authenticated with WEBHOOK_SECRET in the `token` query parameter or the X-Webhook-Token header
+ *
+ * Providers: generic (see README), ses (through SNS), sendgrid, mailgun, postmark
+ */
+export const receiveWebhook = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+
+  if (!process.env.WEBHOOK_SECRET) {
+    res.status(503);
+    throw new Error('Webhooks are not configured');
+  }
+
+  if (!isValidWebhookToken(req.query.token || req.get('x-webhook-token'))) {
+    res.status(401);
+    throw new Error('Invalid webhook token');
+  }
+
+  if (!Object.hasOwn(WEBHOOK_ADAPTERS, provider)) {
+    res.status(404);
+    throw new Error(`Unknown webhook provider: ${provider}`);
+  }
+
+  // SNS topics must be confirmed once by visiting the link it sends
+  if (provider === 'ses' && req.body?.Type === 'SubscriptionConfirmation') {
+    console.log(`📬 Confirm the SES feedback subscription by visiting: ${req.body.SubscribeURL}`);
+    res.json({ success: true, data: { received: 0, processed: 0, unmatched: 0 } });
+    return;
+  }
+
+  const events = normalizeWebhookEvents(provider, req.body);
+
+  let processed = 0;
+  for (const event of events) {
+    if (await applyEvent(event)) processed += 1;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      received: events.length,
+      processed,
+      unmatched: events.length - processed,
+    },
+  });
+});
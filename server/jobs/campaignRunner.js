@@ -0,0 +1,348 @@
+import mongoose from 'mongoose';
+import Campaign from '../models/Campaign.js';
+import CampaignRecipient from '../models/CampaignRecipient.js';
+import Contact from '../models/Contact.js';
+import Suppression from '../models/Suppression.js';
+import Template from '../models/Template.js';
+import TemplateVersion from '../models/TemplateVersion.js';
+import {
+  renderSavedTemplate,
+  renderSavedTemplateText,
+  renderEnvelope,
+  getUnsubscribeProblem,
+} from '../utils/renderTemplate.js';
+import { sendMail } from '../utils/mailer.js';
+import { getTrackingOptions, getUnsubscribeURL } from '../utils/tracking.js';
+import { prepareTemplateImages } from '../utils/imageVariants.js';
+import { UNSUBSCRIBE_URL_VARIABLE } from '../../shared/mergeTags.js';
+
+// Throttle: each sending campaign gets at most one batch per interval
+const BATCH_SIZE = Number(process.env.CAMPAIGN_BATCH_SIZE) || 50;
+const BATCH_INTERVAL_MS = Number(process.env.CAMPAIGN_BATCH_INTERVAL_MS) || 10000;
+
+// Failed deliveries are retried after 1, 2, 4 and 8 minutes before the recipient is marked failed
+export const MAX_ATTEMPTS = Number(process.env.CAMPAIGN_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+// A runner that crashes mid-batch holds its lease this long before another process may take over
+const LOCK_DURATION_MS = 5 * 60 * 1000;
+
+const INSERT_CHUNK_SIZE = 1000;
+
+// Campaign fields a batch may change, written back when the lease is released
+const BATCH_FIELDS = ['templateVersionId', 'recipientsPreparedAt', 'stats', 'status', 'completedAt', 'lastError'];
+
+let timer = null;
+
+/**
+ * Delay before the next attempt after a number of failed ones
+ */
+export const getRetryDelay = (attempts) => RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+
+/**
+ * SMTP 5xx replies reject the recipient for good; anything else (timeouts, 4xx) may succeed later
+ */
+const isPermanentFailure = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+/**
+ * Recount recipients by status into the campaign's stats
+ */
+export const refreshCampaignStats = async (campaign) => {
+  const counts = await CampaignRecipient.aggregate([
+    { $match: { campaignId: campaign._id } },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+  const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+  campaign.stats = {
+    total: counts.reduce((sum, { count }) => sum + count, 0),
+    pending: byStatus.pending || 0,
+    sent: byStatus.sent || 0,
+    failed: byStatus.failed || 0,
+    skipped: byStatus.skipped || 0,
+  };
+  return campaign.stats;
+};
+
+/**
+ * Stop a campaign that cannot continue, failing the recipients it had not reached
+ */
+const abortCampaign = async (campaign, message) => {
+  await CampaignRecipient.updateMany({ campaignId: campaign._id, status: 'pending' }, { status: 'failed', error: message });
+  await refreshCampaignStats(campaign);
+  campaign.status = 'sent';
+  campaign.completedAt = new Date();
+  campaign.lastError = message;
+};
+
+/**
+ * Pin the template version and copy the list's subscribed contacts into recipients
+ * The pinned version is checked for an unsubscribe path again, since the template may have been edited
+ * after the campaign was scheduled.
+ * Safe to run again after a crash: contacts already copied are skipped by the unique index.
+ * @returns {Promise<Boolean>} False if the campaign had to be aborted
+ */
+const prepareRecipients = async (campaign) => {
+  const template = await Template.findById(campaign.templateId);
+  if (!template) {
+    await abortCampaign(campaign, 'The template was deleted before sending started');
+    return false;
+  }
+
+  let version = campaign.templateVersionId ? await TemplateVersion.findById(campaign.templateVersionId) : null;
+  if (!version) {
+    const latest = await TemplateVersion.findOne({ templateId: template._id }).sort({ version: -1 });
+    version = latest || (await TemplateVersion.createSnapshot(template, campaign.userId));
+    campaign.templateVersionId = version._id;
+    await Campaign.updateOne({ _id: campaign._id }, { $set: { templateVersionId: version._id } });
+  }
+
+  const unsubscribeProblem = getUnsubscribeProblem(version);
+  if (unsubscribeProblem) {
+    await abortCampaign(campaign, `Not sent: ${unsubscribeProblem}`);
+    return false;
+  }
+
+  const contacts = Contact.find(Contact.receivingQuery(campaign.userId, campaign.listId))
+    .select('_id email')
+    .lean()
+    .cursor();
+
+  let chunk = [];
+  const insertChunk = async () => {
+    try {
+      await CampaignRecipient.insertMany(chunk, { ordered: false });
+    } catch (error) {
+      // Duplicates of a previous, interrupted run
+      if (error.code !== 11000 && !error.writeErrors?.every((writeError) => writeError.code === 11000)) {
+        throw error;
+      }
+    }
+    chunk = [];
+  };
+
+  for await (const contact of contacts) {
+    chunk.push({ campaignId: campaign._id, contactId: contact._id, email: contact.email });
+    if (chunk.length >= INSERT_CHUNK_SIZE) await insertChunk();
+  }
+  if (chunk.length > 0) await insertChunk();
+
+  campaign.recipientsPreparedAt = new Date();
+  await refreshCampaignStats(campaign);
+  return true;
+};
+
+/**
+ * Render and send the campaign to one recipient
+ * Links in the HTML part go through the click redirect and an open pixel is appended.
+ * The List-Unsubscribe headers let mail clients offer their own one-click unsubscribe button.
+ * @param {Function} resolveImage - Image variants of the version, see prepareTemplateImages
+ * @returns {Promise<Object>} Transport info
+ */
+const deliver = (campaign, version, contact, recipient, resolveImage) => {
+  const unsubscribeURL = getUnsubscribeURL(contact._id, campaign.listId);
+  const data = { ...contact.toMergeData(), [UNSUBSCRIBE_URL_VARIABLE]: unsubscribeURL };
+  const envelope = campaign.envelope?.toObject() || {};
+  const { subject, from, replyTo } = renderEnvelope(envelope, version.variables, data);
+
+  return sendMail({
+    from,
+    to: contact.email,
+    replyTo,
+    subject,
+    html: renderSavedTemplate(
+      version,
+      { mergeTagSyntax: 'render', data, resolveImage, ...getTrackingOptions(recipient) },
+      envelope
+    ),
+    text: renderSavedTemplateText(version, { mergeTagSyntax: 'render', data }) || undefined,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeURL}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+  });
+};
+
+/**
+ * Send the next batch of a campaign's due recipients
+ * Contacts are re-read at send time: those deleted or unsubscribed since the campaign started are skipped,
+ * as are addresses on the user's suppression list.
+ */
+const sendBatch = async (campaign) => {
+  if (!campaign.recipientsPreparedAt && !(await prepareRecipients(campaign))) {
+    return;
+  }
+
+  const version = await TemplateVersion.findById(campaign.templateVersionId);
+  if (!version) {
+    await abortCampaign(campaign, 'The template was deleted while the campaign was sending');
+    return;
+  }
+
+  const recipients = await CampaignRecipient.find({
+    campaignId: campaign._id,
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE);
+
+  const contacts = await Contact.find({ _id: { $in: recipients.map((recipient) => recipient.contactId) } });
+  const { resolveImage } =
+    recipients.length > 0 ? await prepareTemplateImages(version, campaign.userId) : { resolveImage: null };
+  const contactsById = new Map(contacts.map((contact) => [contact._id.toString(), contact]));
+  const suppressed = await Suppression.findSuppressed(
+    campaign.userId,
+    contacts.map((contact) => contact.email)
+  );
+
+  for (const recipient of recipients) {
+    const contact = contactsById.get(recipient.contactId.toString());
+    const suppression = contact && suppressed.get(contact.email);
+
+    if (!contact || suppression || !contact.canReceive(campaign.listId)) {
+      recipient.status = 'skipped';
+      recipient.error = !contact
+        ? 'Contact was deleted before delivery'
+        : suppression
+          ? suppression.describe()
+          : 'Unsubscribed before delivery';
+    } else {
+      recipient.attempts += 1;
+      try {
+        const info = await deliver(campaign, version, contact, recipient, resolveImage);
+        recipient.status = 'sent';
+        recipient.messageId = info.messageId || '';
+        recipient.sentAt = new Date();
+        recipient.error = '';
+      } catch (error) {
+        recipient.error = error.message;
+        if (isPermanentFailure(error) || recipient.attempts >= MAX_ATTEMPTS) {
+          recipient.status = 'failed';
+        } else {
+          recipient.nextAttemptAt = new Date(Date.now() + getRetryDelay(recipient.attempts));
+        }
+      }
+    }
+
+    // Saved one by one so a crash repeats at most the message in flight
+    await recipient.save();
+  }
+
+  const stats = await refreshCampaignStats(campaign);
+  if (stats.pending === 0) {
+    campaign.status = 'sent';
+    campaign.completedAt = new Date();
+  }
+};
+
+/**
+ * Move scheduled campaigns whose time has come to sending
+ */
+const startDueCampaigns = async () => {
+  const now = new Date();
+  await Campaign.updateMany(
+    { status: 'scheduled', scheduledAt: { $lte: now } },
+    { $set: { status: 'sending', startedAt: now } }
+  );
+};
+
+/**
+ * Take the lease on the next sending campaign not handled yet in this run
+ */
+const claimCampaign = (excludedIds) => {
+  const now = new Date();
+  return Campaign.findOneAndUpdate(
+    {
+      _id: { $nin: excludedIds },
+      status: 'sending',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) } },
+    { new: true, sort: { startedAt: 1 } }
+  );
+};
+
+/**
+ * Write the fields the batch changed and give up the lease
+ * Only while this process still holds the lease, and the new status only while the campaign is still sending:
+ * the document was read when the lease was claimed, so anything else changed meanwhile is left alone.
+ */
+const releaseCampaign = async (campaign, lockedUntil) => {
+  const changes = Object.fromEntries(
+    BATCH_FIELDS.filter((field) => campaign.isModified(field)).map((field) => [field, campaign.get(field)])
+  );
+
+  const result = await Campaign.updateOne(
+    { _id: campaign._id, lockedUntil, status: 'sending' },
+    { $set: { ...changes, lockedUntil: null } }
+  );
+
+  if (result.matchedCount === 0) {
+    // Stopped while the batch ran: keep its status, only record the progress
+    const { status, completedAt, lastError, ...progress } = changes;
+    await Campaign.updateOne({ _id: campaign._id, lockedUntil }, { $set: { ...progress, lockedUntil: null } });
+  }
+};
+
+/**
+ * One pass of the runner: start due campaigns, then send one batch of each sending campaign
+ * A campaign whose batch or release fails is logged and the others are still sent;
+ * a lease that could not be released expires after LOCK_DURATION_MS.
+ */
+export const runCampaignJobs = async () => {
+  await startDueCampaigns();
+
+  const handled = [];
+  let campaign;
+  while ((campaign = await claimCampaign(handled))) {
+    handled.push(campaign._id);
+    const { lockedUntil } = campaign;
+
+    try {
+      await sendBatch(campaign);
+    } catch (error) {
+      console.error(`❌ Campaign ${campaign._id} batch failed:`, error.message);
+    }
+
+    try {
+      await releaseCampaign(campaign, lockedUntil);
+    } catch (error) {
+      console.error(`❌ Campaign ${campaign._id} could not be released:`, error.message);
+    }
+  }
+};
+
+// The next run is only scheduled once the previous one finished, so runs never overlap
+const scheduleNextRun = () => {
+  timer = setTimeout(async () => {
+    if (mongoose.connection.readyState === 1) {
+      try {
+        await runCampaignJobs();
+      } catch (error) {
+        console.error('❌ Campaign runner error:', error.message);
+      }
+    }
+    if (timer) scheduleNextRun();
+  }, BATCH_INTERVAL_MS);
+  timer.unref();
+};
+
+/**
+ * Start sending campaigns in the background of the API server
+ * All progress is stored in MongoDB, so campaigns interrupted by a restart resume on the next run.
+ */
+export const startCampaignRunner = () => {
+  if (timer) return;
+
+  console.log(`📨 Campaign runner started (${BATCH_SIZE} emails per campaign every ${BATCH_INTERVAL_MS / 1000}s)`);
+  scheduleNextRun();
+};
+
+/**
+ * Stop the background runner; a batch in progress still finishes
+ */
+export const stopCampaignRunner = () => {
+  clearTimeout(timer);
+  timer = null;
+};
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import asyncHandler from 'express-async-handler';
 import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
 
 /**
  * Protect routes - require authentication
@@ -42,6 +43,71 @@ export const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+
+  const { authorization } = req.headers;
+  if (authorization && authorization.startsWith('Bearer mly_')) {
+    return authorization.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Protect routes with an API key
+ * Accepts the key in the X-API-Key header or as a Bearer token,
+ * and attaches the key and its owner to the request
+ *
+ * @param {String} scope - Scope the key must grant
+ */
+export const protectWithApiKey = (scope) => {
+  return asyncHandler(async (req, res, next) => {
+    const key = getApiKeyFromRequest(req);
+
+    if (!key) {
+      res.status(401);
+      throw new Error('Not authorized, no API key');
+    }
+
+    const apiKey = await ApiKey.findActiveByKey(key);
+
+    if (!apiKey) {
+      res.status(401);
+      throw new Error('Not authorized, invalid or revoked API key');
+    }
+
+    if (!apiKey.hasScope(scope)) {
+      res.status(403);
+      throw new Error(`API key does not have the ${scope} scope`);
+    }
+
+    req.user = await User.findById(apiKey.userId);
+
+    if (!req.user) {
+      res.status(401);
+      throw new Error('User not found');
+    }
+
+    req.apiKey = apiKey;
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+
+    next();
+  });
+};
+
+/**
+ * Protect routes that users reach with their session and services with an API key
+ *
+ * @param {String} scope - Scope an API key must grant
+ */
+export const protectWithTokenOrApiKey = (scope) => {
+  const protectKey = protectWithApiKey(scope);
+  return (req, res, next) => (getApiKeyFromRequest(req) ? protectKey(req, res, next) : protect(req, res, next));
+};
+
 /**
  * Verify resource ownership
  * Checks if authenticated user owns the resource
@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const API_KEY_SCOPES = ['send', 'templates:read'];
+
+const KEY_PREFIX = 'mly_';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [100, 'Key name cannot exceed 100 characters'],
+    },
+    // First characters of the key, shown so users can tell their keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the full key; the key itself is only returned once, on creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: [(scopes) => scopes.length > 0, 'At least one scope is required'],
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Static method: Hash a plaintext key for lookup
+ * Keys are long random strings, so a fast unsalted hash is enough to keep them unusable if leaked
+ * @param {String} key - Plaintext API key
+ * @returns {String} Hex digest
+ */
+apiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Static method: Generate a new random key
+ * @returns {Object} The plaintext key, its display prefix and its hash
+ */
+apiKeySchema.statics.generateKey = function () {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, prefix: key.slice(0, KEY_PREFIX.length + 6), keyHash: this.hashKey(key) };
+};
+
+/**
+ * Static method: Find the active key matching a plaintext key
+ * @param {String} key - Plaintext API key
+ * @returns {Promise} Key document or null
+ */
+apiKeySchema.statics.findActiveByKey = function (key) {
+  return this.findOne({ keyHash: this.hashKey(key), revokedAt: null });
+};
+
+/**
+ * Instance method: Check if the key grants a scope
+ * @param {String} scope - Scope to check
+ * @returns {Boolean} True if granted
+ */
+apiKeySchema.methods.hasScope = function (scope) {
+  return this.scopes.includes(scope);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { ASSET_STORAGES, getAssetStorage, getDefaultAssetStorage, getAssetURL } from '../utils/assetStorage.js';
+import { IMAGE_EXTENSIONS } from '../utils/imageInfo.js';
+import { createImageVariant } from '../utils/imageOptimizer.js';
+
+/**
+ * A resized, re-encoded copy of an asset for one display width
+ */
+const assetVariantSchema = new mongoose.Schema(
+  {
+    width: { type: Number, required: true },
+    height: { type: Number, required: true },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true },
+    key: { type: String, required: true },
+    // WebP copy served to clients that accept it, when smaller
+    webpKey: { type: String, default: '' },
+    webpSize: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * An uploaded image, served publicly at a stable URL so templates and sent emails can reference it
+ */
+const assetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    // Original file name, shown in the media library
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [200, 'Name cannot exceed 200 characters'],
+    },
+    contentType: {
+      type: String,
+      enum: Object.keys(IMAGE_EXTENSIONS),
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    width: {
+      type: Number,
+      required: true,
+    },
+    height: {
+      type: Number,
+      required: true,
+    },
+    // SHA-256 of the content, so uploading the same file twice reuses the first asset
+    checksum: {
+      type: String,
+      required: true,
+    },
+    storage: {
+      type: String,
+      enum: ASSET_STORAGES,
+      required: true,
+    },
+    // File name within the storage
+    key: {
+      type: String,
+      required: true,
+    },
+    // Created on demand for each width the image is displayed at, and twice that for high-density screens
+    variants: {
+      type: [assetVariantSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+assetSchema.index({ userId: 1, createdAt: -1 });
+assetSchema.index({ userId: 1, checksum: 1 });
+
+/**
+ * Static method: Store an image for a user, or return their existing asset with the same content
+ * @param {String} userId - Owner
+ * @param {String} name - Original file name
+ * @param {Buffer} buffer - File content
+ * @param {Object} info - Type and size from readImageInfo
+ * @returns {Promise<Object>} Asset document
+ */
+assetSchema.statics.createFromImage = async function (userId, name, buffer, info) {
+  const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  const existing = await this.findOne({ userId, checksum });
+  if (existing) return existing;
+
+  const asset = new this({
+    userId,
+    name: String(name || '').trim().slice(0, 200) || `image.${IMAGE_EXTENSIONS[info.contentType]}`,
+    contentType: info.contentType,
+    size: buffer.length,
+    width: info.width,
+    height: info.height,
+    checksum,
+    storage: getDefaultAssetStorage(),
+  });
+  asset.key = `${asset._id}.${IMAGE_EXTENSIONS[info.contentType]}`;
+
+  await getAssetStorage(asset.storage).save(asset.key, buffer, asset.contentType);
+  return asset.save();
+};
+
+/**
+ * Instance method: Widths of the 1x and 2x variants for a display width, never wider than the original
+ */
+assetSchema.methods.getVariantWidths = function (displayWidth) {
+  const width = Math.max(1, Math.round(Number(displayWidth) || this.width));
+  return { '1x': Math.min(width, this.width), '2x': Math.min(width * 2, this.width) };
+};
+
+/**
+ * Instance method: Create the missing variants for a display width
+ * Variant files are named after their width, so two renders racing to create one write the same file.
+ */
+assetSchema.methods.ensureVariants = async function (displayWidth) {
+  const storage = getAssetStorage(this.storage);
+  const widths = [...new Set(Object.values(this.getVariantWidths(displayWidth)))];
+  let original = null;
+
+  for (const width of widths) {
+    if (this.variants.some((variant) => variant.width === width)) continue;
+
+    original = original || (await storage.read(this.key));
+    const image = await createImageVariant(original, width);
+    const variant = {
+      width,
+      height: image.height,
+      contentType: image.contentType,
+      size: image.buffer.length,
+      key: `${this._id}-${width}.${IMAGE_EXTENSIONS[image.contentType]}`,
+      webpKey: image.webp ? `${this._id}-${width}.webp` : '',
+      webpSize: image.webp ? image.webp.length : 0,
+    };
+
+    await storage.save(variant.key, image.buffer, variant.contentType);
+    if (image.webp) await storage.save(variant.webpKey, image.webp, 'image/webp');
+
+    await this.constructor.updateOne(
+      { _id: this._id, 'variants.width': { $ne: width } },
+      { $push: { variants: variant } }
+    );
+    this.variants.push(variant);
+  }
+};
+
+/**
+ * Instance method: URLs of the variants for a display width
+ * @returns {Object|null} { '1x', '2x' }, or null until ensureVariants created them
+ */
+assetSchema.methods.getVariantURLs = function (displayWidth) {
+  const widths = this.getVariantWidths(displayWidth);
+  const variant1x = this.variants.find((variant) => variant.width === widths['1x']);
+  const variant2x = this.variants.find((variant) => variant.width === widths['2x']);
+
+  return variant1x && variant2x
+    ? { '1x': getAssetURL(this, variant1x), '2x': getAssetURL(this, variant2x) }
+    : null;
+};
+
+/**
+ * Instance method: Delete the asset and its files
+ */
+assetSchema.methods.removeWithFile = async function () {
+  const storage = getAssetStorage(this.storage);
+  const keys = [this.key, ...this.variants.flatMap((variant) => [variant.key, variant.webpKey].filter(Boolean))];
+
+  await Promise.all(keys.map((key) => storage.remove(key)));
+  await this.deleteOne();
+};
+
+const Asset = mongoose.model('Asset', assetSchema);
+
+export default Asset;
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import { templateEnvelopeSchema } from './Template.js';
+
+// draft → scheduled → sending → sent; a scheduled campaign can go back to draft
+export const CAMPAIGN_STATUSES = ['draft', 'scheduled', 'sending', 'sent'];
+
+/**
+ * A saved template sent to the subscribed contacts of a list
+ */
+const campaignSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Campaign name is required'],
+      trim: true,
+      maxlength: [100, 'Campaign name cannot exceed 100 characters'],
+    },
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template',
+      required: [true, 'Template is required'],
+    },
+    // Version of the template being sent, pinned when sending starts so later edits don't change it
+    templateVersionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TemplateVersion',
+      default: null,
+    },
+    listId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'List',
+      required: [true, 'List is required'],
+    },
+    envelope: {
+      type: templateEnvelopeSchema,
+      default: () => ({}),
+    },
+    status: {
+      type: String,
+      enum: CAMPAIGN_STATUSES,
+      default: 'draft',
+    },
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set once the list has been copied into CampaignRecipient documents
+    recipientsPreparedAt: {
+      type: Date,
+      default: null,
+    },
+    stats: {
+      total: { type: Number, default: 0 },
+      pending: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+    },
+    // Problem that stopped the whole campaign, such as its template being deleted
+    lastError: {
+      type: String,
+      default: '',
+    },
+    // Lease held by the job runner while it sends a batch, so only one process sends at a time
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+
+/**
+ * Instance method: Check if the campaign's content and audience can still change
+ * @returns {Boolean} True while the campaign is a draft
+ */
+campaignSchema.methods.isEditable = function () {
+  return this.status === 'draft';
+};
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+export default Campaign;
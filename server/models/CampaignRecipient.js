@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+export const RECIPIENT_STATUSES = ['pending', 'sent', 'failed', 'skipped'];
+
+/**
+ * One contact of a campaign's list, copied when sending starts
+ * Progress lives here rather than in memory, so a restarted server picks up where it stopped.
+ */
+const campaignRecipientSchema = new mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign ID is required'],
+    },
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      required: [true, 'Contact ID is required'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: RECIPIENT_STATUSES,
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Failed attempts are retried with backoff once this time has passed
+    nextAttemptAt: {
+      type: Date,
+      default: () => new Date(),
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+    messageId: {
+      type: String,
+      default: '',
+    },
+    sentAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the provider reports the message delivered
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+    // First open and first click, set by the tracking endpoints
+    openedAt: {
+      type: Date,
+      default: null,
+    },
+    clickedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+campaignRecipientSchema.index({ campaignId: 1, contactId: 1 }, { unique: true });
+campaignRecipientSchema.index({ campaignId: 1, status: 1, nextAttemptAt: 1 });
+// Provider webhooks look messages up by Message-ID, or by the latest send to an address
+campaignRecipientSchema.index({ messageId: 1 });
+campaignRecipientSchema.index({ email: 1, sentAt: -1 });
+
+const CampaignRecipient = mongoose.model('CampaignRecipient', campaignRecipientSchema);
+
+export default CampaignRecipient;
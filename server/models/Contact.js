@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { EMAIL_PATTERN } from '../../shared/email.js';
+
+// bounced and complained are set by provider webhooks
+export const CONTACT_STATUSES = ['subscribed', 'unsubscribed', 'bounced', 'complained'];
+
+export const MAX_CONTACT_NAME_LENGTH = 200;
+
+// Custom fields become merge tags such as {{company}}, so their names are plain identifiers
+export const CONTACT_FIELD_PATTERN = /^[a-zA-Z_]\w*$/;
+
+// Built-in merge data of every contact and system merge tags, which custom fields may not shadow
+export const RESERVED_CONTACT_FIELDS = ['email', 'name', 'unsubscribe_url'];
+
+export const MAX_CONTACT_FIELDS = 50;
+
+/**
+ * A recipient in the user's audience
+ */
+const contactSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [EMAIL_PATTERN, 'Please provide a valid email'],
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [MAX_CONTACT_NAME_LENGTH, `Name cannot exceed ${MAX_CONTACT_NAME_LENGTH} characters`],
+    },
+    fields: {
+      type: Map,
+      of: String,
+      default: {},
+      validate: [
+        {
+          validator: (fields) => [...fields.keys()].every((key) => CONTACT_FIELD_PATTERN.test(key)),
+          message: 'Field names must start with a letter or underscore and contain only letters, digits and underscores',
+        },
+        {
+          validator: (fields) => [...fields.keys()].every((key) => !RESERVED_CONTACT_FIELDS.includes(key)),
+          message: `Field names cannot be ${RESERVED_CONTACT_FIELDS.join(', ')}`,
+        },
+        {
+          validator: (fields) => fields.size <= MAX_CONTACT_FIELDS,
+          message: `A contact can have at most ${MAX_CONTACT_FIELDS} custom fields`,
+        },
+      ],
+    },
+    status: {
+      type: String,
+      enum: CONTACT_STATUSES,
+      default: 'subscribed',
+    },
+    lists: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'List',
+      },
+    ],
+    // Lists the contact opted out of on their preference page; they stay members but get no campaigns
+    unsubscribedLists: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'List',
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One contact per address per user; imports dedupe against this
+contactSchema.index({ userId: 1, email: 1 }, { unique: true });
+contactSchema.index({ userId: 1, lists: 1 });
+
+/**
+ * Instance method: Data used to fill merge tags when emailing this contact
+ * @returns {Object} Custom fields plus email and name
+ */
+contactSchema.methods.toMergeData = function () {
+  return {
+    ...Object.fromEntries(this.fields || []),
+    email: this.email,
+    name: this.name,
+  };
+};
+
+/**
+ * Static method: Query matching the contacts that campaigns to a list may be sent to
+ * @param {String} userId - Owner of the list
+ * @param {String} listId - List ID
+ * @returns {Object} Filter for Contact.find
+ */
+contactSchema.statics.receivingQuery = function (userId, listId) {
+  return { userId, lists: listId, unsubscribedLists: { $ne: listId }, status: 'subscribed' };
+};
+
+/**
+ * Instance method: Check if campaigns to a list may still be sent to this contact
+ * @param {String} listId - List ID
+ * @returns {Boolean} True if subscribed and not opted out of the list
+ */
+contactSchema.methods.canReceive = function (listId) {
+  return (
+    this.status === 'subscribed' &&
+    !(this.unsubscribedLists || []).some((unsubscribedId) => unsubscribedId.toString() === listId.toString())
+  );
+};
+
+const Contact = mongoose.model('Contact', contactSchema);
+
+export default Contact;
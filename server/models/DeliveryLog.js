@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+/**
+ * One attempt to deliver a rendered template to a recipient
+ */
+const deliveryLogSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    // Test sends from the editor may render a template that was never saved
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template',
+      default: null,
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null,
+    },
+    // 'api' for POST /api/send, 'test' for test sends from the editor
+    kind: {
+      type: String,
+      enum: ['api', 'test'],
+      default: 'api',
+    },
+    to: {
+      type: String,
+      required: [true, 'Recipient is required'],
+      lowercase: true,
+      trim: true,
+    },
+    from: {
+      type: String,
+      default: '',
+    },
+    subject: {
+      type: String,
+      default: '',
+    },
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      required: true,
+    },
+    // Message-ID assigned by the transport
+    messageId: {
+      type: String,
+      default: '',
+    },
+    transport: {
+      type: String,
+      default: '',
+    },
+    error: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+deliveryLogSchema.index({ userId: 1, createdAt: -1 });
+deliveryLogSchema.index({ templateId: 1, createdAt: -1 });
+deliveryLogSchema.index({ userId: 1, kind: 1, createdAt: -1 });
+deliveryLogSchema.index({ messageId: 1 });
+deliveryLogSchema.index({ to: 1, createdAt: -1 });
+
+const DeliveryLog = mongoose.model('DeliveryLog', deliveryLogSchema);
+
+export default DeliveryLog;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * A named group of contacts, such as a newsletter audience
+ * Membership is stored on the contacts, so a contact can belong to several lists
+ */
+const listSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'List name is required'],
+      trim: true,
+      maxlength: [100, 'List name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const List = mongoose.model('List', listSchema);
+
+export default List;
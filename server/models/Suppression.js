@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import { EMAIL_PATTERN } from '../../shared/email.js';
+
+export const SUPPRESSION_REASONS = ['bounce', 'complaint', 'manual'];
+
+export const SUPPRESSION_SOURCES = ['webhook', 'import', 'manual'];
+
+/**
+ * An address the user must not send to, whatever the kind of email
+ * Filled by hard bounces and complaints from provider webhooks, imports and manual entries.
+ */
+const suppressionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [EMAIL_PATTERN, 'Please provide a valid email'],
+    },
+    reason: {
+      type: String,
+      enum: SUPPRESSION_REASONS,
+      default: 'manual',
+    },
+    // Provider diagnostic, e.g. the SMTP reply of a bounce
+    detail: {
+      type: String,
+      default: '',
+      maxlength: [500, 'Detail cannot exceed 500 characters'],
+    },
+    source: {
+      type: String,
+      enum: SUPPRESSION_SOURCES,
+      default: 'manual',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+suppressionSchema.index({ userId: 1, email: 1 }, { unique: true });
+suppressionSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Static method: Find which of some addresses a user may not send to
+ * @param {String} userId - Sender
+ * @param {Array} emails - Addresses to check
+ * @returns {Promise<Map>} Suppression documents by lowercased email
+ */
+suppressionSchema.statics.findSuppressed = async function (userId, emails) {
+  const suppressions = await this.find({
+    userId,
+    email: { $in: emails.map((email) => String(email).toLowerCase().trim()) },
+  });
+  return new Map(suppressions.map((suppression) => [suppression.email, suppression]));
+};
+
+/**
+ * Instance method: Explain why deliveries to the address are blocked
+ * @returns {String} Message recorded with the blocked delivery
+ */
+suppressionSchema.methods.describe = function () {
+  return `Address is on the suppression list (${this.reason})`;
+};
+
+const Suppression = mongoose.model('Suppression', suppressionSchema);
+
+export default Suppression;
@@ -1,4 +1,71 @@
 import mongoose from 'mongoose';
+import { isValidEmail } from '../../shared/email.js';
+
+/**
+ * Personalization variable, referenced in content as a {{name}} merge tag
+ */
+export const templateVariableSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Variable name is required'],
+      trim: true,
+      match: [
+        /^(?!(?:__proto__|prototype|constructor)(?:\.|$))[a-zA-Z_]\w*(\.(?!(?:__proto__|prototype|constructor)(?:\.|$))[a-zA-Z_]\w*)*$/,
+        'Variable names may only contain letters, digits, underscores and dots, and no __proto__, prototype or constructor',
+      ],
+    },
+    type: {
+      type: String,
+      enum: ['text', 'number', 'date', 'url', 'list'],
+      default: 'text',
+    },
+    defaultValue: {
+      type: String,
+      default: '',
+    },
+    sampleValue: {
+      type: String,
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+// Envelope details used when the template is sent; subject and preheader may contain merge tags
+export const templateEnvelopeSchema = new mongoose.Schema(
+  {
+    subject: {
+      type: String,
+      trim: true,
+      maxlength: [255, 'Subject cannot exceed 255 characters'],
+      default: '',
+    },
+    preheader: {
+      type: String,
+      trim: true,
+      maxlength: [255, 'Preheader cannot exceed 255 characters'],
+      default: '',
+    },
+    fromName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Sender name cannot exceed 100 characters'],
+      default: '',
+    },
+    replyTo: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      validate: {
+        validator: (value) => !value || isValidEmail(value),
+        message: 'Please provide a valid reply-to email',
+      },
+      default: '',
+    },
+  },
+  { _id: false }
+);
 
 const templateSchema = new mongoose.Schema(
   {
@@ -31,6 +98,24 @@ const templateSchema = new mongoose.Schema(
         },
       }),
     },
+    // 'html' templates were ejected from the visual editor and are stored as a hand-edited document
+    mode: {
+      type: String,
+      enum: ['visual', 'html'],
+      default: 'visual',
+    },
+    html: {
+      type: String,
+      default: '',
+    },
+    variables: {
+      type: [templateVariableSchema],
+      default: [],
+    },
+    envelope: {
+      type: templateEnvelopeSchema,
+      default: () => ({}),
+    },
     category: {
       type: String,
       enum: ['newsletter', 'promotional', 'transactional', 'announcement', 'other'],
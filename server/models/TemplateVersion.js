@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import { templateVariableSchema, templateEnvelopeSchema } from './Template.js';
+
+const templateVersionSchema = new mongoose.Schema(
+  {
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Template',
+      required: [true, 'Template ID is required'],
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: [true, 'Version number is required'],
+      min: 1,
+    },
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    componentTree: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      required: [true, 'Component tree is required'],
+    },
+    mode: {
+      type: String,
+      enum: ['visual', 'html'],
+      default: 'visual',
+    },
+    html: {
+      type: String,
+      default: '',
+    },
+    variables: {
+      type: [templateVariableSchema],
+      default: [],
+    },
+    envelope: {
+      type: templateEnvelopeSchema,
+      default: () => ({}),
+    },
+    savedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+templateVersionSchema.index({ templateId: 1, version: -1 }, { unique: true });
+
+// Concurrent saves can pick the same next number; the unique index rejects all but one
+const MAX_SNAPSHOT_ATTEMPTS = 5;
+
+const isDuplicateKeyError = (error) => error.code === 11000;
+
+const getSnapshotFields = (template, userId, options = {}) => ({
+  templateId: template._id,
+  name: template.name,
+  description: template.description,
+  componentTree: template.componentTree,
+  mode: template.mode,
+  html: template.html,
+  variables: template.variables,
+  envelope: template.envelope,
+  savedBy: userId,
+  restoredFrom: options.restoredFrom ?? null,
+});
+
+/**
+ * Static method: Record the current state of a template as a new version
+ * Numbering races with concurrent saves are retried with the next free number.
+ * @param {Object} template - Saved Template document
+ * @param {String} userId - User who saved the template
+ * @param {Object} options - Extra fields (restoredFrom)
+ * @returns {Promise} Created version
+ */
+templateVersionSchema.statics.createSnapshot = async function (template, userId, options = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await this.findOne({ templateId: template._id }).sort({ version: -1 }).select('version');
+
+    try {
+      return await this.create({
+        ...getSnapshotFields(template, userId, options),
+        version: latest ? latest.version + 1 : 1,
+      });
+    } catch (error) {
+      if (!isDuplicateKeyError(error) || attempt >= MAX_SNAPSHOT_ATTEMPTS) throw error;
+    }
+  }
+};
+
+/**
+ * Static method: Record a template's state as version 1 if it has no versions yet
+ * Templates created before version history have none, so their design is captured before the first update.
+ * @param {Object} template - Template document, before any change is applied
+ * @param {String} userId - Recorded as the author of that state
+ */
+templateVersionSchema.statics.ensureBaseline = async function (template, userId) {
+  if (await this.exists({ templateId: template._id })) return;
+
+  try {
+    await this.create({ ...getSnapshotFields(template, userId), version: 1 });
+  } catch (error) {
+    // Another save recorded version 1 first
+    if (!isDuplicateKeyError(error)) throw error;
+  }
+};
+
+const TemplateVersion = mongoose.model('TemplateVersion', templateVersionSchema);
+
+export default TemplateVersion;
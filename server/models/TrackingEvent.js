@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const TRACKING_EVENT_TYPES = ['open', 'click'];
+
+/**
+ * One open or click of a campaign email
+ * Every event is kept; the first of each type is also stamped on the recipient for unique counts.
+ */
+const trackingEventSchema = new mongoose.Schema(
+  {
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: [true, 'Campaign ID is required'],
+    },
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CampaignRecipient',
+      required: [true, 'Recipient ID is required'],
+    },
+    type: {
+      type: String,
+      enum: TRACKING_EVENT_TYPES,
+      required: true,
+    },
+    // Clicks only: the original link and the component it was rendered from
+    url: {
+      type: String,
+      default: '',
+    },
+    componentId: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+trackingEventSchema.index({ campaignId: 1, type: 1 });
+
+const TrackingEvent = mongoose.model('TrackingEvent', trackingEventSchema);
+
+export default TrackingEvent;
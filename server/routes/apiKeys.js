@@ -0,0 +1,13 @@
+import express from 'express';
+import { getApiKeys, createApiKey, revokeApiKey } from '../controllers/apiKeyController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Keys are managed from a signed-in session only
+router.use(protect);
+
+router.route('/').get(getApiKeys).post(createApiKey);
+router.delete('/:id', revokeApiKey);
+
+export default router;
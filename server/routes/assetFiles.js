@@ -0,0 +1,14 @@
+import express from 'express';
+import cors from 'cors';
+import { serveAsset } from '../controllers/assetController.js';
+
+const router = express.Router();
+
+// Public routes, reached from templates and sent emails
+// Readable from any origin, so the editor can download images into export packages
+router.use(cors());
+
+router.get('/:id/:filename', serveAsset);
+router.get('/:id/:width(\\d+)/:filename', serveAsset);
+
+export default router;
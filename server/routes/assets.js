@@ -0,0 +1,17 @@
+import express from 'express';
+import { getAssets, uploadAsset, getImageVariants, deleteAsset, MAX_ASSET_SIZE } from '../controllers/assetController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Uploads are sent as the raw file rather than JSON or a multipart form
+router
+  .route('/')
+  .get(getAssets)
+  .post(express.raw({ type: 'image/*', limit: MAX_ASSET_SIZE }), uploadAsset);
+router.post('/variants', getImageVariants);
+router.delete('/:id', deleteAsset);
+
+export default router;
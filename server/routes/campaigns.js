@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getCampaigns,
+  getCampaign,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  scheduleCampaign,
+  unscheduleCampaign,
+  getCampaignRecipients,
+  getCampaignReport,
+} from '../controllers/campaignController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/').get(getCampaigns).post(createCampaign);
+router.route('/:id').get(getCampaign).put(updateCampaign).delete(deleteCampaign);
+router.post('/:id/schedule', scheduleCampaign);
+router.post('/:id/unschedule', unscheduleCampaign);
+router.get('/:id/recipients', getCampaignRecipients);
+router.get('/:id/report', getCampaignReport);
+
+export default router;
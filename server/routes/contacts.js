@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getContacts,
+  getContactFields,
+  getContactById,
+  createContact,
+  updateContact,
+  deleteContact,
+  importContacts,
+  exportContacts,
+} from '../controllers/contactController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/').get(getContacts).post(createContact);
+router.get('/fields', getContactFields);
+router.post('/import', importContacts);
+router.get('/export', exportContacts);
+router.route('/:id').get(getContactById).put(updateContact).delete(deleteContact);
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { getLists, createList, updateList, deleteList } from '../controllers/listController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/').get(getLists).post(createList);
+router.route('/:id').put(updateList).delete(deleteList);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { getPreferences, updatePreferences } from '../controllers/preferenceController.js';
+
+const router = express.Router();
+
+// Public routes, reached from the unsubscribe links and headers of campaign emails
+router.route('/:token').get(getPreferences).post(updatePreferences);
+
+export default router;
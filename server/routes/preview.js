@@ -0,0 +1,9 @@
+import express from 'express';
+import { getTemplatePreview } from '../controllers/templateController.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/:id/preview', getTemplatePreview);
+
+export default router;
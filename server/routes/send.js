@@ -0,0 +1,14 @@
+import express from 'express';
+import { sendEmail, sendTestEmail, getDeliveries } from '../controllers/sendController.js';
+import { protect, protectWithApiKey } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Called by services with an API key
+router.post('/', protectWithApiKey('send'), sendEmail);
+
+// Test sends from the editor and delivery history for the signed-in user
+router.post('/test', protect, sendTestEmail);
+router.get('/deliveries', protect, getDeliveries);
+
+export default router;
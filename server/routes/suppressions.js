@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  getSuppressions,
+  createSuppression,
+  deleteSuppression,
+  importSuppressions,
+  exportSuppressions,
+} from '../controllers/suppressionController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/').get(getSuppressions).post(createSuppression);
+router.post('/import', importSuppressions);
+router.get('/export', exportSuppressions);
+router.delete('/:id', deleteSuppression);
+
+export default router;
@@ -3,15 +3,26 @@ import {
   getTemplates,
   getMyTemplates,
   getTemplate,
+  getTemplateText,
+  getTemplateHTML,
   createTemplate,
   updateTemplate,
   deleteTemplate,
+  getTemplateVersions,
+  getTemplateVersion,
+  restoreTemplateVersion,
 } from '../controllers/templateController.js';
-import { protect } from '../middleware/auth.js';
+import { protect, protectWithTokenOrApiKey } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// All template routes require authentication
+// Rendered HTML is also available to services holding an API key
+router
+  .route('/:id/html')
+  .get(protectWithTokenOrApiKey('templates:read'), getTemplateHTML)
+  .post(protectWithTokenOrApiKey('templates:read'), getTemplateHTML);
+
+// All other template routes require authentication
 router.use(protect);
 
 // Template routes
@@ -21,4 +32,11 @@ router.get('/my-templates', getMyTemplates);
 
 router.route('/:id').get(getTemplate).put(updateTemplate).delete(deleteTemplate);
 
+router.get('/:id/text', getTemplateText);
+
+// Version history routes
+router.get('/:id/versions', getTemplateVersions);
+router.get('/:id/versions/:versionId', getTemplateVersion);
+router.post('/:id/versions/:versionId/restore', restoreTemplateVersion);
+
 export default router;
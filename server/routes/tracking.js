@@ -0,0 +1,10 @@
+import express from 'express';
+import { trackOpen, trackClick } from '../controllers/trackingController.js';
+
+const router = express.Router();
+
+// Public routes, reached from sent emails
+router.get('/open/:token', trackOpen);
+router.get('/click/:token', trackClick);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import { receiveWebhook } from '../controllers/webhookController.js';
+
+const router = express.Router();
+
+// Called by email providers; SNS posts its JSON as text/plain
+router.post('/:provider', express.json({ type: ['application/json', 'text/plain'], limit: '1mb' }), receiveWebhook);
+
+export default router;
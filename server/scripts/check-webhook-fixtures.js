@@ -0,0 +1,88 @@
+/**
+ * Replay the recorded provider payloads in fixtures/webhooks through their adapters
+ * and check the normalized events, without a database or a running server.
+ * Fixtures are named <provider>.json or <provider>-<kind>.json, one request body each.
+ *
+ * Usage: npm run check:webhooks
+ */
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { WEBHOOK_ADAPTERS, normalizeWebhookEvents } from '../utils/webhookAdapters.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'webhooks');
+
+// [type, email, bounceType, messageId] of each event a fixture should produce, in order
+const EXPECTED_EVENTS = {
+  generic: [
+    ['bounce', 'hard.bounce@example.com', 'hard', '<generic-1@maily.local>'],
+    ['bounce', 'full.mailbox@example.com', 'soft', '<generic-2@maily.local>'],
+    ['complaint', 'complainer@example.com', null, '<generic-3@maily.local>'],
+    ['delivery', 'reader@example.com', null, '<generic-4@maily.local>'],
+  ],
+  ses: [['bounce', 'hard.bounce@example.com', 'hard', '<ses-1@maily.local>']],
+  'ses-complaint': [['complaint', 'complainer@example.com', null, '<ses-2@maily.local>']],
+  'ses-delivery': [['delivery', 'reader@example.com', null, '<ses-3@maily.local>']],
+  sendgrid: [
+    ['bounce', 'hard.bounce@example.com', 'hard', '<sendgrid-1@maily.local>'],
+    ['bounce', 'blocked@example.com', 'soft', '<sendgrid-2@maily.local>'],
+    ['complaint', 'complainer@example.com', null, '<sendgrid-3@maily.local>'],
+    ['delivery', 'reader@example.com', null, '<sendgrid-4@maily.local>'],
+  ],
+  mailgun: [['bounce', 'hard.bounce@example.com', 'hard', 'mailgun-1@maily.local']],
+  'mailgun-complaint': [['complaint', 'complainer@example.com', null, 'mailgun-2@maily.local']],
+  'mailgun-delivery': [['delivery', 'reader@example.com', null, 'mailgun-3@maily.local']],
+  postmark: [['bounce', 'hard.bounce@example.com', 'hard', '<postmark-1@maily.local>']],
+  'postmark-complaint': [['complaint', 'complainer@example.com', null, '<postmark-2@maily.local>']],
+  'postmark-delivery': [['delivery', 'reader@example.com', null, '<postmark-3@maily.local>']],
+};
+
+// Bodies no provider sends, which must yield no events rather than throw
+const MALFORMED_BODIES = [null, 'text', 42, {}, [], [null], [null, 'text', 42], { events: [null] }];
+
+let failures = 0;
+
+const check = (name, run) => {
+  try {
+    const detail = run();
+    console.log(`✅ ${name}: ${detail}`);
+  } catch (error) {
+    failures += 1;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+};
+
+const fixtureNames = fs
+  .readdirSync(FIXTURE_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => file.slice(0, -'.json'.length));
+
+for (const name of new Set([...Object.keys(EXPECTED_EVENTS), ...fixtureNames])) {
+  check(name, () => {
+    assert.ok(EXPECTED_EVENTS[name], 'no expected events listed for this fixture');
+
+    const provider = name.split('-')[0];
+    const body = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+    const events = normalizeWebhookEvents(provider, body);
+
+    assert.deepEqual(
+      events.map((event) => [event.type, event.email, event.bounceType, event.messageId]),
+      EXPECTED_EVENTS[name]
+    );
+    events.forEach((event) => assert.ok(!Number.isNaN(event.timestamp.getTime()), 'timestamp is a valid date'));
+
+    return `${events.length} event(s)`;
+  });
+}
+
+for (const provider of Object.keys(WEBHOOK_ADAPTERS)) {
+  check(`${provider} (malformed bodies)`, () => {
+    MALFORMED_BODIES.forEach((body) =>
+      assert.deepEqual(normalizeWebhookEvents(provider, body), [], `${JSON.stringify(body)} yields no events`)
+    );
+    return 'no events';
+  });
+}
+
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,121 @@
+/**
+ * One-time migration: move images embedded as base64 data URLs in saved templates into assets
+ * Templates and their saved versions are rewritten to reference the asset URLs instead.
+ * Identical images are stored once per user, and running it again only picks up what is left.
+ *
+ * Usage: npm run migrate:assets [-- --dry-run]
+ */
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Template from '../models/Template.js';
+import TemplateVersion from '../models/TemplateVersion.js';
+import Asset from '../models/Asset.js';
+import { getAssetURL } from '../utils/assetStorage.js';
+import { readImageInfo } from '../utils/imageInfo.js';
+
+dotenv.config();
+
+const DATA_URL_PATTERN = /data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/]+=*/gi;
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Apply a function to every string in a JSON value
+ */
+const mapStrings = (value, map) => {
+  if (typeof value === 'string') return map(value);
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, map));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, map)]));
+  }
+  return value;
+};
+
+const findDataURLs = (value) => {
+  const found = new Set();
+  mapStrings(value, (text) => {
+    (text.match(DATA_URL_PATTERN) || []).forEach((dataURL) => found.add(dataURL));
+    return text;
+  });
+  return found;
+};
+
+/**
+ * Store the data URLs of one document as assets of its owner
+ * @returns {Promise<Map>} Asset URL by data URL; images that cannot be read are left embedded
+ */
+const createAssets = async (dataURLs, userId, name) => {
+  const urls = new Map();
+
+  for (const dataURL of dataURLs) {
+    const buffer = Buffer.from(dataURL.slice(dataURL.indexOf(',') + 1), 'base64');
+    const info = readImageInfo(buffer);
+    if (!info) {
+      console.warn(`⚠️  Skipped an unsupported image in "${name}"`);
+      continue;
+    }
+
+    const asset = await Asset.createFromImage(userId, name, buffer, info);
+    urls.set(dataURL, getAssetURL(asset));
+  }
+
+  return urls;
+};
+
+/**
+ * Migrate every document of a model; getOwner resolves the user the assets belong to
+ * @returns {Promise<Object>} Counts of documents changed and images moved
+ */
+const migrateModel = async (Model, getOwner) => {
+  const counts = { documents: 0, images: 0 };
+  const documents = Model.find({}).select('componentTree html name userId templateId savedBy').lean().cursor();
+
+  for await (const document of documents) {
+    const fields = Object.fromEntries(
+      Object.entries({ componentTree: document.componentTree, html: document.html }).filter(([, value]) => value)
+    );
+    const dataURLs = findDataURLs(fields);
+    if (dataURLs.size === 0) continue;
+
+    counts.documents += 1;
+    counts.images += dataURLs.size;
+    console.log(`${Model.modelName} ${document._id} "${document.name}": ${dataURLs.size} image(s)`);
+    if (dryRun) continue;
+
+    const urls = await createAssets(dataURLs, await getOwner(document), document.name);
+    const replace = (text) => text.replace(DATA_URL_PATTERN, (dataURL) => urls.get(dataURL) || dataURL);
+    await Model.updateOne({ _id: document._id }, { $set: mapStrings(fields, replace) });
+  }
+
+  return counts;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`✅ MongoDB Connected${dryRun ? ' (dry run, nothing is changed)' : ''}`);
+
+  const templates = await migrateModel(Template, (template) => template.userId);
+
+  // Versions belong to the template's owner, whoever saved them
+  const owners = new Map();
+  const versions = await migrateModel(TemplateVersion, async (version) => {
+    const templateId = version.templateId.toString();
+    if (!owners.has(templateId)) {
+      const template = await Template.findById(templateId).select('userId').lean();
+      owners.set(templateId, template?.userId || version.savedBy);
+    }
+    return owners.get(templateId);
+  });
+
+  console.log(
+    `📦 ${templates.images + versions.images} embedded image(s) in ${templates.documents} template(s) ` +
+      `and ${versions.documents} version(s)${dryRun ? ' would be moved' : ' moved to assets'}`
+  );
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -10,6 +10,21 @@ dotenv.config();
 // Import routes
 import authRoutes from './routes/auth.js';
 import templateRoutes from './routes/templates.js';
+import previewRoutes from './routes/preview.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import sendRoutes from './routes/send.js';
+import contactRoutes from './routes/contacts.js';
+import listRoutes from './routes/lists.js';
+import campaignRoutes from './routes/campaigns.js';
+import trackingRoutes from './routes/tracking.js';
+import preferenceRoutes from './routes/preferences.js';
+import suppressionRoutes from './routes/suppressions.js';
+import webhookRoutes from './routes/webhooks.js';
+import assetRoutes from './routes/assets.js';
+import assetFileRoutes from './routes/assetFiles.js';
+
+// Import jobs
+import { startCampaignRunner } from './jobs/campaignRunner.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
@@ -19,6 +34,22 @@ const app = express();
 // Security middleware
 app.use(helmet());
 
+// Body parser middleware
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Routes reached from emails, mail clients and the pages they serve, open to every origin.
+// They are mounted before CORS: the preference form posts back to PUBLIC_URL, which is not a client URL.
+
+// Uploaded images referenced by templates and sent emails
+app.use('/assets', assetFileRoutes);
+
+// Open and click tracking for campaign emails
+app.use('/t', trackingRoutes);
+
+// Unsubscribe and preference pages for campaign recipients
+app.use('/u', preferenceRoutes);
+
 // CORS configuration
 const rawClientUrls =
   process.env.CLIENT_URLS || process.env.CLIENT_URL || 'http://localhost:5173';
@@ -46,13 +77,22 @@ app.use(
   })
 );
 
-// Body parser middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/templates', templateRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/send', sendRoutes);
+app.use('/api/contacts', contactRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/suppressions', suppressionRoutes);
+app.use('/api/assets', assetRoutes);
+
+// Bounce, complaint and delivery feedback from email providers
+app.use('/api/webhooks', webhookRoutes);
+
+// Public pages
+app.use('/templates', previewRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -80,6 +120,9 @@ mongoose
       console.log(`📡 API available at http://localhost:${PORT}/api`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+
+    // Campaigns resume from their stored progress after a restart
+    startCampaignRunner();
   })
   .catch((error) => {
     console.error('❌ MongoDB connection error:', error.message);
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import { getPublicURL } from './tracking.js';
+
+export const ASSET_STORAGES = ['local', 'gridfs'];
+
+const DEFAULT_ASSET_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+const getAssetDir = () => process.env.ASSET_DIR || DEFAULT_ASSET_DIR;
+
+/**
+ * Files in ASSET_DIR, server/uploads by default
+ */
+const diskStorage = {
+  async save(key, buffer) {
+    await fs.promises.mkdir(getAssetDir(), { recursive: true });
+    await fs.promises.writeFile(path.join(getAssetDir(), key), buffer);
+  },
+  read(key) {
+    return fs.promises.readFile(path.join(getAssetDir(), key));
+  },
+  createReadStream(key) {
+    return fs.createReadStream(path.join(getAssetDir(), key));
+  },
+  async remove(key) {
+    await fs.promises.rm(path.join(getAssetDir(), key), { force: true });
+  },
+};
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'assets' });
+
+/**
+ * Files in the application database, for hosts without a persistent disk
+ */
+const gridFSStorage = {
+  save(key, buffer, contentType) {
+    return new Promise((resolve, reject) => {
+      const upload = getBucket().openUploadStream(key, { metadata: { contentType } });
+      upload.on('error', reject).on('finish', resolve);
+      upload.end(buffer);
+    });
+  },
+  async read(key) {
+    const chunks = [];
+    for await (const chunk of getBucket().openDownloadStreamByName(key)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  },
+  createReadStream(key) {
+    return getBucket().openDownloadStreamByName(key);
+  },
+  async remove(key) {
+    const bucket = getBucket();
+    const files = await bucket.find({ filename: key }).toArray();
+    await Promise.all(files.map((file) => bucket.delete(file._id)));
+  },
+};
+
+const STORAGES = {
+  local: diskStorage,
+  gridfs: gridFSStorage,
+};
+
+/**
+ * Storage new uploads go to, from ASSET_STORAGE
+ * Each asset records its storage, so files uploaded before a switch are still served from where they are.
+ */
+export const getDefaultAssetStorage = () => (process.env.ASSET_STORAGE === 'gridfs' ? 'gridfs' : 'local');
+
+/**
+ * Storage driver: save(key, buffer, contentType), read(key), createReadStream(key) and remove(key)
+ * @param {String} name - One of ASSET_STORAGES
+ */
+export const getAssetStorage = (name) => STORAGES[name] || STORAGES.local;
+
+/**
+ * Public URL of an asset or one of its variants, stable for as long as the asset exists
+ * The file name only makes links readable; assets are looked up by ID.
+ */
+export const getAssetURL = (asset, variant = null) => {
+  const slug =
+    asset.name
+      .replace(/\.[a-z0-9]+$/i, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60) || 'image';
+
+  const file = variant || asset;
+  return `${getPublicURL()}/assets/${asset._id}/${variant ? `${variant.width}/` : ''}${slug}.${file.key.split('.').pop()}`;
+};
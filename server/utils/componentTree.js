@@ -0,0 +1,41 @@
+/**
+ * Serialize component tree for database
+ */
+export const serializeComponentTree = (componentTree) => {
+  const serialized = {};
+  for (const [id, component] of Object.entries(componentTree)) {
+    serialized[id] = {
+      id: component.id,
+      type: component.type,
+      parentId: component.parentId,
+      properties: component.properties || {},
+      children: component.children || undefined,
+    };
+  }
+  return serialized;
+};
+
+/**
+ * Deserialize component tree from database
+ */
+export const deserializeComponentTree = (serializedTree) => {
+  if (!serializedTree) {
+    return {
+      root: {
+        id: 'root',
+        type: 'root',
+        children: [],
+      },
+    };
+  }
+
+  if (serializedTree instanceof Map) {
+    const tree = {};
+    for (const [key, value] of serializedTree.entries()) {
+      tree[key] = value;
+    }
+    return tree;
+  }
+
+  return serializedTree;
+};
@@ -0,0 +1,81 @@
+/**
+ * Identify an uploaded image from its bytes rather than the name or type the browser sent
+ */
+
+export const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+const readPNG = (buffer) =>
+  buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR'
+    ? { contentType: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+    : null;
+
+const readGIF = (buffer) =>
+  buffer.length >= 10 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))
+    ? { contentType: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+    : null;
+
+const readWebP = (buffer) => {
+  if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return {
+      contentType: 'image/webp',
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { contentType: 'image/webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { contentType: 'image/webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+// Start-of-frame markers, which carry the dimensions; C4, C8 and CC share the range but are not frames
+const isJPEGFrameMarker = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+const readJPEG = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+    } else if (isJPEGFrameMarker(marker)) {
+      return {
+        contentType: 'image/jpeg',
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+      };
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+/**
+ * Read the type and pixel size of a PNG, JPEG, GIF or WebP image
+ * @param {Buffer} buffer - File content
+ * @returns {Object|null} { contentType, width, height }, or null for anything else (SVG included)
+ */
+export const readImageInfo = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+
+  const info = readPNG(buffer) || readGIF(buffer) || readWebP(buffer) || readJPEG(buffer);
+  return info && info.width > 0 && info.height > 0 ? info : null;
+};
@@ -0,0 +1,77 @@
+import sharp from 'sharp';
+
+// Re-encoding settings, tuned for photos and screenshots viewed in an email body
+const JPEG_OPTIONS = { quality: 80, mozjpeg: true };
+const PNG_OPTIONS = { compressionLevel: 9, palette: true, quality: 90, effort: 8 };
+const WEBP_OPTIONS = { quality: 80, effort: 5 };
+
+const FORMAT_CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+};
+
+/**
+ * Pick the format a variant is delivered in
+ * Email clients are not all able to show WebP, so variants are JPEG, or PNG where transparency has to be kept.
+ * Animated GIFs stay GIFs, the one animated format they all play.
+ */
+const getDeliveryFormat = (metadata) => {
+  if (metadata.format === 'gif' && (metadata.pages || 1) > 1) return 'gif';
+  return metadata.hasAlpha ? 'png' : 'jpeg';
+};
+
+const encode = (image, format) => {
+  switch (format) {
+    case 'gif':
+      return image.gif({ effort: 7 });
+    case 'png':
+      return image.png(PNG_OPTIONS);
+    case 'webp':
+      return image.webp(WEBP_OPTIONS);
+    default:
+      return image.flatten({ background: '#ffffff' }).jpeg(JPEG_OPTIONS);
+  }
+};
+
+/**
+ * Resize an image to a width and re-encode it without its metadata (EXIF, GPS, color profiles...)
+ * The image is turned upright first, since dropping EXIF also drops its orientation.
+ * A WebP copy is made as well for clients that ask for it, unless it is not smaller.
+ * @param {Buffer} buffer - Original file
+ * @param {Number} width - Target width in pixels, never larger than the original
+ * @returns {Promise<Object>} { buffer, contentType, width, height, webp: Buffer|null }
+ */
+export const createImageVariant = async (buffer, width) => {
+  const metadata = await sharp(buffer).metadata();
+  const format = getDeliveryFormat(metadata);
+  const animated = format === 'gif';
+
+  // Re-encoding an animation at its own size rarely makes it smaller
+  if (animated && width >= metadata.width) {
+    return {
+      buffer,
+      contentType: FORMAT_CONTENT_TYPES.gif,
+      width: metadata.width,
+      height: metadata.pageHeight || metadata.height,
+      webp: null,
+    };
+  }
+
+  const resize = () =>
+    sharp(buffer, { animated })
+      .rotate()
+      .resize({ width, withoutEnlargement: true });
+
+  const { data, info } = await encode(resize(), format).toBuffer({ resolveWithObject: true });
+  const webp = animated ? null : await encode(resize(), 'webp').toBuffer();
+
+  return {
+    buffer: data,
+    contentType: FORMAT_CONTENT_TYPES[format],
+    width: info.width,
+    height: animated ? info.pageHeight || info.height : info.height,
+    webp: webp && webp.length < data.length ? webp : null,
+  };
+};
@@ -0,0 +1,61 @@
+import Asset from '../models/Asset.js';
+import { getPublicURL } from './tracking.js';
+import { deserializeComponentTree } from './componentTree.js';
+import { collectImageSlots } from '../../shared/emailGenerator.js';
+
+const ASSET_PATH_PATTERN = /^\/assets\/([a-f0-9]{24})\//;
+
+/**
+ * ID of the asset an image URL points to, if it is one of this server's
+ */
+export const getAssetIdFromURL = (src) => {
+  const baseURL = `${getPublicURL()}/`;
+  if (typeof src !== 'string' || !src.startsWith(baseURL)) return null;
+
+  return src.slice(baseURL.length - 1).match(ASSET_PATH_PATTERN)?.[1] || null;
+};
+
+/**
+ * Create the variants image slots need and return a generator `resolveImage` option using them
+ * Only the user's own assets are resized; other images, and any that cannot be resized, keep their URL
+ * rather than failing the render.
+ * @param {Array} slots - { src, width } of each image component, see collectImageSlots
+ * @param {String} userId - Owner of the assets that may be resized
+ * @returns {Promise<Object>} { resolveImage: (src, width) => { '1x', '2x' } or null, complete: false if a resize failed }
+ */
+export const prepareImageVariants = async (slots, userId) => {
+  const assetIds = [...new Set(slots.map((slot) => getAssetIdFromURL(slot.src)).filter(Boolean))];
+  const assets = assetIds.length > 0 ? await Asset.find({ _id: { $in: assetIds }, userId }) : [];
+  const assetsById = new Map(assets.map((asset) => [asset._id.toString(), asset]));
+  let complete = true;
+
+  for (const slot of slots) {
+    const asset = assetsById.get(getAssetIdFromURL(slot.src));
+    if (!asset) continue;
+
+    try {
+      await asset.ensureVariants(slot.width);
+    } catch (error) {
+      console.error(`❌ Failed to resize asset ${asset._id}:`, error.message);
+      complete = false;
+    }
+  }
+
+  return {
+    resolveImage: (src, width) => assetsById.get(getAssetIdFromURL(src))?.getVariantURLs(width) || null,
+    complete,
+  };
+};
+
+/**
+ * Prepare the image variants of a saved template or version
+ * Ejected templates have no image components to size, so their images are left as they are.
+ * @param {Object} template - Template or TemplateVersion document
+ * @param {String} userId - Owner of the template
+ * @returns {Promise<Object>} { resolveImage, complete }, see prepareImageVariants
+ */
+export const prepareTemplateImages = (template, userId) => {
+  if (template.mode === 'html') return Promise.resolve({ resolveImage: null, complete: true });
+
+  return prepareImageVariants(collectImageSlots(deserializeComponentTree(template.componentTree)), userId);
+};
@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+/**
+ * Build the transport configured in the environment
+ * MAIL_TRANSPORT=smtp (default) connects to SMTP_HOST:SMTP_PORT, which defaults to a local
+ * catcher such as MailHog on localhost:1025; MAIL_TRANSPORT=json builds messages without sending them.
+ */
+const createTransportFromEnv = () => {
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+  });
+};
+
+/**
+ * Get the active transport, creating it from the environment on first use
+ */
+export const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport
+ * Anything with a nodemailer-compatible sendMail(message) works, e.g. a wrapper around a provider SDK
+ */
+export const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+/**
+ * Name of the active transport, recorded with each delivery
+ */
+export const getTransportName = () => getTransport().transporter?.name || 'custom';
+
+/**
+ * Address messages are sent from; the display name comes from the template
+ */
+export const getSenderAddress = () => process.env.MAIL_FROM_ADDRESS || 'no-reply@maily.local';
+
+// Postmark echoes X-PM-Metadata-* headers in its webhooks, where its MessageID is its own
+export const MESSAGE_ID_METADATA_KEY = 'maily-message-id';
+
+/**
+ * Send a message through the active transport
+ * The Message-ID is set here so feedback webhooks can be matched to the send, including Postmark's.
+ * @param {Object} message - nodemailer message (from, to, replyTo, subject, html, text, headers)
+ * @returns {Promise<Object>} Transport info, including the messageId
+ */
+export const sendMail = (message) => {
+  const messageId = message.messageId || `<${crypto.randomUUID()}@${getSenderAddress().split('@').pop()}>`;
+
+  return getTransport().sendMail({
+    ...message,
+    messageId,
+    headers: { ...message.headers, [`X-PM-Metadata-${MESSAGE_ID_METADATA_KEY}`]: messageId },
+  });
+};
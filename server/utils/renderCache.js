@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+
+const MAX_ENTRIES = 200;
+
+// Rendered HTML by ETag, least recently used first
+const cache = new Map();
+
+/**
+ * Build the ETag of one rendering of a template
+ * Saving the template changes updatedAt, so every cached rendering of an older revision stops matching.
+ * @param {Object} template - Template document
+ * @param {Object} options - Everything besides the template that affects the output
+ */
+export const getRenderETag = (template, options = {}) => {
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify([template._id.toString(), new Date(template.updatedAt).getTime(), options]))
+    .digest('base64url');
+
+  return `"${hash}"`;
+};
+
+/**
+ * Return the cached output for an ETag, or undefined on a miss
+ */
+export const getCachedRender = (etag) => {
+  if (!cache.has(etag)) return undefined;
+
+  const output = cache.get(etag);
+  cache.delete(etag);
+  cache.set(etag, output);
+  return output;
+};
+
+/**
+ * Store the output for an ETag, evicting the least recently used one when full
+ */
+export const setCachedRender = (etag, output) => {
+  cache.set(etag, output);
+
+  if (cache.size > MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
@@ -0,0 +1,83 @@
+import { deserializeComponentTree } from './componentTree.js';
+import { renderTemplateHTML } from '../../shared/emailGenerator.js';
+import { generateEmailText } from '../../shared/emailText.js';
+import { applyMergeTags, UNSUBSCRIBE_URL_VARIABLE } from '../../shared/mergeTags.js';
+import { getSenderAddress } from './mailer.js';
+
+const UNSUBSCRIBE_TAG_PATTERN = new RegExp(`\\{\\{\\s*${UNSUBSCRIBE_URL_VARIABLE}\\s*\\}\\}`);
+
+/**
+ * Render a saved template with the same generator the editor exports with
+ * @param {Object} template - Template document
+ * @param {Object} options - generateEmailHTML options (mergeTagSyntax, data, ...)
+ * @param {Object} envelope - Envelope to render with, defaults to the template's
+ */
+export const renderSavedTemplate = (template, options = {}, envelope = template.envelope) => {
+  return renderTemplateHTML(
+    {
+      componentTree: deserializeComponentTree(template.componentTree),
+      htmlDocument: template.mode === 'html' ? template.html : null,
+      variables: template.variables,
+      envelope: envelope || {},
+    },
+    options
+  );
+};
+
+/**
+ * Render the plain-text alternative of a saved template
+ * Ejected templates have no component tree to read text from, so they have none
+ * @returns {String|null} Text, or null for ejected templates
+ */
+export const renderSavedTemplateText = (template, options = {}) => {
+  if (template.mode === 'html') {
+    return null;
+  }
+
+  return generateEmailText(deserializeComponentTree(template.componentTree), {
+    ...options,
+    variables: template.variables,
+  });
+};
+
+/**
+ * Render the header fields of an envelope for one recipient
+ * Header fields are plain text, so merge values are inserted as is
+ * @returns {Object} subject, from (nodemailer address), fromLabel (for logs) and replyTo
+ */
+export const renderEnvelope = (envelope, variables, data) => {
+  const mergeOptions = { syntax: 'render', variables, data };
+  const subject = applyMergeTags(envelope.subject || '', mergeOptions).trim();
+  const senderName = applyMergeTags(envelope.fromName || '', mergeOptions).trim();
+  const address = getSenderAddress();
+
+  return {
+    subject,
+    from: { name: senderName, address },
+    fromLabel: senderName ? `${senderName} <${address}>` : address,
+    replyTo: envelope.replyTo || undefined,
+  };
+};
+
+/**
+ * Explain why a saved template or version has no compliant unsubscribe path, or return '' if it has one
+ * Every unsubscribe footer needs a postal address; without a footer, {{unsubscribe_url}} must appear somewhere.
+ */
+export const getUnsubscribeProblem = (template) => {
+  if (template.mode === 'html') {
+    return UNSUBSCRIBE_TAG_PATTERN.test(template.html || '')
+      ? ''
+      : `Add a {{${UNSUBSCRIBE_URL_VARIABLE}}} link to the template before sending it to a list`;
+  }
+
+  const componentTree = deserializeComponentTree(template.componentTree);
+  const footers = Object.values(componentTree).filter((component) => component?.type === 'unsubscribe');
+
+  if (footers.some((footer) => !String(footer.properties?.address || '').trim())) {
+    return 'The unsubscribe footer of the template needs a postal address';
+  }
+  if (footers.length === 0 && !UNSUBSCRIBE_TAG_PATTERN.test(JSON.stringify(componentTree))) {
+    return 'Add an unsubscribe footer to the template before sending it to a list';
+  }
+  return '';
+};
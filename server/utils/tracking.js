@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+/**
+ * Base URL recipients reach the API at, used for links inside sent emails
+ */
+export const getPublicURL = () =>
+  (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+const getTrackingSecret = () => process.env.TRACKING_SECRET || process.env.JWT_SECRET;
+
+const sign = (payload) => crypto.createHmac('sha256', getTrackingSecret()).update(payload).digest('base64url');
+
+/**
+ * Encode data into a URL-safe token that cannot be forged without the tracking secret
+ * @param {Object} data - Small JSON-serializable payload
+ */
+export const createTrackingToken = (data) => {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Decode a token created by createTrackingToken
+ * @returns {Object|null} The payload, or null if the token is malformed or its signature does not match
+ */
+export const verifyTrackingToken = (token) => {
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the generator's tracking options for one campaign recipient
+ * Only http(s) links are redirected; mailto:, tel: and anchors are left as they are.
+ * @returns {Object} trackLink and trackingPixelURL
+ */
+export const getTrackingOptions = (recipient) => {
+  const baseURL = getPublicURL();
+  const recipientId = recipient._id.toString();
+
+  return {
+    trackLink: (url, componentId) =>
+      /^https?:\/\//i.test(url)
+        ? `${baseURL}/t/click/${createTrackingToken({ r: recipientId, c: componentId || null, u: url })}`
+        : url,
+    trackingPixelURL: `${baseURL}/t/open/${createTrackingToken({ r: recipientId })}`,
+  };
+};
+
+/**
+ * Link to a contact's preference page, which also takes one-click unsubscribe POSTs (RFC 8058)
+ * @param {String} contactId - Contact ID
+ * @param {String} listId - List the email was sent to, which one-click unsubscribes from
+ */
+export const getUnsubscribeURL = (contactId, listId) =>
+  `${getPublicURL()}/u/${createTrackingToken({ t: 'unsubscribe', k: contactId.toString(), l: listId.toString() })}`;
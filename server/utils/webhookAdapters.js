@@ -0,0 +1,218 @@
+import { MESSAGE_ID_METADATA_KEY } from './mailer.js';
+
+/**
+ * Convert provider feedback webhooks into normalized events:
+ * { type: 'bounce'|'complaint'|'delivery', email, messageId, bounceType: 'hard'|'soft'|null, reason, timestamp }
+ * Adapters only read the payload, so recorded fixtures can be replayed through them without a database.
+ * Events the pipeline has no use for (opens, deferrals, provider-side drops...) are left out.
+ */
+
+export const FEEDBACK_EVENT_TYPES = ['bounce', 'complaint', 'delivery'];
+
+const toDate = (value) => {
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+};
+
+const createEvent = ({ type, email, messageId, bounceType = null, reason = '', timestamp }) => ({
+  type,
+  email: String(email || '')
+    .trim()
+    .toLowerCase(),
+  messageId: messageId ? String(messageId).trim() : null,
+  bounceType: type === 'bounce' ? bounceType || 'hard' : null,
+  reason: String(reason || '').slice(0, 500),
+  timestamp: toDate(timestamp),
+});
+
+const asArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+// Batches may hold anything; only objects can be events or recipients
+const asRecords = (value) => asArray(value).filter((item) => item !== null && typeof item === 'object');
+
+/**
+ * Maily's own shape: one event, an array of them, or { events: [...] }
+ */
+const normalizeGeneric = (body) => {
+  const events = Array.isArray(body) ? body : asArray(body?.events || body);
+  return events
+    .filter((event) => FEEDBACK_EVENT_TYPES.includes(event?.type))
+    .map((event) =>
+      createEvent({
+        type: event.type,
+        email: event.email,
+        messageId: event.messageId,
+        bounceType: event.bounceType === 'soft' ? 'soft' : 'hard',
+        reason: event.reason,
+        timestamp: event.timestamp,
+      })
+    );
+};
+
+/**
+ * Amazon SES notifications, delivered through SNS (wrapped in a Notification) or posted as is
+ */
+const normalizeSES = (body) => {
+  let message = body;
+  if (body?.Type === 'Notification') {
+    try {
+      message = JSON.parse(body.Message);
+    } catch {
+      return [];
+    }
+  }
+
+  const kind = message?.notificationType || message?.eventType;
+  const messageId = message?.mail?.commonHeaders?.messageId || message?.mail?.messageId;
+
+  switch (kind) {
+    case 'Bounce':
+      return asRecords(message.bounce?.bouncedRecipients).map((recipient) =>
+        createEvent({
+          type: 'bounce',
+          email: recipient.emailAddress,
+          messageId,
+          bounceType: message.bounce.bounceType === 'Permanent' ? 'hard' : 'soft',
+          reason: recipient.diagnosticCode || message.bounce.bounceSubType,
+          timestamp: message.bounce.timestamp,
+        })
+      );
+    case 'Complaint':
+      return asRecords(message.complaint?.complainedRecipients).map((recipient) =>
+        createEvent({
+          type: 'complaint',
+          email: recipient.emailAddress,
+          messageId,
+          reason: message.complaint.complaintFeedbackType,
+          timestamp: message.complaint.timestamp,
+        })
+      );
+    case 'Delivery':
+      return asArray(message.delivery?.recipients).map((email) =>
+        createEvent({ type: 'delivery', email, messageId, timestamp: message.delivery.timestamp })
+      );
+    default:
+      return [];
+  }
+};
+
+/**
+ * SendGrid Event Webhook: a batch of events
+ */
+const normalizeSendGrid = (body) =>
+  asRecords(body).flatMap((event) => {
+    const common = { email: event.email, messageId: event['smtp-id'], timestamp: event.timestamp };
+
+    switch (event.event) {
+      case 'bounce':
+        return [
+          createEvent({
+            ...common,
+            type: 'bounce',
+            bounceType: event.type === 'blocked' ? 'soft' : 'hard',
+            reason: event.reason,
+          }),
+        ];
+      case 'spamreport':
+        return [createEvent({ ...common, type: 'complaint' })];
+      case 'delivered':
+        return [createEvent({ ...common, type: 'delivery' })];
+      default:
+        return [];
+    }
+  });
+
+/**
+ * Mailgun webhooks: one event per request under `event-data`
+ */
+const normalizeMailgun = (body) => {
+  const event = body?.['event-data'];
+  if (!event) return [];
+
+  const common = {
+    email: event.recipient,
+    messageId: event.message?.headers?.['message-id'],
+    timestamp: event.timestamp,
+  };
+
+  switch (event.event) {
+    case 'failed':
+      return [
+        createEvent({
+          ...common,
+          type: 'bounce',
+          bounceType: event.severity === 'permanent' ? 'hard' : 'soft',
+          reason: event['delivery-status']?.description || event['delivery-status']?.message || event.reason,
+        }),
+      ];
+    case 'complained':
+      return [createEvent({ ...common, type: 'complaint' })];
+    case 'delivered':
+      return [createEvent({ ...common, type: 'delivery' })];
+    default:
+      return [];
+  }
+};
+
+// Postmark bounce types that mean the address will never accept mail
+const POSTMARK_HARD_BOUNCES = ['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated'];
+
+/**
+ * Postmark webhooks: one record per request
+ * Postmark's MessageID is its own; the Message-ID comes back in the metadata sendMail attaches.
+ */
+const normalizePostmark = (body) => {
+  const messageId = body?.Metadata?.[MESSAGE_ID_METADATA_KEY] || body?.MessageID;
+
+  switch (body?.RecordType) {
+    case 'Bounce':
+      return [
+        createEvent({
+          type: 'bounce',
+          email: body.Email,
+          messageId,
+          bounceType: POSTMARK_HARD_BOUNCES.includes(body.Type) ? 'hard' : 'soft',
+          reason: body.Details || body.Description,
+          timestamp: body.BouncedAt,
+        }),
+      ];
+    case 'SpamComplaint':
+      return [
+        createEvent({ type: 'complaint', email: body.Email, messageId, timestamp: body.BouncedAt }),
+      ];
+    case 'Delivery':
+      return [
+        createEvent({
+          type: 'delivery',
+          email: body.Recipient,
+          messageId,
+          timestamp: body.DeliveredAt,
+        }),
+      ];
+    default:
+      return [];
+  }
+};
+
+export const WEBHOOK_ADAPTERS = {
+  generic: normalizeGeneric,
+  ses: normalizeSES,
+  sendgrid: normalizeSendGrid,
+  mailgun: normalizeMailgun,
+  postmark: normalizePostmark,
+};
+
+/**
+ * Normalize a webhook payload from a provider
+ * @param {String} provider - Key of WEBHOOK_ADAPTERS
+ * @param {Object|Array} body - Parsed request body
+ * @returns {Array} Normalized events with an address
+ */
+export const normalizeWebhookEvents = (provider, body) => {
+  const adapter = WEBHOOK_ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unknown webhook provider: ${provider}`);
+  }
+
+  return adapter(body).filter((event) => event.email);
+};
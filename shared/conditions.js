@@ -0,0 +1,114 @@
+import { getValueAtPath, VARIABLE_NAME_PATTERN } from './mergeTags.js';
+
+/**
+ * Display conditions
+ * A component may carry properties.displayCondition = { variable, operator, value }.
+ * `value` is a single string, or a comma-separated list for the list operators.
+ * Conditions on a variable that is not a valid merge tag name are ignored, since the name is
+ * written into handlebars and liquid code as is.
+ */
+export const CONDITION_OPERATORS = {
+  eq: { label: '==', needsValue: true },
+  neq: { label: '!=', needsValue: true },
+  in: { label: 'in', needsValue: true },
+  not_in: { label: 'not in', needsValue: true },
+  exists: { label: 'is set', needsValue: false },
+  not_exists: { label: 'is not set', needsValue: false },
+};
+
+export const hasCondition = (condition) =>
+  Boolean(
+    typeof condition?.variable === 'string' &&
+      VARIABLE_NAME_PATTERN.test(condition.variable) &&
+      Object.hasOwn(CONDITION_OPERATORS, condition.operator)
+  );
+
+const parseValueList = (value) =>
+  String(value ?? '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Human readable form, e.g. plan == "pro" or country in [DE, AT]
+ */
+export const formatCondition = (condition) => {
+  if (!hasCondition(condition)) return '';
+
+  const { variable, operator, value } = condition;
+  const { label, needsValue } = CONDITION_OPERATORS[operator];
+
+  if (!needsValue) return `${variable} ${label}`;
+  if (operator === 'in' || operator === 'not_in') return `${variable} ${label} [${parseValueList(value).join(', ')}]`;
+  return `${variable} ${label} "${value ?? ''}"`;
+};
+
+/**
+ * Evaluate a condition against merge data
+ */
+export const evaluateCondition = (condition, data = {}) => {
+  if (!hasCondition(condition)) return true;
+
+  const actual = getValueAtPath(data, condition.variable);
+  const actualText = isEmptyValue(actual) ? '' : String(actual);
+
+  switch (condition.operator) {
+    case 'eq':
+      return actualText === String(condition.value ?? '');
+    case 'neq':
+      return actualText !== String(condition.value ?? '');
+    case 'in':
+      return parseValueList(condition.value).includes(actualText);
+    case 'not_in':
+      return !parseValueList(condition.value).includes(actualText);
+    case 'exists':
+      return !isEmptyValue(actual);
+    case 'not_exists':
+      return isEmptyValue(actual);
+    default:
+      return true;
+  }
+};
+
+// Template languages have no string escapes, so quotes are dropped from literals, and braces too:
+// a tag delimiter such as }} or %} would end the tag even inside a string
+const quote = (value) => `"${String(value ?? '').replace(/["{}]/g, '')}"`;
+
+/**
+ * Wrap markup in a template-language conditional block
+ * Handlebars output relies on the common `eq` and `or` helpers being registered by the sending platform.
+ */
+export const wrapInConditionBlock = (html, condition, syntax) => {
+  if (!hasCondition(condition)) return html;
+
+  const { variable, operator, value } = condition;
+  const values = parseValueList(value);
+
+  if (syntax === 'liquid') {
+    const anyOf = values.map((item) => `${variable} == ${quote(item)}`).join(' or ') || 'false';
+    const tags = {
+      eq: [`{% if ${variable} == ${quote(value)} %}`, '{% endif %}'],
+      neq: [`{% if ${variable} != ${quote(value)} %}`, '{% endif %}'],
+      in: [`{% if ${anyOf} %}`, '{% endif %}'],
+      not_in: [`{% unless ${anyOf} %}`, '{% endunless %}'],
+      exists: [`{% if ${variable} != blank %}`, '{% endif %}'],
+      not_exists: [`{% if ${variable} == blank %}`, '{% endif %}'],
+    };
+    const [open, close] = tags[operator];
+    return `${open}${html}\n${close}`;
+  }
+
+  const anyOf = `(or ${values.map((item) => `(eq ${variable} ${quote(item)})`).join(' ')} false)`;
+  const tags = {
+    eq: [`{{#if (eq ${variable} ${quote(value)})}}`, '{{/if}}'],
+    neq: [`{{#unless (eq ${variable} ${quote(value)})}}`, '{{/unless}}'],
+    in: [`{{#if ${anyOf}}}`, '{{/if}}'],
+    not_in: [`{{#unless ${anyOf}}}`, '{{/unless}}'],
+    exists: [`{{#if ${variable}}}`, '{{/if}}'],
+    not_exists: [`{{#unless ${variable}}}`, '{{/unless}}'],
+  };
+  const [open, close] = tags[operator];
+  return `${open}${html}\n${close}`;
+};
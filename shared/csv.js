@@ -0,0 +1,75 @@
+/**
+ * CSV helpers (RFC 4180)
+ * Used by the contacts import on the client, to read the header row for column mapping,
+ * and on the server, where the whole file is parsed and imported.
+ */
+
+/**
+ * Parse CSV text into rows of string cells
+ * Handles quoted cells with commas, escaped quotes ("") and line breaks, CRLF or LF endings
+ * and a leading byte order mark. Blank lines are skipped.
+ * @param {String} text - CSV content
+ * @returns {Array<Array<String>>} Rows
+ */
+export const parseCSV = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+const escapeCSVCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows of cells to CSV text with CRLF line endings
+ * Text that a spreadsheet would run as a formula is prefixed with a quote, so it opens as plain text.
+ * @param {Array<Array>} rows - Rows, the first usually being the header
+ * @returns {String} CSV content
+ */
+export const toCSV = (rows) => {
+  return `${rows.map((row) => row.map(escapeCSVCell).join(',')).join('\r\n')}\r\n`;
+};
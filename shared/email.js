@@ -0,0 +1,22 @@
+/**
+ * Email address validation
+ * Shared by the client forms and the server, which checks addresses from API calls, CSV imports
+ * and provider webhooks. The pattern only checks the shape, local@domain.tld; it has no nested
+ * repetition, so a long or crafted address cannot make matching take exponential time.
+ */
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// The longest address SMTP can carry (RFC 5321)
+export const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Check an address, after trimming it
+ * @param {*} value - Anything; only strings can be valid
+ * @returns {Boolean}
+ */
+export const isValidEmail = (value) => {
+  if (typeof value !== 'string') return false;
+
+  const email = value.trim();
+  return email.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(email);
+};
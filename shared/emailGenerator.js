@@ -0,0 +1,862 @@
+import {
+  applyMergeTags,
+  getListItems,
+  MERGE_TAG_PATTERN,
+  wrapInLoopBlock,
+  ITEM_NAME_PATTERN,
+  VARIABLE_NAME_PATTERN,
+  UNSUBSCRIBE_URL_VARIABLE,
+} from './mergeTags.js';
+import { hasCondition, evaluateCondition, wrapInConditionBlock } from './conditions.js';
+import { getTextContent, richTextToHTML, sanitizeColor } from './richText.js';
+
+/**
+ * Generate complete email HTML document
+ * Accepts either:
+ * - component tree object (preferred)
+ * - flat components array (legacy)
+ *
+ * Options:
+ * - annotate: tag each component's markup with data-component-id (editor previews only)
+ * - mergeTagSyntax: 'handlebars', 'liquid' or 'render'; merge tags are left untouched when omitted
+ * - variables: template variable definitions, used for fallback values
+ * - data: merge data for the 'render' syntax
+ * - ignoreConditions: render every component regardless of its display condition
+ * - subject: document title (defaults to "Email Template")
+ * - preheader: hidden preview text shown after the subject in inbox lists
+ * - colorScheme: 'dark' applies the dark mode overrides unconditionally (editor previews only)
+ * - trackLink: (url, componentId) => url, rewrites button, linked image and rich-text link targets
+ *   after merge tags are rendered (use with the 'render' syntax)
+ * - trackingPixelURL: appends a 1x1 image loading this URL at the end of the body
+ * - resolveImage: (src, width, componentId) => { '1x', '2x' } or null, swaps an image component's source for
+ *   variants sized to the width it is displayed at; the 2x variant becomes src, both go in srcset
+ *
+ * Display conditions are emitted as if/unless blocks for 'handlebars' and 'liquid',
+ * evaluated against `data` for 'render', and ignored when no syntax is given.
+ * Repeaters follow the same rule: loops for 'handlebars' and 'liquid', one copy
+ * of their children per list element for 'render', and a single copy otherwise.
+ *
+ * When the root's outlookSafe setting is on, buttons and background images also get
+ * VML fallbacks inside <!--[if mso]> comments for Outlook desktop.
+ */
+export const generateEmailHTML = (input, options = {}) => {
+  const {
+    annotate = false,
+    mergeTagSyntax,
+    variables = [],
+    data = {},
+    ignoreConditions = false,
+    subject = '',
+    preheader = '',
+    colorScheme = 'light',
+    trackLink = null,
+    trackingPixelURL = '',
+    resolveImage = null,
+  } = options;
+  const mergeTags = mergeTagSyntax ? { syntax: mergeTagSyntax, variables, data, ignoreConditions } : null;
+  const emailMaxWidth =
+    Array.isArray(input) || !input?.root?.properties?.maxWidth
+      ? 600
+      : Math.min(1200, Math.max(320, Number(input.root.properties.maxWidth) || 600));
+  const mobileBreakpoint =
+    Array.isArray(input) || !input?.root?.properties?.mobileBreakpoint
+      ? 480
+      : Math.min(800, Math.max(320, Number(input.root.properties.mobileBreakpoint) || 480));
+
+  const rootProperties = (!Array.isArray(input) && input?.root?.properties) || {};
+  const outlookSafe = Boolean(rootProperties.outlookSafe);
+  const darkModeRules = new Map();
+  const context = {
+    maxContainerWidth: emailMaxWidth,
+    annotate,
+    mergeTags,
+    darkModeRules,
+    outlookSafe,
+    trackLink,
+    resolveImage,
+  };
+  const bodyContent = Array.isArray(input)
+    ? input.map((component) => componentToHTML(component, null, context)).join('\n')
+    : treeToHTML(input, context);
+
+  const rootDarkMode = rootProperties.darkMode || {};
+  const bodyClass = classAttribute(
+    darkModeClass(context, 'body', { 'background-color': rootDarkMode.backgroundColor })
+  );
+  const contentClass = classAttribute(
+    darkModeClass(context, 'content', { 'background-color': rootDarkMode.contentBackgroundColor })
+  );
+
+  return `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml"${outlookSafe ? ' xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office"' : ''}>
+<head>
+  <meta http-equiv="Content-Type" content="text/html; charset=UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${subject ? personalize(subject, { mergeTags }) : 'Email Template'}</title>
+  ${outlookSafe ? OUTLOOK_HEAD : ''}
+  ${buildResponsiveStyles(mobileBreakpoint)}
+  ${buildDarkModeStyles(darkModeRules, colorScheme === 'dark')}
+</head>
+<body${bodyClass} style="margin: 0; padding: 0; font-family: Arial, Helvetica, sans-serif; background-color: #f4f4f4;">
+  ${buildPreheader(preheader, { mergeTags })}
+  <table${bodyClass} border="0" cellpadding="0" cellspacing="0" width="100%" style="background-color: #f4f4f4;">
+    <tr>
+      <td align="center" style="padding: 20px 0;">
+        <table${contentClass} border="0" cellpadding="0" cellspacing="0" width="100%" style="max-width: ${emailMaxWidth}px; background-color: #ffffff;">
+          <tr>
+            ${wrapWithBackgroundImage('td style="padding: 0;"', bodyContent, {
+              image: rootProperties.backgroundImage,
+              color: '#ffffff',
+              width: emailMaxWidth,
+              context,
+            })}
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+  ${buildTrackingPixel(trackingPixelURL)}
+</body>
+</html>`;
+};
+
+/**
+ * List the image components of a tree with the width each is displayed at
+ * Widths depend on the columns and sections around an image, so they are read from an actual render.
+ * Every image is listed, whatever its display condition, and images inside repeaters once,
+ * unless the 'render' syntax is given: then the list matches what that data renders.
+ * @param {Object} options - mergeTagSyntax, variables and data, for sources built from merge tags
+ * @returns {Array} { componentId, src, width }
+ */
+export const collectImageSlots = (componentTree, { mergeTagSyntax, variables, data } = {}) => {
+  const slots = [];
+  generateEmailHTML(componentTree, {
+    mergeTagSyntax,
+    variables,
+    data,
+    resolveImage: (src, width, componentId) => {
+      slots.push({ componentId, src, width });
+      return null;
+    },
+  });
+  return slots;
+};
+
+/**
+ * Render a template for preview or export
+ * Ejected templates use their hand-edited document; merge tags are converted the same way as for trees,
+ * but the envelope is not injected since the document owns its own <title> and preview text.
+ * Tracking options apply to ejected documents too: every http(s) <a href> is passed to trackLink
+ * without a component id, and the pixel goes before </body>.
+ */
+export const renderTemplateHTML = (
+  { componentTree, htmlDocument = null, variables = [], envelope = {} },
+  options = {}
+) => {
+  if (htmlDocument === null || htmlDocument === undefined) {
+    return generateEmailHTML(componentTree, {
+      ...options,
+      variables,
+      subject: envelope.subject,
+      preheader: envelope.preheader,
+    });
+  }
+
+  const html = options.mergeTagSyntax
+    ? applyMergeTags(htmlDocument, {
+        syntax: options.mergeTagSyntax,
+        variables,
+        data: options.data,
+        escape: escapeHTML,
+      })
+    : htmlDocument;
+
+  return addDocumentTracking(html, options);
+};
+
+/**
+ * Route the links of a hand-edited document through trackLink and append the tracking pixel
+ */
+const addDocumentTracking = (html, { trackLink = null, trackingPixelURL = '' }) => {
+  const trackedHtml = trackLink
+    ? html.replace(
+        /(<a\b[^>]*?\shref=")(https?:[^"]*)(")/gi,
+        (match, before, url, after) => `${before}${escapeHTML(trackLink(unescapeHTML(url), null))}${after}`
+      )
+    : html;
+  if (!trackingPixelURL) return trackedHtml;
+
+  const pixel = buildTrackingPixel(trackingPixelURL);
+  const bodyEnd = trackedHtml.toLowerCase().lastIndexOf('</body>');
+  return bodyEnd === -1
+    ? `${trackedHtml}${pixel}`
+    : `${trackedHtml.slice(0, bodyEnd)}${pixel}\n${trackedHtml.slice(bodyEnd)}`;
+};
+
+/**
+ * Invisible 1x1 image; loading it is how an open is recorded
+ */
+const buildTrackingPixel = (url) => {
+  if (!url) return '';
+
+  return `<img src="${escapeHTML(url)}" width="1" height="1" alt="" style="display: block; width: 1px; height: 1px; border: 0;" />`;
+};
+
+// Renders VML at 96 DPI so sizes match CSS pixels, and enables VML shapes in the Word engine
+const OUTLOOK_HEAD = `<!--[if gte mso 9]>
+  <xml>
+    <o:OfficeDocumentSettings>
+      <o:AllowPNG/>
+      <o:PixelsPerInch>96</o:PixelsPerInch>
+    </o:OfficeDocumentSettings>
+  </xml>
+  <style type="text/css">
+    v\\:* { behavior: url(#default#VML); display: inline-block; }
+  </style>
+  <![endif]-->`;
+
+// Zero-width characters that fill the rest of the inbox preview so body text doesn't leak into it
+const PREHEADER_PADDING = '&#847;&zwnj;&nbsp;'.repeat(90);
+
+/**
+ * Hidden preheader: inbox lists show it after the subject, the opened email does not
+ */
+const buildPreheader = (preheader, context) => {
+  if (!preheader) return '';
+
+  return `<div style="display: none; max-height: 0; max-width: 0; overflow: hidden; mso-hide: all; font-size: 1px; line-height: 1px; color: #f4f4f4; opacity: 0;">
+    ${personalize(preheader, context)}${PREHEADER_PADDING}
+  </div>`;
+};
+
+/**
+ * Head styles for clients that support media queries
+ * Below the breakpoint column cells become full-width blocks and gutters turn into vertical spacing
+ */
+const buildResponsiveStyles = (mobileBreakpoint) => `<style type="text/css">
+    @media only screen and (max-width: ${mobileBreakpoint}px) {
+      .maily-col { display: block !important; width: 100% !important; max-width: 100% !important; }
+      .maily-gutter { display: block !important; width: 100% !important; max-width: 100% !important; }
+    }
+  </style>`;
+
+/**
+ * Register a component's dark mode colors and return the class name that carries them
+ * @param {Object} context - Render context holding the document's darkModeRules
+ * @param {String} key - Unique suffix for the class name
+ * @param {Object} overrides - Map of CSS property to dark color; invalid or empty colors are skipped
+ */
+const darkModeClass = (context, key, overrides) => {
+  if (!context.darkModeRules) return '';
+
+  const declarations = Object.entries(overrides)
+    .map(([property, value]) => [property, sanitizeColor(value)])
+    .filter(([, value]) => value);
+  if (declarations.length === 0) return '';
+
+  const className = `maily-dark-${key}`;
+  context.darkModeRules.set(className, declarations);
+  return className;
+};
+
+const darkModeKey = (component, context) =>
+  component.id ? String(component.id).replace(/[^\w-]/g, '') : `n${context.darkModeRules?.size || 0}`;
+
+const classAttribute = (className) => (className ? ` class="${className}"` : '');
+
+/**
+ * Dark mode stylesheet: a prefers-color-scheme query for Apple Mail and most webmail, and
+ * [data-ogsc] (text) / [data-ogsb] (background) selectors for Outlook.com, which ignores the query.
+ * Nothing is emitted without overrides, so clients keep their own dark mode handling.
+ */
+const buildDarkModeStyles = (darkModeRules, forceDark = false) => {
+  if (darkModeRules.size === 0) return '';
+
+  const rules = [...darkModeRules].flatMap(([className, declarations]) =>
+    declarations.map(([property, value]) => ({ className, property, value }))
+  );
+  const toCSS = (prefix, indent, filter = () => true) =>
+    rules
+      .filter(filter)
+      .map(({ className, property, value }) => `${prefix}.${className} { ${property}: ${value} !important; }`)
+      .join(`\n${indent}`);
+  const isBackground = ({ property }) => property === 'background-color';
+
+  if (forceDark) {
+    return `<style type="text/css">
+      ${toCSS('', '      ')}
+    </style>`;
+  }
+
+  return `<meta name="color-scheme" content="light dark" />
+  <meta name="supported-color-schemes" content="light dark" />
+  <style type="text/css">
+    :root { color-scheme: light dark; supported-color-schemes: light dark; }
+    @media (prefers-color-scheme: dark) {
+      ${toCSS('', '      ')}
+    }
+    ${toCSS('[data-ogsc] ', '    ', (rule) => !isBackground(rule))}
+    ${toCSS('[data-ogsb] ', '    ', isBackground)}
+  </style>`;
+};
+
+const treeToHTML = (componentTree, context = {}) => {
+  if (!componentTree || !componentTree.root || !Array.isArray(componentTree.root.children)) {
+    return '';
+  }
+
+  return componentTree.root.children
+    .map((childId) => componentToHTML(componentTree[childId], componentTree, context))
+    .join('\n');
+};
+
+/**
+ * Convert component to HTML based on type
+ */
+const componentToHTML = (component, componentTree = null, context = {}) => {
+  if (!component) return '';
+
+  const condition = component.properties?.displayCondition;
+  const applyCondition = hasCondition(condition) && context.mergeTags && !context.mergeTags.ignoreConditions;
+
+  if (applyCondition && context.mergeTags.syntax === 'render' && !evaluateCondition(condition, context.mergeTags.data)) {
+    return '';
+  }
+
+  const html = renderComponent(component, componentTree, context);
+
+  // Every renderer wraps its output in a table, so tag the outermost one
+  const annotatedHtml =
+    context.annotate && component.id
+      ? html.replace('<table', `<table data-component-id="${escapeHTML(component.id)}"`)
+      : html;
+
+  return applyCondition && context.mergeTags.syntax !== 'render'
+    ? wrapInConditionBlock(annotatedHtml, condition, context.mergeTags.syntax)
+    : annotatedHtml;
+};
+
+const renderComponent = (component, componentTree, context) => {
+  switch (component.type) {
+    case 'text':
+      return textToHTML(component, context);
+    case 'heading':
+      return headingToHTML(component, context);
+    case 'button':
+      return buttonToHTML(component, context);
+    case 'image':
+      return imageToHTML(component, context);
+    case 'divider':
+      return dividerToHTML(component, context);
+    case 'spacer':
+      return spacerToHTML(component);
+    case 'unsubscribe':
+      return unsubscribeToHTML(component, context);
+    case 'columns':
+      return columnsToHTML(component, componentTree, context);
+    case 'repeater':
+      return repeaterToHTML(component, componentTree, context);
+    default:
+      return '';
+  }
+};
+
+const escapeHTML = (text) => {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  };
+  return String(text || '').replace(/[&<>"']/g, (char) => map[char]);
+};
+
+/**
+ * Convert merge tags in already escaped markup for the requested output
+ */
+const convertMergeTags = (html, context = {}) => {
+  return context.mergeTags ? applyMergeTags(html, { ...context.mergeTags, escape: escapeHTML }) : html;
+};
+
+/**
+ * Escape a user-provided value and convert its merge tags for the requested output
+ */
+const personalize = (value, context = {}) => convertMergeTags(escapeHTML(value), context);
+
+/**
+ * Same as personalize for attribute URLs, which are emitted as provided
+ */
+const personalizeURL = (value, context = {}) => convertMergeTags(value, context);
+
+const unescapeHTML = (html) =>
+  String(html)
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+/**
+ * Personalize the target of a clickable component and pass it through the trackLink option
+ * trackLink receives the final URL unescaped, with the id of the component it belongs to
+ */
+const personalizeLink = (value, component, context = {}) => {
+  const url = personalizeURL(value, context);
+  return context.trackLink ? escapeHTML(context.trackLink(unescapeHTML(url), component.id || null)) : url;
+};
+
+const textToHTML = (component, context = {}) => {
+  const {
+    fontSize = 16,
+    color = '#333333',
+    fontWeight = 'normal',
+    textAlign = 'left',
+    lineHeight = 1.6,
+    padding = { top: 10, right: 20, bottom: 10, left: 20 },
+  } = component.properties;
+  const paddingStyle = `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px`;
+  const darkClass = darkModeClass(context, darkModeKey(component, context), {
+    color: component.properties.darkMode?.color,
+  });
+  const contentHtml = richTextToHTML(getTextContent(component.properties), {
+    personalizeText: (html) => convertMergeTags(html, context),
+    personalizeURL: (url) => personalizeLink(url, component, context),
+  });
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td${classAttribute(darkClass)} style="padding: ${paddingStyle}; font-size: ${fontSize}px; color: ${color}; font-weight: ${fontWeight}; text-align: ${textAlign}; line-height: ${lineHeight}; font-family: Arial, Helvetica, sans-serif;">
+      ${contentHtml}
+    </td>
+  </tr>
+</table>`;
+};
+
+const headingToHTML = (component, context = {}) => {
+  const {
+    text = '',
+    level = 2,
+    fontSize = 28,
+    color = '#333333',
+    fontWeight = 'bold',
+    textAlign = 'left',
+    padding = { top: 20, right: 20, bottom: 10, left: 20 },
+  } = component.properties;
+  const paddingStyle = `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px`;
+  const darkClass = darkModeClass(context, darkModeKey(component, context), {
+    color: component.properties.darkMode?.color,
+  });
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td style="padding: ${paddingStyle};">
+      <h${level}${classAttribute(darkClass)} style="margin: 0; font-size: ${fontSize}px; color: ${color}; font-weight: ${fontWeight}; text-align: ${textAlign}; font-family: Arial, Helvetica, sans-serif; line-height: 1.2;">
+        ${personalize(text, context)}
+      </h${level}>
+    </td>
+  </tr>
+</table>`;
+};
+
+/**
+ * Percent-encode characters that would end a CSS url() or an attribute, leaving merge tags intact
+ */
+const escapeCSSURL = (url) =>
+  String(url || '').replace(/(\{\{[^}]*\}\})|["'()\s\\<>]/g, (match, mergeTag) =>
+    mergeTag ? mergeTag : `%${match.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+  );
+
+/**
+ * Wrap content in a table cell with a background image
+ * Most clients use the CSS background; Outlook desktop gets a VML rectangle that grows with the content.
+ * @param {String} cellTag - Opening tag of the cell without angle brackets, e.g. 'td style="padding: 0;"'
+ * @param {Object} options - image URL, fallback color, width in px and the render context
+ */
+const wrapWithBackgroundImage = (cellTag, content, { image, color, width, context }) => {
+  if (!image) {
+    return `<${cellTag}>
+              ${content}
+            </${cellTag.split(' ')[0]}>`;
+  }
+
+  const url = personalizeURL(escapeCSSURL(image), context);
+  const backgroundStyle = `background-image: url('${url}'); background-size: cover; background-position: center; background-repeat: no-repeat;`;
+  const tag = cellTag.includes('style="')
+    ? cellTag.replace('style="', `background="${url}" style="${backgroundStyle} `)
+    : `${cellTag} background="${url}" style="${backgroundStyle}"`;
+  const vmlStart = context.outlookSafe
+    ? `<!--[if gte mso 9]>
+      <v:rect xmlns:v="urn:schemas-microsoft-com:vml" fill="true" stroke="false" style="width: ${width}px;">
+        <v:fill type="frame" src="${url}" color="${color}" />
+        <v:textbox style="mso-fit-shape-to-text: true;" inset="0,0,0,0">
+      <![endif]-->`
+    : '';
+  const vmlEnd = context.outlookSafe
+    ? `<!--[if gte mso 9]>
+        </v:textbox>
+      </v:rect>
+      <![endif]-->`
+    : '';
+
+  return `<${tag}>
+      ${vmlStart}
+      ${content}
+      ${vmlEnd}
+    </${cellTag.split(' ')[0]}>`;
+};
+
+/**
+ * Approximate rendered button size for the VML shape, which cannot size itself to its label
+ */
+const estimateButtonSize = (text, fontSize, padding) => {
+  const label = String(text || '').replace(MERGE_TAG_PATTERN, (match, name) => name);
+  return {
+    width: Math.ceil(label.length * fontSize * 0.6) + padding.left + padding.right,
+    height: Math.round(fontSize * 1.2) + padding.top + padding.bottom,
+  };
+};
+
+/**
+ * Outlook desktop ignores padding and border-radius on links, so it gets a VML roundrect
+ * of the same size and colors, clickable over its whole area
+ */
+const buttonToVML = ({ text, href, backgroundColor, textColor, fontSize, padding, borderRadius }, context) => {
+  const { width, height } = estimateButtonSize(text, fontSize, padding);
+  const arcSize = Math.min(50, Math.round((borderRadius / Math.min(width, height)) * 100));
+
+  return `<!--[if mso]>
+      <v:roundrect xmlns:v="urn:schemas-microsoft-com:vml" xmlns:w="urn:schemas-microsoft-com:office:word" href="${href}" style="height: ${height}px; v-text-anchor: middle; width: ${width}px;" arcsize="${arcSize}%" stroke="f" fillcolor="${backgroundColor}">
+        <w:anchorlock/>
+        <center style="color: ${textColor}; font-family: Arial, Helvetica, sans-serif; font-size: ${fontSize}px; font-weight: bold;">${personalize(text, context)}</center>
+      </v:roundrect>
+      <![endif]-->`;
+};
+
+const buttonToHTML = (component, context = {}) => {
+  const {
+    text = 'Click me',
+    url = '#',
+    backgroundColor = '#007bff',
+    textColor = '#ffffff',
+    fontSize = 16,
+    padding = { top: 12, right: 24, bottom: 12, left: 24 },
+    borderRadius = 4,
+    textAlign = 'center',
+    darkMode = {},
+  } = component.properties;
+  const paddingStyle = `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px`;
+  const key = darkModeKey(component, context);
+  const darkBackgroundClass = darkModeClass(context, key, { 'background-color': darkMode.backgroundColor });
+  const darkLabelClass = darkModeClass(context, `${key}-label`, { color: darkMode.textColor });
+  const href = personalizeLink(url, component, context);
+  const vml = context.outlookSafe
+    ? buttonToVML({ text, href, backgroundColor, textColor, fontSize, padding, borderRadius }, context)
+    : '';
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td align="${textAlign}" style="padding: 20px;">
+      ${vml}
+      ${vml ? '<!--[if !mso]><!-->' : ''}
+      <table border="0" cellpadding="0" cellspacing="0">
+        <tr>
+          <td${classAttribute(darkBackgroundClass)} align="center" style="background-color: ${backgroundColor}; border-radius: ${borderRadius}px;">
+            <a${classAttribute(darkLabelClass)} href="${href}" target="_blank" style="display: inline-block; padding: ${paddingStyle}; font-size: ${fontSize}px; color: ${textColor}; text-decoration: none; font-weight: bold; font-family: Arial, Helvetica, sans-serif;">
+              ${personalize(text, context)}
+            </a>
+          </td>
+        </tr>
+      </table>
+      ${vml ? '<!--<![endif]-->' : ''}
+    </td>
+  </tr>
+</table>`;
+};
+
+/**
+ * Source attributes of an image component, using resized variants when the resolver has them
+ */
+const imageSourceAttributes = (src, width, component, context) => {
+  const url = personalizeURL(src, context);
+  const variants = context.resolveImage ? context.resolveImage(unescapeHTML(url), width, component.id || null) : null;
+
+  if (!variants) return `src="${url}"`;
+  if (variants['1x'] === variants['2x']) return `src="${escapeHTML(variants['1x'])}"`;
+  return `src="${escapeHTML(variants['2x'])}" srcset="${escapeHTML(`${variants['1x']} 1x, ${variants['2x']} 2x`)}"`;
+};
+
+const imageToHTML = (component, context = {}) => {
+  const { src = '', alt = '', width = 600, href = null, textAlign = 'center', fitToContainer = true } = component.properties;
+  const containerWidth = context.maxContainerWidth || 600;
+  const requestedWidth = Number(width) || containerWidth;
+  const safeWidth = Math.min(requestedWidth, containerWidth);
+  const imageWidthAttribute = fitToContainer ? safeWidth : requestedWidth;
+  const imageStyle = fitToContainer
+    ? `display: block; border: 0; width: 100%; max-width: ${safeWidth}px; height: auto;`
+    : `display: block; border: 0; width: ${requestedWidth}px; max-width: 100%; height: auto;`;
+  const imageTag = `<img ${imageSourceAttributes(src, imageWidthAttribute, component, context)} alt="${personalize(alt, context)}" width="${imageWidthAttribute}" style="${imageStyle}" />`;
+  const content = href
+    ? `<a href="${personalizeLink(href, component, context)}" target="_blank" style="text-decoration: none;">${imageTag}</a>`
+    : imageTag;
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td align="${textAlign}" style="padding: 10px 0;">
+      ${content}
+    </td>
+  </tr>
+</table>`;
+};
+
+const dividerToHTML = (component, context = {}) => {
+  const { color = '#dddddd', height = 1, width = '100%', margin = { top: 20, bottom: 20 } } = component.properties;
+  const darkClass = darkModeClass(context, darkModeKey(component, context), {
+    'border-top-color': component.properties.darkMode?.color,
+  });
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td style="padding: ${margin.top}px 20px ${margin.bottom}px 20px;">
+      <table${classAttribute(darkClass)} border="0" cellpadding="0" cellspacing="0" width="${width}" style="border-top: ${height}px solid ${color};">
+        <tr>
+          <td></td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>`;
+};
+
+const spacerToHTML = (component) => {
+  const { height = 20 } = component.properties;
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td style="height: ${height}px; font-size: 0; line-height: 0;">
+      &nbsp;
+    </td>
+  </tr>
+</table>`;
+};
+
+/**
+ * Footer with the sender's postal address and the recipient's unsubscribe link
+ * The link is never passed to trackLink, so unsubscribing works without the redirect.
+ */
+const unsubscribeToHTML = (component, context = {}) => {
+  const {
+    text = '',
+    address = '',
+    linkText = 'Unsubscribe',
+    fontSize = 12,
+    color = '#888888',
+    textAlign = 'center',
+    padding = { top: 20, right: 20, bottom: 20, left: 20 },
+  } = component.properties;
+  const paddingStyle = `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px`;
+  const darkClass = darkModeClass(context, darkModeKey(component, context), {
+    color: component.properties.darkMode?.color,
+  });
+  const paragraphStyle = 'margin: 0 0 8px 0;';
+  const paragraphs = [
+    text ? `<p style="${paragraphStyle}">${personalize(text, context)}</p>` : '',
+    address ? `<p style="${paragraphStyle}">${personalize(address, context).replace(/\n/g, '<br />')}</p>` : '',
+    `<p style="margin: 0;"><a${classAttribute(darkClass)} href="${personalizeURL(`{{${UNSUBSCRIBE_URL_VARIABLE}}}`, context)}" target="_blank" style="color: ${color}; text-decoration: underline;">${personalize(linkText || 'Unsubscribe', context)}</a></p>`,
+  ];
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td${classAttribute(darkClass)} style="padding: ${paddingStyle}; font-size: ${fontSize}px; color: ${color}; text-align: ${textAlign}; line-height: 1.5; font-family: Arial, Helvetica, sans-serif;">
+      ${paragraphs.filter(Boolean).join('\n      ')}
+    </td>
+  </tr>
+</table>`;
+};
+
+const toPercent = (part, whole) => Math.floor((part / whole) * 10000) / 100;
+
+const getColumnRatio = (column) => {
+  const ratio = Number(column?.properties?.ratio);
+  return ratio > 0 ? ratio : 1;
+};
+
+/**
+ * Columns use fluid-hybrid markup: inline-block cells that stack below the
+ * mobile breakpoint (see buildResponsiveStyles), wrapped in MSO-only ghost
+ * tables so Outlook desktop keeps them side by side.
+ */
+const columnsToHTML = (component, componentTree, context = {}) => {
+  if (!componentTree || !Array.isArray(component.children) || component.children.length === 0) {
+    return '';
+  }
+
+  const {
+    gap = 16,
+    padding = { top: 10, right: 10, bottom: 10, left: 10 },
+    backgroundColor = '#ffffff',
+    borderRadius = 0,
+    reverseOnMobile = false,
+    darkMode = {},
+  } = component.properties || {};
+  const darkClass = darkModeClass(context, darkModeKey(component, context), {
+    'background-color': darkMode.backgroundColor,
+  });
+
+  const columnsCount = component.children.length;
+  const wrapperPadding = `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px`;
+  const parentWidth = context.maxContainerWidth || 600;
+  const usableWidth = Math.max(100, parentWidth - (padding.left + padding.right));
+  const gapWidthPercent = toPercent(gap, usableWidth);
+
+  // Split the width left after gutters according to each column's ratio
+  const ratios = component.children.map((columnId) => getColumnRatio(componentTree[columnId]));
+  const ratioTotal = ratios.reduce((total, ratio) => total + ratio, 0);
+  const availableWidth = usableWidth - gap * (columnsCount - 1);
+  const columnWidths = Object.fromEntries(
+    component.children.map((columnId, index) => [columnId, Math.floor((availableWidth * ratios[index]) / ratioTotal)])
+  );
+
+  // Reversed rows are emitted in mobile (stacked) order and flipped back with dir="rtl" when side by side
+  const direction = reverseOnMobile ? 'rtl' : 'ltr';
+  const columnIds = reverseOnMobile ? [...component.children].reverse() : component.children;
+
+  const gutterHtml =
+    gap > 0
+      ? `
+      <!--[if mso]><td width="${gap}" style="width: ${gap}px;"><![endif]-->
+      <div class="maily-gutter" style="display: inline-block; vertical-align: top; width: ${gapWidthPercent}%; max-width: ${gap}px; height: ${gap}px; font-size: 0; line-height: 0;">&nbsp;</div>
+      <!--[if mso]></td><![endif]-->`
+      : '';
+
+  const columnsHtml = columnIds
+    .map((columnId) => {
+      const column = componentTree[columnId];
+      if (!column) return '';
+
+      const columnProps = column.properties || {};
+      const columnPadding = columnProps.padding || { top: 10, right: 10, bottom: 10, left: 10 };
+      const columnContentMaxWidth = columnWidths[columnId];
+      const columnWidthPercent = toPercent(columnContentMaxWidth, usableWidth);
+      const columnChildrenHtml = (column.children || [])
+        .map((childId) =>
+          componentToHTML(componentTree[childId], componentTree, {
+            ...context,
+            maxContainerWidth: Math.max(80, columnContentMaxWidth - ((columnPadding?.left || 10) + (columnPadding?.right || 10))),
+          })
+        )
+        .join('\n');
+
+      const columnPaddingStyle = `${columnPadding.top}px ${columnPadding.right}px ${columnPadding.bottom}px ${columnPadding.left}px`;
+      const columnDarkClass = darkModeClass(context, darkModeKey(column, context), {
+        'background-color': columnProps.darkMode?.backgroundColor,
+      });
+
+      return `
+      <!--[if mso]><td width="${columnContentMaxWidth}" valign="top" style="width: ${columnContentMaxWidth}px;"><![endif]-->
+      <div class="maily-col" dir="ltr" style="display: inline-block; vertical-align: top; width: ${columnWidthPercent}%; max-width: ${columnContentMaxWidth}px; direction: ltr;">
+        <table${classAttribute(columnDarkClass)} border="0" cellpadding="0" cellspacing="0" width="100%" style="background-color: ${columnProps.backgroundColor || '#ffffff'}; border-radius: ${columnProps.borderRadius || 0}px;">
+          <tr>
+            <td style="padding: ${columnPaddingStyle};">
+              ${columnChildrenHtml}
+            </td>
+          </tr>
+        </table>
+      </div>
+      <!--[if mso]></td><![endif]-->`;
+    })
+    .join(gutterHtml);
+
+  const rowHtml = `<!--[if mso]><table border="0" cellpadding="0" cellspacing="0" width="${usableWidth}" dir="${direction}"><tr><![endif]-->
+      ${columnsHtml}
+      <!--[if mso]></tr></table><![endif]-->`;
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    ${wrapWithBackgroundImage(
+      `td${classAttribute(darkClass)} dir="${direction}" style="padding: ${wrapperPadding}; background-color: ${backgroundColor}; border-radius: ${borderRadius}px; font-size: 0;"`,
+      rowHtml,
+      { image: component.properties?.backgroundImage, color: backgroundColor, width: parentWidth, context }
+    )}
+  </tr>
+</table>`;
+};
+
+/**
+ * Repeaters render their children once per element of a list variable.
+ * Children address the current element through item-scoped merge tags like {{item.title}}.
+ */
+const repeaterToHTML = (component, componentTree, context = {}) => {
+  if (!componentTree || !Array.isArray(component.children) || component.children.length === 0) {
+    return '';
+  }
+
+  const {
+    source = '',
+    itemName = 'item',
+    itemSpacing = 0,
+    padding = { top: 0, right: 0, bottom: 0, left: 0 },
+    backgroundColor = '#ffffff',
+    darkMode = {},
+  } = component.properties || {};
+  const darkClass = darkModeClass(context, darkModeKey(component, context), {
+    'background-color': darkMode.backgroundColor,
+  });
+  const loopItemName = ITEM_NAME_PATTERN.test(itemName) ? itemName : 'item';
+  const hasSource = VARIABLE_NAME_PATTERN.test(source);
+  const wrapperPadding = `${padding.top}px ${padding.right}px ${padding.bottom}px ${padding.left}px`;
+  const itemContext = {
+    ...context,
+    maxContainerWidth: Math.max(80, (context.maxContainerWidth || 600) - (padding.left + padding.right)),
+  };
+
+  const renderItem = (scopedContext) => {
+    const childrenHtml = component.children
+      .map((childId) => componentToHTML(componentTree[childId], componentTree, scopedContext))
+      .join('\n');
+    const spacerHtml =
+      itemSpacing > 0
+        ? `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td style="height: ${itemSpacing}px; font-size: 0; line-height: 0;">&nbsp;</td>
+  </tr>
+</table>`
+        : '';
+    return `${childrenHtml}${spacerHtml}`;
+  };
+
+  let itemsHtml;
+  if (!hasSource || !context.mergeTags) {
+    itemsHtml = renderItem(itemContext);
+  } else if (context.mergeTags.syntax === 'render') {
+    const { data = {} } = context.mergeTags;
+    itemsHtml = getListItems(data, source)
+      .map((item) =>
+        renderItem({
+          ...itemContext,
+          mergeTags: { ...context.mergeTags, data: { ...data, [loopItemName]: item } },
+        })
+      )
+      .join('\n');
+  } else {
+    itemsHtml = wrapInLoopBlock(renderItem(itemContext), source, loopItemName, context.mergeTags.syntax);
+  }
+
+  return `
+<table border="0" cellpadding="0" cellspacing="0" width="100%">
+  <tr>
+    <td${classAttribute(darkClass)} style="padding: ${wrapperPadding}; background-color: ${backgroundColor};">
+      ${itemsHtml}
+    </td>
+  </tr>
+</table>`;
+};
@@ -0,0 +1,216 @@
+import {
+  applyMergeTags,
+  getListItems,
+  wrapInLoopBlock,
+  ITEM_NAME_PATTERN,
+  VARIABLE_NAME_PATTERN,
+  UNSUBSCRIBE_URL_VARIABLE,
+} from './mergeTags.js';
+import { hasCondition, evaluateCondition, wrapInConditionBlock } from './conditions.js';
+import { getTextContent } from './richText.js';
+
+export const DEFAULT_TEXT_LINE_WIDTH = 72;
+export const MIN_TEXT_LINE_WIDTH = 20;
+export const MAX_TEXT_LINE_WIDTH = 200;
+
+// Words for wrapping; merge tags such as {{ name | escape }} or {% if x %} are never split
+const WORD_PATTERN = /(?:\{\{[^}]*\}\}|\{%[^%]*%\}|\S)+/g;
+
+/**
+ * Clamp a requested line width; 0 turns wrapping off
+ */
+export const resolveTextLineWidth = (value) => {
+  if (value === undefined || value === null || value === '') return DEFAULT_TEXT_LINE_WIDTH;
+
+  const width = Number(value);
+  if (Number.isNaN(width)) return DEFAULT_TEXT_LINE_WIDTH;
+  if (width === 0) return 0;
+  return Math.min(MAX_TEXT_LINE_WIDTH, Math.max(MIN_TEXT_LINE_WIDTH, Math.round(width)));
+};
+
+/**
+ * Generate the text/plain alternative of an email from its component tree
+ * Accepts the same merge tag options as generateEmailHTML, plus:
+ * - lineWidth: wrap at this many characters, 0 for no wrapping (defaults to the root's textLineWidth)
+ *
+ * Headings become underlined titles, buttons "Label: URL", images their alt text, dividers
+ * rule lines, and columns are read one after another in their source order.
+ */
+export const generateEmailText = (componentTree, options = {}) => {
+  const { mergeTagSyntax, variables = [], data = {}, ignoreConditions = false } = options;
+  const lineWidth = resolveTextLineWidth(options.lineWidth ?? componentTree?.root?.properties?.textLineWidth);
+  const context = {
+    lineWidth,
+    mergeTags: mergeTagSyntax ? { syntax: mergeTagSyntax, variables, data, ignoreConditions } : null,
+  };
+
+  const text = childrenToText(componentTree?.root?.children, componentTree, context);
+  return `${text.replace(/\n{3,}/g, '\n\n').trim()}\n`;
+};
+
+const wrapLine = (line, width, hangingIndent) => {
+  if (!width || line.length <= width) return line;
+
+  const leading = line.match(/^\s*/)[0];
+  const lines = [];
+  let current = leading;
+
+  (line.match(WORD_PATTERN) || []).forEach((word) => {
+    if (current.trim() && current.length + 1 + word.length > width) {
+      lines.push(current);
+      current = `${hangingIndent}${word}`;
+    } else {
+      current = current.trim() ? `${current} ${word}` : `${current}${word}`;
+    }
+  });
+  lines.push(current);
+
+  return lines.join('\n');
+};
+
+const wrapText = (text, width, hangingIndent = '') =>
+  text
+    .split('\n')
+    .map((line) => wrapLine(line, width, hangingIndent))
+    .join('\n');
+
+/**
+ * Wrap text and convert its merge tags
+ * Rendered values are substituted before wrapping so line lengths match what the reader sees
+ */
+const formatText = (text, context, hangingIndent = '') => {
+  const { mergeTags, lineWidth } = context;
+  if (!mergeTags) return wrapText(text, lineWidth, hangingIndent);
+
+  const convert = (value) => applyMergeTags(value, { ...mergeTags, raw: true });
+  return mergeTags.syntax === 'render'
+    ? wrapText(convert(text), lineWidth, hangingIndent)
+    : convert(wrapText(text, lineWidth, hangingIndent));
+};
+
+const childrenToText = (childIds, componentTree, context) => {
+  if (!componentTree || !Array.isArray(childIds)) return '';
+
+  return childIds
+    .map((childId) => componentToText(componentTree[childId], componentTree, context))
+    .filter((text) => text !== '')
+    .join('\n\n');
+};
+
+const componentToText = (component, componentTree, context) => {
+  if (!component) return '';
+
+  const condition = component.properties?.displayCondition;
+  const applyCondition = hasCondition(condition) && context.mergeTags && !context.mergeTags.ignoreConditions;
+
+  if (applyCondition && context.mergeTags.syntax === 'render' && !evaluateCondition(condition, context.mergeTags.data)) {
+    return '';
+  }
+
+  const text = renderComponentText(component, componentTree, context);
+
+  return applyCondition && context.mergeTags.syntax !== 'render' && text !== ''
+    ? wrapInConditionBlock(`\n${text}`, condition, context.mergeTags.syntax)
+    : text;
+};
+
+const renderComponentText = (component, componentTree, context) => {
+  const props = component.properties || {};
+
+  switch (component.type) {
+    case 'text':
+      return textToText(props, context);
+    case 'heading':
+      return headingToText(props, context);
+    case 'button':
+      return linkedLabelToText(props.text, props.url, context);
+    case 'image':
+      return linkedLabelToText(props.alt, props.href, context);
+    case 'divider':
+      return '-'.repeat(context.lineWidth || DEFAULT_TEXT_LINE_WIDTH);
+    case 'spacer':
+      return '';
+    case 'unsubscribe':
+      return unsubscribeToText(props, context);
+    case 'columns':
+      return (component.children || [])
+        .map((columnId) => childrenToText(componentTree[columnId]?.children, componentTree, context))
+        .filter((text) => text !== '')
+        .join('\n\n');
+    case 'repeater':
+      return repeaterToText(component, componentTree, context);
+    default:
+      return '';
+  }
+};
+
+const textToText = (props, context) => {
+  return getTextContent(props)
+    .blocks.map((block) => {
+      const line = block.children
+        .map((run) => (run.link && run.text.trim() !== run.link ? `${run.text} (${run.link})` : run.text))
+        .join('');
+      return block.type === 'bullet' ? formatText(`- ${line}`, context, '  ') : formatText(line, context);
+    })
+    .join('\n');
+};
+
+const headingToText = (props, context) => {
+  const title = formatText(String(props.text || '').trim(), context);
+  if (!title) return '';
+
+  const longestLine = Math.max(...title.split('\n').map((line) => line.length));
+  const underline = (Number(props.level) === 1 ? '=' : '-').repeat(
+    context.lineWidth ? Math.min(longestLine, context.lineWidth) : longestLine
+  );
+  return `${title}\n${underline}`;
+};
+
+/**
+ * Buttons and linked images read as "Label: URL"
+ */
+const linkedLabelToText = (label, url, context) => {
+  const text = String(label || '').trim();
+  const href = url && url !== '#' ? String(url).trim() : '';
+
+  if (!text) return href ? formatText(href, context) : '';
+  return formatText(href ? `${text}: ${href}` : text, context);
+};
+
+/**
+ * The footer keeps the address on its own lines and reads its link like a button
+ */
+const unsubscribeToText = (props, context) =>
+  [
+    formatText(String(props.text || '').trim(), context),
+    formatText(String(props.address || '').trim(), context),
+    linkedLabelToText(props.linkText || 'Unsubscribe', `{{${UNSUBSCRIBE_URL_VARIABLE}}}`, context),
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
+const repeaterToText = (component, componentTree, context) => {
+  const { source = '', itemName = 'item' } = component.properties || {};
+  const loopItemName = ITEM_NAME_PATTERN.test(itemName) ? itemName : 'item';
+  const { mergeTags } = context;
+
+  if (!VARIABLE_NAME_PATTERN.test(source) || !mergeTags) {
+    return childrenToText(component.children, componentTree, context);
+  }
+
+  if (mergeTags.syntax === 'render') {
+    const { data = {} } = mergeTags;
+    return getListItems(data, source)
+      .map((item) =>
+        childrenToText(component.children, componentTree, {
+          ...context,
+          mergeTags: { ...mergeTags, data: { ...data, [loopItemName]: item } },
+        })
+      )
+      .filter((text) => text !== '')
+      .join('\n\n');
+  }
+
+  const itemText = childrenToText(component.children, componentTree, context);
+  return itemText ? wrapInLoopBlock(`\n${itemText}\n`, source, loopItemName, mergeTags.syntax) : '';
+};
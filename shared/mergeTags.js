@@ -0,0 +1,185 @@
+/**
+ * Merge tag helpers
+ * Templates store placeholders as {{name}} or {{order.total}}; these helpers
+ * turn them into a target syntax or substitute real values.
+ */
+export const MERGE_TAG_PATTERN = /\{\{\s*([a-zA-Z_]\w*(?:\.[a-zA-Z_]\w*)*)\s*\}\}/g;
+
+// Segments that would reach Object.prototype when sample data is built from the name are not allowed
+export const VARIABLE_NAME_PATTERN =
+  /^(?!(?:__proto__|prototype|constructor)(?:\.|$))[a-zA-Z_]\w*(\.(?!(?:__proto__|prototype|constructor)(?:\.|$))[a-zA-Z_]\w*)*$/;
+
+const UNSAFE_PATH_KEYS = ['__proto__', 'prototype', 'constructor'];
+
+export const VARIABLE_TYPES = ['text', 'number', 'date', 'url', 'list'];
+
+// Repeaters expose each element under a plain identifier such as `item`
+export const ITEM_NAME_PATTERN = /^[a-zA-Z_]\w*$/;
+
+// Link to the recipient's preference page, where they can unsubscribe
+export const UNSUBSCRIBE_URL_VARIABLE = 'unsubscribe_url';
+
+/**
+ * Merge tags filled in by the platform for every campaign recipient
+ * Their samples stand in for the real value in previews and test sends.
+ */
+export const SYSTEM_VARIABLES = [
+  {
+    name: UNSUBSCRIBE_URL_VARIABLE,
+    type: 'url',
+    defaultValue: '',
+    sampleValue: '#unsubscribe',
+    source: 'system',
+  },
+];
+
+export const isSystemVariable = (name) => SYSTEM_VARIABLES.some((variable) => variable.name === name);
+
+export const MERGE_TAG_SYNTAXES = {
+  handlebars: 'Handlebars',
+  liquid: 'Liquid',
+  render: 'Rendered with data',
+};
+
+/**
+ * Read a dotted path like `order.total` from a data object
+ */
+export const getValueAtPath = (data, path) => {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+};
+
+/**
+ * Write a dotted path into a data object, creating the objects along it
+ * Paths through prototype keys are ignored, and only own properties are walked.
+ */
+const setValueAtPath = (data, path, value) => {
+  const keys = String(path).split('.');
+  if (keys.some((key) => UNSAFE_PATH_KEYS.includes(key))) return data;
+
+  const lastKey = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (!Object.hasOwn(node, key) || typeof node[key] !== 'object' || node[key] === null) {
+      node[key] = {};
+    }
+    return node[key];
+  }, data);
+  target[lastKey] = value;
+  return data;
+};
+
+/**
+ * List variables keep their sample as a JSON array string
+ */
+export const parseListSample = (value) => {
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+/**
+ * Build a data object from the sample values of template variables
+ * System variables get their samples too, unless a variable of the same name overrides them
+ */
+export const buildSampleData = (variables = []) => {
+  return [...SYSTEM_VARIABLES, ...variables].reduce(
+    (data, variable) =>
+      setValueAtPath(
+        data,
+        variable.name,
+        variable.type === 'list'
+          ? parseListSample(variable.sampleValue)
+          : variable.sampleValue || variable.defaultValue || ''
+      ),
+    {}
+  );
+};
+
+/**
+ * Elements a repeater iterates over; anything but an array yields none
+ */
+export const getListItems = (data, path) => {
+  const value = path ? getValueAtPath(data, path) : undefined;
+  return Array.isArray(value) ? value : [];
+};
+
+/**
+ * Describe the fields of a list element as variables scoped to the repeater,
+ * e.g. item.title and item.price for { title, price }
+ */
+export const describeItemFields = (itemName, item) => {
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+    return [{ name: itemName, type: 'text', defaultValue: '', sampleValue: String(item ?? '') }];
+  }
+
+  return Object.entries(item).map(([key, value]) => ({
+    name: `${itemName}.${key}`,
+    type: Array.isArray(value) ? 'list' : 'text',
+    defaultValue: '',
+    sampleValue: value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? ''),
+  }));
+};
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Replace merge tags in a string
+ * @param {String} text - Source text, already escaped for its output context
+ * @param {Object} options
+ * @param {String} options.syntax - 'handlebars', 'liquid' or 'render'
+ * @param {Array} options.variables - Template variable definitions (for fallbacks)
+ * @param {Object} options.data - Values used by the 'render' syntax
+ * @param {Function} options.escape - Escapes inserted literal values
+ * @param {Boolean} options.keepUnresolved - In 'render', leave tags without a value untouched
+ * @param {Boolean} options.raw - Emit tags that insert values unescaped, for plain-text output
+ */
+export const applyMergeTags = (text, options = {}) => {
+  const {
+    syntax = 'handlebars',
+    variables = [],
+    data = {},
+    escape = (value) => value,
+    keepUnresolved = false,
+    raw = false,
+  } = options;
+
+  return String(text ?? '').replace(MERGE_TAG_PATTERN, (match, name) => {
+    const fallback = variables.find((variable) => variable.name === name)?.defaultValue || '';
+
+    switch (syntax) {
+      case 'render': {
+        const value = getValueAtPath(data, name);
+        if (!isEmptyValue(value)) return escape(String(value));
+        if (fallback) return escape(fallback);
+        return keepUnresolved ? match : '';
+      }
+      case 'liquid': {
+        if (!raw) {
+          return fallback
+            ? `{{ ${name} | escape | default: '${escape(fallback).replace(/'/g, '&#39;')}' }}`
+            : `{{ ${name} | escape }}`;
+        }
+        // Liquid strings have no escapes, so quote with whichever mark the fallback doesn't use
+        const quote = fallback.includes("'") ? '"' : "'";
+        return fallback ? `{{ ${name} | default: ${quote}${fallback}${quote} }}` : `{{ ${name} }}`;
+      }
+      case 'handlebars':
+      default: {
+        const tag = raw ? `{{{${name}}}}` : `{{${name}}}`;
+        return fallback ? `{{#if ${name}}}${tag}{{else}}${escape(fallback)}{{/if}}` : tag;
+      }
+    }
+  });
+};
+
+/**
+ * Wrap markup that should repeat once per list element in the loop syntax of the target language
+ */
+export const wrapInLoopBlock = (content, source, itemName, syntax) => {
+  if (syntax === 'liquid') {
+    return `{% for ${itemName} in ${source} %}${content}{% endfor %}`;
+  }
+  return `{{#each ${source} as |${itemName}|}}${content}{{/each}}`;
+};
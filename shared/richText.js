@@ -0,0 +1,270 @@
+/**
+ * Rich text for text components
+ * Content is stored as a small structured document instead of raw HTML:
+ *
+ * {
+ *   type: 'doc',
+ *   blocks: [
+ *     { type: 'paragraph' | 'bullet', children: [{ text, bold, italic, underline, superscript, color, link }] }
+ *   ]
+ * }
+ *
+ * Line breaks inside a block are kept as "\n" in the run text. Everything is passed through
+ * sanitizeRichText before rendering, so only the allow-listed blocks, marks, colors and link
+ * schemes below can reach the generated email.
+ */
+export const RICH_TEXT_BLOCK_TYPES = ['paragraph', 'bullet'];
+
+export const RICH_TEXT_MARKS = ['bold', 'italic', 'underline', 'superscript'];
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Links may point to the web, mail or phone, an anchor, or a merge tag such as {{unsubscribe_url}}
+const LINK_PATTERN = /^(?:https?:\/\/|mailto:|tel:|#|\{\{)/i;
+
+export const escapeHTML = (text) => {
+  const map = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  };
+  return String(text || '').replace(/[&<>"']/g, (char) => map[char]);
+};
+
+export const sanitizeColor = (color) => {
+  const value = String(color || '').trim();
+  return COLOR_PATTERN.test(value) ? value.toLowerCase() : null;
+};
+
+export const sanitizeLink = (link) => {
+  const value = String(link || '').trim();
+  return LINK_PATTERN.test(value) ? value : null;
+};
+
+const getRunMarks = (run) => {
+  const marks = {};
+  RICH_TEXT_MARKS.forEach((mark) => {
+    if (run[mark]) marks[mark] = true;
+  });
+
+  const color = sanitizeColor(run.color);
+  if (color) marks.color = color;
+
+  const link = sanitizeLink(run.link);
+  if (link) marks.link = link;
+
+  return marks;
+};
+
+const hasSameMarks = (a, b) => JSON.stringify(getRunMarks(a)) === JSON.stringify(getRunMarks(b));
+
+/**
+ * Drop anything outside the allow-list and merge neighbouring runs with identical marks
+ */
+export const sanitizeRichText = (doc) => {
+  const blocks = Array.isArray(doc?.blocks) ? doc.blocks : [];
+
+  return {
+    type: 'doc',
+    blocks: blocks
+      .filter((block) => block && RICH_TEXT_BLOCK_TYPES.includes(block.type))
+      .map((block) => ({
+        type: block.type,
+        children: (Array.isArray(block.children) ? block.children : [])
+          .filter((run) => run && typeof run.text === 'string' && run.text !== '')
+          .reduce((runs, run) => {
+            const clean = { text: run.text, ...getRunMarks(run) };
+            const previous = runs[runs.length - 1];
+
+            if (previous && hasSameMarks(previous, clean)) {
+              runs[runs.length - 1] = { ...previous, text: previous.text + clean.text };
+            } else {
+              runs.push(clean);
+            }
+            return runs;
+          }, []),
+      })),
+  };
+};
+
+/**
+ * Build a document from a plain string, one paragraph per line
+ */
+export const richTextFromPlainText = (text = '') => ({
+  type: 'doc',
+  blocks: String(text ?? '')
+    .split('\n')
+    .map((line) => ({ type: 'paragraph', children: line ? [{ text: line }] : [] })),
+});
+
+/**
+ * Content of a text component; templates saved before rich text only have `text`
+ */
+export const getTextContent = (properties = {}) =>
+  properties.content ? sanitizeRichText(properties.content) : richTextFromPlainText(properties.text);
+
+export const richTextToPlainText = (doc) =>
+  sanitizeRichText(doc)
+    .blocks.map((block) => {
+      const text = block.children.map((run) => run.text).join('');
+      return block.type === 'bullet' ? `- ${text}` : text;
+    })
+    .join('\n');
+
+/**
+ * Render a run with inline, email-safe markup
+ * personalizeText receives escaped text and personalizeURL an escaped link, so merge tags can be converted
+ */
+const runToHTML = (run, { personalizeText, personalizeURL }) => {
+  let html = personalizeText(escapeHTML(run.text)).replace(/\n/g, '<br />');
+
+  if (run.bold) html = `<strong>${html}</strong>`;
+  if (run.italic) html = `<em>${html}</em>`;
+  if (run.underline) html = `<u>${html}</u>`;
+  if (run.superscript) html = `<sup style="font-size: 70%; line-height: 0; vertical-align: super;">${html}</sup>`;
+  if (run.color) html = `<span style="color: ${run.color};">${html}</span>`;
+  if (run.link) {
+    const linkColor = run.color ? ` color: ${run.color};` : '';
+    html = `<a href="${personalizeURL(escapeHTML(run.link))}" target="_blank" style="text-decoration: underline;${linkColor}">${html}</a>`;
+  }
+
+  return html;
+};
+
+/**
+ * Render a document to email-safe HTML
+ * Paragraphs become margin-less <p> tags and consecutive bullets are grouped into one <ul>
+ */
+export const richTextToHTML = (doc, options = {}) => {
+  const { personalizeText = (html) => html, personalizeURL = (url) => url } = options;
+  const { blocks } = sanitizeRichText(doc);
+  const parts = [];
+  let bullets = [];
+
+  const flushBullets = () => {
+    if (bullets.length === 0) return;
+    parts.push(`<ul style="margin: 0; padding: 0 0 0 24px;">${bullets.join('')}</ul>`);
+    bullets = [];
+  };
+
+  blocks.forEach((block) => {
+    const inlineHtml = block.children.map((run) => runToHTML(run, { personalizeText, personalizeURL })).join('');
+
+    if (block.type === 'bullet') {
+      bullets.push(`<li style="margin: 0;">${inlineHtml || '&nbsp;'}</li>`);
+      return;
+    }
+
+    flushBullets();
+    parts.push(`<p style="margin: 0;">${inlineHtml || '&nbsp;'}</p>`);
+  });
+  flushBullets();
+
+  return parts.join('');
+};
+
+const BLOCK_TAGS = new Set(['P', 'DIV', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE']);
+
+const toHexColor = (value) => {
+  const color = String(value || '').trim();
+  const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  if (!rgb) return sanitizeColor(color);
+
+  return `#${rgb
+    .slice(1, 4)
+    .map((channel) => Math.min(255, Number(channel)).toString(16).padStart(2, '0'))
+    .join('')}`;
+};
+
+const getElementMarks = (element, marks) => {
+  const next = { ...marks };
+  const style = element.style || {};
+
+  switch (element.nodeName) {
+    case 'B':
+    case 'STRONG':
+      next.bold = true;
+      break;
+    case 'I':
+    case 'EM':
+      next.italic = true;
+      break;
+    case 'U':
+      next.underline = true;
+      break;
+    case 'SUP':
+      next.superscript = true;
+      break;
+    case 'A':
+      next.link = element.getAttribute('href');
+      break;
+    case 'FONT':
+      if (element.getAttribute('color')) next.color = toHexColor(element.getAttribute('color'));
+      break;
+    default:
+      break;
+  }
+
+  if (style.fontWeight === 'bold' || Number(style.fontWeight) >= 600) next.bold = true;
+  if (style.fontStyle === 'italic') next.italic = true;
+  if (String(style.textDecoration || style.textDecorationLine || '').includes('underline')) next.underline = true;
+  if (style.verticalAlign === 'super') next.superscript = true;
+  if (style.color) next.color = toHexColor(style.color);
+
+  return next;
+};
+
+/**
+ * Read a document back from editable DOM (the rich text editor's contentEditable)
+ * Unknown elements are unwrapped and unknown attributes ignored; the result is sanitized.
+ */
+export const richTextFromElement = (root) => {
+  const blocks = [];
+  let current = null;
+
+  const startBlock = (type) => {
+    current = { type, children: [] };
+    blocks.push(current);
+  };
+
+  const walk = (node, marks, blockType) => {
+    if (node.nodeType === 3) {
+      if (!current) startBlock(blockType);
+      current.children.push({ ...marks, text: node.nodeValue.replace(/\u00a0/g, ' ') });
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    if (node.nodeName === 'BR') {
+      if (!current) startBlock(blockType);
+      // A lone trailing <br> only keeps an empty block open in contentEditable
+      if (node.nextSibling || current.children.length === 0) {
+        current.children.push({ ...marks, text: '\n' });
+      }
+      return;
+    }
+
+    const childBlockType = node.nodeName === 'LI' ? 'bullet' : blockType;
+    const isBlock = BLOCK_TAGS.has(node.nodeName);
+    // Blocks open lazily on their first content so wrapper elements don't add empty lines
+    if (isBlock) current = null;
+
+    const childMarks = getElementMarks(node, marks);
+    node.childNodes.forEach((child) => walk(child, childMarks, childBlockType));
+
+    if (isBlock) {
+      // An empty line is represented by a block whose only content is the placeholder <br>
+      const [onlyRun] = current?.children || [];
+      if (current && current.children.length === 1 && onlyRun.text === '\n') {
+        current.children = [];
+      }
+      current = null;
+    }
+  };
+
+  root.childNodes.forEach((child) => walk(child, {}, 'paragraph'));
+
+  return sanitizeRichText({ type: 'doc', blocks });
+};